@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+import { readFile } from 'node:fs/promises';
+import { runCli } from '../src/cli.js';
+
+async function readStdin() {
+  const parts = [];
+  for await (const part of process.stdin) {
+    parts.push(part);
+  }
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+process.exitCode = await runCli(process.argv.slice(2), {
+  readFile,
+  readStdin,
+  stdout: (text) => process.stdout.write(text),
+  stderr: (text) => process.stderr.write(text),
+});
@@ -1,142 +1,278 @@
 import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
 import './App.css';
-import { buildMd5Trace, formatWord, toHex32 } from './md5';
-
-const REGISTER_NAMES = ['A', 'B', 'C', 'D'];
-
-function clamp(value, min, max) {
-  return Math.min(max, Math.max(min, value));
+import BatchPanel from './BatchPanel';
+import { formatCollisionHex, getKnownCollision, KNOWN_COLLISIONS } from './collisions';
+import ComparePanel from './ComparePanel';
+import ConversionPreview from './ConversionPreview';
+import DiagnosticTextarea from './DiagnosticTextarea';
+import { decodeDeepLink, encodeDeepLink, isLinkableMode } from './deepLink';
+import FileDropZone from './FileDropZone';
+import LabPanel from './LabPanel';
+import { scanFile } from './fileHash';
+import { buildHmacMd5Trace } from './hmac';
+import { createTranslator, LOCALES, loadLocale, saveLocale } from './i18n';
+import {
+  convertInput,
+  describeCharacterBytes,
+  getActiveEncoding,
+  getInputEncoding,
+  INPUT_ENCODINGS,
+  isInputEncoding,
+  readInputField,
+} from './inputEncodings';
+import { findSectionStep, getShortcutAction, isSectionStart } from './keyboardShortcuts';
+import { buildLengthExtensionTrace } from './lengthExtension';
+import { createMd4Trace } from './md4';
+import { createMd5Hasher, createMd5Trace, parseInputBytes } from './md5';
+import { createLabDraft, parseLabDraft } from './md5Lab';
+import { narrateEvent } from './narration';
+import QuizPanel from './QuizPanel';
+import {
+  EMPTY_QUIZ_SCORE,
+  loadQuizScore,
+  pickQuizQuantity,
+  QUIZ_QUANTITIES,
+  recordQuizResult,
+  saveQuizScore,
+} from './quiz';
+import SearchPanel from './SearchPanel';
+import ShortcutHelp from './ShortcutHelp';
+import Timeline from './Timeline';
+import TracePanels from './TracePanels';
+import { canExportTrace, exportTraceCsv, exportTraceJson, importTraceJson, MAX_EXPORT_STEPS } from './traceExport';
+import { clamp, DEFAULT_PANELS, getChunkTrace, getEventTitle, resolveChunkIndex } from './traceView';
+import { useFileScan } from './useFileScan';
+import { useTraceJob } from './useTraceJob';
+import { TranslatorContext, useTranslator } from './useTranslator';
+
+// Input problems listed under the form; the rest are summed up in one line.
+const MAX_LISTED_ISSUES = 8;
+
+const DEFAULT_EXTENSION_ORIGINAL = 'secret;user=guest';
+
+function describeOriginal(originalMessage) {
+  const bytes = parseInputBytes(originalMessage, 'text');
+  return {
+    knownDigest: createMd5Hasher().update(bytes).hexDigest(),
+    originalLength: String(bytes.length),
+    originalMessage,
+  };
 }
 
-function formatBytes(bytes, maxBytes = 64) {
-  if (!bytes || bytes.length === 0) {
-    return '(empty)';
-  }
-
-  const view = bytes.slice(0, maxBytes).map((value) => value.toString(16).padStart(2, '0'));
-  const suffix = bytes.length > maxBytes ? ' ...' : '';
-  return `${view.join(' ')}${suffix}`;
+function downloadText(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
 }
 
-function getEventTitle(event) {
-  if (!event) {
-    return 'No step selected';
-  }
-
-  if (event.type === 'preprocess') {
-    return 'Preprocess input and apply MD5 padding';
-  }
+function Visualizer({ locale, onLocaleChange }) {
+  const t = useTranslator();
+  const viewportRef = useRef(null);
+  const stageRef = useRef(null);
+  // A shared link only seeds the initial state; after that the URL follows
+  // the app.
+  const [initialLink] = useState(() => decodeDeepLink(window.location.search, t));
+  const linked = initialLink.state;
+  const [linkError, setLinkError] = useState(initialLink.error);
+  const [inputType, setInputType] = useState(linked.inputType ?? 'text');
+  const [inputValue, setInputValue] = useState(linked.inputValue ?? 'vivgrid.com');
+  const [step, setStep] = useState(linked.step ?? 0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [quizEnabled, setQuizEnabled] = useState(false);
+  const [quizQuantities, setQuizQuantities] = useState(() => QUIZ_QUANTITIES.map((quantity) => quantity.value));
+  const [quizScore, setQuizScore] = useState(loadQuizScore);
+  // The question that was answered (or given up), as { trace, step }.
+  const [quizSolved, setQuizSolved] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showBatch, setShowBatch] = useState(false);
+  // Parsed searches (see traceSearch.js) that stop autoplay when they match.
+  const [breakpoints, setBreakpoints] = useState([]);
+  const [breakpointHit, setBreakpointHit] = useState(null);
+  const [speed, setSpeed] = useState(linked.speed ?? 180);
+  const [scale, setScale] = useState(1);
+  const [fileState, setFileState] = useState({ status: 'idle' });
+  const [hmacKey, setHmacKey] = useState(linked.hmacKey ?? 'key');
+  const [hmacKeyType, setHmacKeyType] = useState(linked.hmacKeyType ?? 'text');
+  const [messageEncoding, setMessageEncoding] = useState(linked.messageEncoding ?? 'text');
+  const [extension, setExtension] = useState(() => linked.extension ?? describeOriginal(DEFAULT_EXTENSION_ORIGINAL));
+  const [compareValue, setCompareValue] = useState(linked.compareValue ?? 'vivgrid.col');
+  const [panels, setPanels] = useState(DEFAULT_PANELS);
+  const [algorithm, setAlgorithm] = useState(linked.algorithm ?? 'md5');
+  const [labEnabled, setLabEnabled] = useState(false);
+  const [labDraft, setLabDraft] = useState(() => createLabDraft());
+  const [savedTrace, setSavedTrace] = useState(null);
+  const [traceIoError, setTraceIoError] = useState('');
+  const [conversion, setConversion] = useState(null);
+  // HMAC and the length-extension attack are defined on real MD5, so MD4 and
+  // the lab parameters only apply to plain hashing.
+  const algorithmAvailable = isInputEncoding(inputType) || ['file', 'compare'].includes(inputType);
+  const activeEncoding = getActiveEncoding(inputType, messageEncoding);
+  const useMd4 = algorithmAvailable && algorithm === 'md4';
+  const labAvailable = algorithmAvailable && !useMd4;
+  const fileScanRef = useRef(null);
+  const importInputRef = useRef(null);
+  const inputFieldRef = useRef(null);
+  const compareFieldRef = useRef(null);
+  const hmacKeyFieldRef = useRef(null);
+
+  useEffect(() => () => fileScanRef.current?.abort(), []);
+
+  const labResult = useMemo(() => {
+    if (!labEnabled || !labAvailable) {
+      return { params: undefined, error: '' };
+    }
 
-  if (event.type === 'chunk-start') {
-    return `Chunk ${event.chunkIndex + 1}: load M[0..15] and initialize A, B, C, D`;
-  }
+    try {
+      return { params: parseLabDraft(labDraft), error: '' };
+    } catch (nextError) {
+      return { params: undefined, error: nextError };
+    }
+  }, [labAvailable, labDraft, labEnabled]);
 
-  if (event.type === 'round') {
-    return `Chunk ${event.chunkIndex + 1} round ${event.stepWithinChunk}/64 using function ${event.functionName}`;
-  }
+  // Typed input and compare traces are built in a worker so large pastes do not
+  // block typing; the other modes are built below.
+  const traceJob = useMemo(() => {
+    if (labResult.error || !(isInputEncoding(inputType) || inputType === 'compare')) {
+      return null;
+    }
 
-  if (event.type === 'chunk-end') {
-    return `Chunk ${event.chunkIndex + 1}: add working registers back into hash state`;
-  }
+    return {
+      algorithm: useMd4 ? 'md4' : 'md5',
+      params: labResult.params,
+      encoding: inputType === 'compare' ? messageEncoding : inputType,
+      inputs:
+        inputType === 'compare'
+          ? [
+              { value: inputValue, label: 'input.messageA', field: 'inputValue' },
+              { value: compareValue, label: 'input.messageB', field: 'compareValue' },
+            ]
+          : [{ value: inputValue, field: 'inputValue' }],
+    };
+  }, [compareValue, inputType, inputValue, labResult, messageEncoding, useMd4]);
 
-  return 'Final digest assembled from A, B, C, D';
-}
+  const traceJobState = useTraceJob(traceJob);
 
-function getCurrentDigest(event, trace) {
-  if (!trace) {
-    return '';
-  }
+  // A loaded file's first scan stores the standard MD5 chunk states; MD4 and
+  // the lab parameters need a scan of their own.
+  const fileScan = useMemo(() => {
+    if (labResult.error || !(useMd4 || labResult.params)) {
+      return null;
+    }
 
-  if (!event) {
-    return trace.digest;
-  }
+    return useMd4 ? { algorithm: 'md4' } : { algorithm: 'md5', params: labResult.params };
+  }, [labResult, useMd4]);
 
-  return event.digestPreview ?? event.digestAfterChunk ?? event.digest ?? trace.digest;
-}
+  const fileScanState = useFileScan(
+    inputType === 'file' && fileState.status === 'ready' ? fileState.file : null,
+    fileScan,
+  );
 
-function resolveChunkIndex(event, trace) {
-  if (!trace || trace.chunks.length === 0) {
-    return 0;
-  }
+  // The bundled pair the compare fields hold, while they hold one unchanged.
+  const loadedCollision = useMemo(
+    () =>
+      inputType === 'compare' && messageEncoding === 'hex'
+        ? KNOWN_COLLISIONS.find(
+            (collision) =>
+              inputValue === formatCollisionHex(collision.a) && compareValue === formatCollisionHex(collision.b),
+          )
+        : undefined,
+    [compareValue, inputType, inputValue, messageEncoding],
+  );
 
-  if (event && Number.isInteger(event.chunkIndex)) {
-    return clamp(event.chunkIndex, 0, trace.chunks.length - 1);
-  }
+  const traceResult = useMemo(() => {
+    if (labResult.error) {
+      return { trace: null, error: labResult.error };
+    }
 
-  if (event?.type === 'done') {
-    return trace.chunks.length - 1;
-  }
+    if (traceJob) {
+      return traceJobState.result ?? { trace: null, error: '' };
+    }
 
-  return 0;
-}
+    const labParams = labResult.params;
 
-function RegisterTable({ title, values }) {
-  if (!values) {
-    return null;
-  }
+    if (inputType === 'saved') {
+      return { trace: savedTrace?.trace ?? null, error: '' };
+    }
 
-  return (
-    <div className="register-box">
-      <h4>{title}</h4>
-      <div className="register-grid">
-        {values.map((value, index) => (
-          <div key={`${title}-${REGISTER_NAMES[index]}`} className="register-item">
-            <span className="label">{REGISTER_NAMES[index]}</span>
-            <code>{formatWord(value)}</code>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
+    if (inputType === 'file') {
+      if (fileState.status !== 'ready') {
+        return { trace: null, error: fileState.status === 'error' ? fileState.error : '' };
+      }
 
-function HashTable({ title, values }) {
-  if (!values) {
-    return null;
-  }
+      const { bytes, chunkStates } = fileState.source;
+      if (!fileScan) {
+        return { trace: createMd5Trace(bytes, { inputType: 'file', chunkStates }), error: '' };
+      }
 
-  return (
-    <div className="register-box">
-      <h4>{title}</h4>
-      <div className="register-grid">
-        {values.map((value, index) => (
-          <div key={`${title}-H${index}`} className="register-item">
-            <span className="label">H{index}</span>
-            <code>{formatWord(value)}</code>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-}
+      const scanned = fileScanState.result;
+      if (!scanned?.chunkStates) {
+        return { trace: null, error: scanned ? scanned.error || t('controls.readFileFailed') : '' };
+      }
 
-function App() {
-  const viewportRef = useRef(null);
-  const stageRef = useRef(null);
-  const [inputType, setInputType] = useState('text');
-  const [inputValue, setInputValue] = useState('vivgrid.com');
-  const [step, setStep] = useState(0);
-  const [isPlaying, setIsPlaying] = useState(false);
-  const [speed, setSpeed] = useState(180);
-  const [scale, setScale] = useState(1);
+      return {
+        trace: useMd4
+          ? createMd4Trace(bytes, { inputType: 'file', chunkStates: scanned.chunkStates })
+          : createMd5Trace(bytes, { inputType: 'file', chunkStates: scanned.chunkStates, params: labParams }),
+        error: '',
+      };
+    }
 
-  const traceResult = useMemo(() => {
     try {
+      if (inputType === 'hmac') {
+        return {
+          trace: buildHmacMd5Trace(
+            readInputField(hmacKey, hmacKeyType, { label: 'input.key', field: 'hmacKey' }),
+            readInputField(inputValue, messageEncoding, { label: 'input.message', field: 'inputValue' }),
+          ),
+          error: '',
+        };
+      }
+
       return {
-        trace: buildMd5Trace(inputValue, inputType),
+        trace: buildLengthExtensionTrace({
+          knownDigest: extension.knownDigest,
+          originalLength: extension.originalLength.trim() === '' ? NaN : Number(extension.originalLength),
+          suffixBytes: readInputField(inputValue, messageEncoding, { label: 'input.suffix', field: 'inputValue' }),
+          originalBytes: extension.originalMessage ? parseInputBytes(extension.originalMessage, 'text') : null,
+        }),
         error: '',
       };
     } catch (nextError) {
       return {
         trace: null,
-        error: nextError instanceof Error ? nextError.message : 'Unable to parse input.',
+        error: nextError instanceof Error ? nextError : t('controls.parseFailed'),
+        issues: nextError.diagnostics ?? [],
       };
     }
-  }, [inputType, inputValue]);
+  }, [
+    extension,
+    fileScan,
+    fileScanState.result,
+    fileState,
+    hmacKey,
+    hmacKeyType,
+    inputType,
+    inputValue,
+    labResult,
+    messageEncoding,
+    savedTrace,
+    t,
+    traceJob,
+    traceJobState.result,
+    useMd4,
+  ]);
 
   const trace = traceResult.trace;
+  const compareTrace = traceResult.compareTrace ?? null;
   const error = traceResult.error;
-  const maxStep = trace ? trace.events.length - 1 : 0;
+  // While a newer job is computing, the last result's issues may no longer
+  // line up with the text, so they are only shown for a settled result.
+  const issues = traceJobState.pending ? [] : (traceResult.issues ?? []);
+  const maxStep = trace ? trace.length - 1 : 0;
   const currentStep = clamp(step, 0, maxStep);
   const playingActive = isPlaying && currentStep < maxStep;
 
@@ -176,10 +312,99 @@ function App() {
       resizeObserver.disconnect();
       window.removeEventListener('resize', updateScale);
     };
-  }, [trace, currentStep, inputValue, inputType, speed, isPlaying, error]);
+  }, [trace, currentStep, inputValue, inputType, speed, isPlaying, error, fileState]);
+
+  const shareQuery = useMemo(
+    () =>
+      encodeDeepLink({
+        inputType,
+        inputValue,
+        messageEncoding,
+        hmacKey,
+        hmacKeyType,
+        compareValue,
+        extension,
+        algorithm: useMd4 ? 'md4' : 'md5',
+        step: currentStep,
+        speed,
+      }),
+    [compareValue, currentStep, extension, hmacKey, hmacKeyType, inputType, inputValue, messageEncoding, speed, useMd4],
+  );
 
+  // replaceState keeps stepping and typing out of the back-button history;
+  // the short delay avoids rewriting the URL on every autoplay tick.
   useEffect(() => {
-    if (!isPlaying || !trace) {
+    const timer = window.setTimeout(() => {
+      const { pathname, hash } = window.location;
+      window.history.replaceState(window.history.state, '', `${pathname}${shareQuery ? `?${shareQuery}` : ''}${hash}`);
+    }, 250);
+
+    return () => window.clearTimeout(timer);
+  }, [shareQuery]);
+
+  const event = useMemo(() => trace?.getEvent(currentStep) ?? null, [currentStep, trace]);
+  const computingProgress = traceJobState.progress ?? fileScanState.progress;
+
+  // Only part of a loaded file is held in memory; the chunk being viewed, or
+  // the one autoplay steps into next, is read back from the file when it is
+  // not.
+  const fileSource = inputType === 'file' && fileState.status === 'ready' ? fileState.source.bytes : null;
+  let unloadedStep = null;
+  if (fileSource && trace) {
+    if (!event) {
+      unloadedStep = currentStep;
+    } else if (playingActive && !trace.getEvent(currentStep + 1)) {
+      unloadedStep = currentStep + 1;
+    }
+  }
+  const unloadedChunk = unloadedStep === null ? null : trace.getChunkIndex(unloadedStep);
+
+  useEffect(() => {
+    if (unloadedChunk === null) {
+      return undefined;
+    }
+
+    let cancelled = false;
+    const keep = (previous) => !cancelled && previous.status === 'ready' && previous.source.bytes === fileSource;
+
+    fileSource
+      .load(unloadedChunk)
+      .then((bytes) => {
+        setFileState((previous) =>
+          keep(previous) ? { ...previous, source: { ...previous.source, bytes } } : previous,
+        );
+      })
+      .catch((nextError) => {
+        setFileState((previous) =>
+          keep(previous)
+            ? {
+                status: 'error',
+                name: previous.name,
+                size: previous.size,
+                error: nextError instanceof Error ? nextError : t('controls.readFileFailed'),
+              }
+            : previous,
+        );
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fileSource, t, unloadedChunk]);
+
+  const chunkTrace = useMemo(() => getChunkTrace(trace, currentStep), [currentStep, trace]);
+  const chunkIndex = useMemo(() => resolveChunkIndex(event, chunkTrace), [event, chunkTrace]);
+  const quizQuestion = quizEnabled && event?.type === 'round' ? pickQuizQuantity(quizQuantities, currentStep) : null;
+  const quizOpen = Boolean(quizQuestion) && !(quizSolved?.trace === trace && quizSolved.step === currentStep);
+  // While a practice question is open, the values that would give it away
+  // are shown as "?", and so are the formula terms its hints reveal.
+  const quizHidden = new Set(quizOpen ? [...quizQuestion.hides, 'terms'] : []);
+
+  // Autoplay waits at each open practice question and goes on once it is
+  // answered. It also waits while the next chunk of a file is being read, so
+  // breakpoints see every step.
+  useEffect(() => {
+    if (!isPlaying || !trace || quizOpen) {
       return undefined;
     }
 
@@ -187,19 +412,38 @@ function App() {
       return undefined;
     }
 
+    const nextEvent = trace.getEvent(currentStep + 1);
+    if (!nextEvent) {
+      return undefined;
+    }
+
     const timer = window.setTimeout(() => {
-      setStep((current) => Math.min(current + 1, maxStep));
+      const nextStep = currentStep + 1;
+      const hit = breakpoints.find((breakpoint) => breakpoint.test(nextEvent));
+
+      setStep(nextStep);
+      if (hit) {
+        setIsPlaying(false);
+        setBreakpointHit({ step: nextStep, label: hit.label });
+      }
     }, speed);
 
     return () => window.clearTimeout(timer);
-  }, [currentStep, isPlaying, maxStep, speed, trace]);
+  }, [breakpoints, currentStep, isPlaying, maxStep, quizOpen, speed, trace]);
 
-  const event = trace?.events[currentStep] ?? null;
-  const currentDigest = getCurrentDigest(event, trace);
-  const chunkIndex = useMemo(() => resolveChunkIndex(event, trace), [event, trace]);
-  const activeChunk = trace?.chunks[chunkIndex] ?? null;
-  const highlightedWord = event?.type === 'round' ? event.g : -1;
-  const progress = maxStep > 0 ? Math.round((currentStep / maxStep) * 100) : 0;
+  useEffect(() => saveQuizScore(quizScore), [quizScore]);
+
+  const nextQuizRound = () => {
+    if (!trace) {
+      return;
+    }
+
+    let nextStep = currentStep + 1;
+    while (nextStep < maxStep && trace.getEvent(nextStep)?.type !== 'round') {
+      nextStep += 1;
+    }
+    setStep(clamp(nextStep, 0, maxStep));
+  };
 
   const onStepChange = (nextStep) => {
     if (!trace) {
@@ -208,30 +452,248 @@ function App() {
     setStep(clamp(nextStep, 0, maxStep));
   };
 
+  const togglePlay = () => {
+    if (playingActive) {
+      setIsPlaying(false);
+      return;
+    }
+
+    setBreakpointHit(null);
+    if (currentStep >= maxStep) {
+      setStep(0);
+    }
+
+    setIsPlaying(true);
+  };
+
+  // Announced through the live region. During autoplay only the start of each
+  // chunk, round family or phase is read, so speech can keep up.
+  const narration = useMemo(() => {
+    if (quizOpen) {
+      return t('quiz.narration', { round: event.stepWithinChunk, quantity: t(`quiz.quantity.${quizQuestion.value}`) });
+    }
+
+    return !event || (playingActive && !isSectionStart(trace, currentStep)) ? '' : narrateEvent(event, t);
+  }, [currentStep, event, playingActive, quizOpen, quizQuestion, t, trace]);
+
+  useEffect(() => {
+    const onKeyDown = (keyEvent) => {
+      const action = getShortcutAction(keyEvent);
+      if (!action || (showShortcuts && !['toggle-help', 'close-help'].includes(action.type))) {
+        return;
+      }
+
+      if (action.type === 'toggle-help') {
+        setShowShortcuts((current) => !current);
+      } else if (action.type === 'close-help') {
+        if (!showShortcuts) {
+          return;
+        }
+        setShowShortcuts(false);
+      } else if (!trace) {
+        return;
+      } else if (action.type === 'toggle-play') {
+        if (playingActive) {
+          setIsPlaying(false);
+        } else {
+          setStep((current) => (current >= maxStep ? 0 : current));
+          setBreakpointHit(null);
+          setIsPlaying(true);
+        }
+      } else {
+        setIsPlaying(false);
+        const nextStep =
+          action.type === 'section'
+            ? findSectionStep(trace, currentStep, action.amount)
+            : { step: currentStep + action.amount, first: 0, last: maxStep }[action.type];
+        setStep(clamp(nextStep, 0, maxStep));
+      }
+
+      keyEvent.preventDefault();
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [currentStep, maxStep, playingActive, showShortcuts, trace]);
+
   const resetPlayback = () => {
     setIsPlaying(false);
     setStep(0);
+    setLinkError('');
+    setTraceIoError('');
   };
 
-  const roundWindow = useMemo(() => {
-    if (event?.type !== 'round' || !trace) {
-      return [];
+  const exportTrace = (format) => {
+    const baseName = `${(trace.algorithm ?? 'md5').toLowerCase()}-trace-${trace.digest.slice(0, 8)}`;
+
+    try {
+      if (format === 'json') {
+        downloadText(`${baseName}.json`, exportTraceJson(trace), 'application/json');
+      } else {
+        downloadText(`${baseName}.csv`, exportTraceCsv(trace), 'text/csv');
+      }
+      setTraceIoError('');
+    } catch (nextError) {
+      setTraceIoError(nextError);
+    }
+  };
+
+  const applyEncoding = (field, encoding) => {
+    resetPlayback();
+    setConversion(null);
+    ({ inputType: setInputType, messageEncoding: setMessageEncoding, hmacKeyType: setHmacKeyType })[field](encoding);
+  };
+
+  // Puts a bundled collision pair into the two compare fields, as hex for MD5.
+  const loadCollision = (id) => {
+    const collision = getKnownCollision(id);
+    if (!collision) {
+      return;
+    }
+
+    resetPlayback();
+    setConversion(null);
+    setMessageEncoding('hex');
+    setAlgorithm('md5');
+    setLabEnabled(false);
+    setInputValue(formatCollisionHex(collision.a));
+    setCompareValue(formatCollisionHex(collision.b));
+  };
+
+  // Opens a batch input as a plain MD5 trace, read the way the batch read it.
+  const openBatchInput = (input, encoding) => {
+    resetPlayback();
+    setConversion(null);
+    setInputType(encoding);
+    setInputValue(input);
+    setAlgorithm('md5');
+    setLabEnabled(false);
+  };
+
+  // Selects the span of an input problem in the field it was found in.
+  const jumpToIssue = (issue) => {
+    const field = { inputValue: inputFieldRef, compareValue: compareFieldRef, hmacKey: hmacKeyFieldRef }[issue.field]
+      ?.current;
+    if (field) {
+      field.focus();
+      field.setSelectionRange(issue.start, issue.end);
+    }
+  };
+
+  const getIssueFieldLabel = (issue) =>
+    t(
+      {
+        inputValue: { extension: 'input.suffix', compare: 'input.messageA' }[inputType] ?? 'input.message',
+        compareValue: 'input.messageB',
+        hmacKey: 'input.key',
+      }[issue.field] ?? 'input.input',
+    );
+
+  // Text encodings prompt in the UI language; byte encodings show an example.
+  const getPlaceholder = (encoding, textMessage) =>
+    getInputEncoding(encoding).kind === 'text' ? t(textMessage) : getInputEncoding(encoding).placeholder;
+
+  // Switching how typed text is read goes through a preview, unless there is
+  // nothing typed that could be reinterpreted. `field` is then set to `next`,
+  // which is `to` unless it is an input mode that reads the text as `to`.
+  const requestEncoding = (field, from, to, next = to) => {
+    const value = field === 'hmacKeyType' ? hmacKey : inputValue;
+    if (!isInputEncoding(from) || !isInputEncoding(to) || from === to || value === '') {
+      applyEncoding(field, next);
+      return;
+    }
+
+    setConversion({ field, from, to, next });
+  };
+
+  const requestMode = (mode) =>
+    requestEncoding('inputType', activeEncoding, getActiveEncoding(mode, messageEncoding), mode);
+
+  const finishConversion = (convert) => {
+    const { field, from, to, next } = conversion;
+
+    if (convert && field === 'hmacKeyType') {
+      setHmacKey(convertInput(hmacKey, from, to));
+    } else if (convert) {
+      setInputValue(convertInput(inputValue, from, to));
+
+      // Message B follows the encoding both messages share, not the mode.
+      if (field === 'messageEncoding' && inputType === 'compare') {
+        try {
+          setCompareValue(convertInput(compareValue, from, to));
+        } catch {
+          // Message B keeps its text; the trace error explains what is wrong with it.
+        }
+      }
     }
 
-    const start = Math.max(0, event.roundIndex - 2);
-    const end = Math.min(63, event.roundIndex + 2);
-    const rows = [];
+    applyEncoding(field, next);
+  };
 
-    for (let i = start; i <= end; i += 1) {
-      rows.push({
-        index: i,
-        shift: trace.shifts[i],
-        constant: trace.constants[i],
+  const importTrace = (file) => {
+    file
+      .text()
+      .then((text) => {
+        const imported = importTraceJson(text);
+        resetPlayback();
+        setSavedTrace({ name: file.name, ...imported });
+        setInputType('saved');
+      })
+      .catch((nextError) => {
+        setTraceIoError(nextError instanceof Error ? nextError : t('controls.readSavedTraceFailed'));
       });
+  };
+
+  const loadFile = (file) => {
+    fileScanRef.current?.abort();
+    const controller = new AbortController();
+    fileScanRef.current = controller;
+
+    resetPlayback();
+    setFileState({ status: 'reading', name: file.name, size: file.size, bytesRead: 0 });
+
+    scanFile(file, {
+      signal: controller.signal,
+      onProgress: ({ bytesRead }) => {
+        setFileState((previous) => (previous.status === 'reading' ? { ...previous, bytesRead } : previous));
+      },
+    })
+      .then((source) => {
+        if (!controller.signal.aborted) {
+          setFileState({ status: 'ready', name: file.name, size: file.size, file, source });
+        }
+      })
+      .catch((nextError) => {
+        if (controller.signal.aborted) {
+          return;
+        }
+
+        setFileState({
+          status: 'error',
+          name: file.name,
+          size: file.size,
+          error: nextError instanceof Error ? nextError : t('controls.readFileFailed'),
+        });
+      });
+  };
+
+  const jumpToChunk = (nextChunk) => {
+    if (!trace) {
+      return;
     }
 
-    return rows;
-  }, [event, trace]);
+    setIsPlaying(false);
+    setStep(trace.getChunkStartStep(clamp(nextChunk, 0, trace.chunkCount - 1)));
+  };
+
+  // Which characters became which bytes, for messages typed as text.
+  const characterBytes = useMemo(
+    () =>
+      ['file', 'saved'].includes(inputType) || getInputEncoding(activeEncoding).kind !== 'text'
+        ? null
+        : describeCharacterBytes(inputValue, activeEncoding),
+    [activeEncoding, inputType, inputValue],
+  );
 
   return (
     <div className="fit-viewport" ref={viewportRef}>
@@ -240,66 +702,301 @@ function App() {
           <div className="hero-top">
             <p className="hero-tag">md5algorithm.com</p>
             <div className="hero-actions">
+              <select
+                className="language-select"
+                value={locale}
+                onChange={(eventValue) => onLocaleChange(eventValue.target.value)}
+                aria-label={t('app.language')}
+              >
+                {LOCALES.map((option) => (
+                  <option key={option.value} value={option.value} lang={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
               <a
                 className="external-link vivgrid-link"
                 href="https://vivgrid.com"
                 target="_blank"
                 rel="noreferrer"
-                aria-label="Open vivgrid.com"
+                aria-label={t('app.openVivgrid')}
               >
                 <img src="/vivgrid-logo.svg" alt="" />
                 <span>vivgrid.com</span>
               </a>
-            <a
-              className="external-link github-link"
-              href="https://github.com/fanweixiao/md5algorithm"
-              target="_blank"
-              rel="noreferrer"
-              aria-label="Open GitHub repository"
-            >
-              <svg viewBox="0 0 16 16" aria-hidden="true">
-                <path d="M8 0C3.58 0 0 3.58 0 8a8 8 0 0 0 5.47 7.59c.4.07.55-.17.55-.38v-1.49c-2.22.48-2.69-.94-2.69-.94-.36-.92-.89-1.17-.89-1.17-.73-.5.05-.49.05-.49.81.06 1.24.83 1.24.83.72 1.24 1.88.88 2.34.67.07-.52.28-.88.5-1.08-1.77-.2-3.64-.89-3.64-3.95 0-.87.31-1.58.82-2.14-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82a7.66 7.66 0 0 1 4.01 0c1.53-1.03 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.14 0 3.07-1.88 3.75-3.67 3.95.29.25.54.73.54 1.48v2.19c0 .21.15.46.55.38A8 8 0 0 0 16 8c0-4.42-3.58-8-8-8Z" />
-              </svg>
-              <span>GitHub</span>
-            </a>
+              <a
+                className="external-link github-link"
+                href="https://github.com/fanweixiao/md5algorithm"
+                target="_blank"
+                rel="noreferrer"
+                aria-label={t('app.openGithub')}
+              >
+                <svg viewBox="0 0 16 16" aria-hidden="true">
+                  <path d="M8 0C3.58 0 0 3.58 0 8a8 8 0 0 0 5.47 7.59c.4.07.55-.17.55-.38v-1.49c-2.22.48-2.69-.94-2.69-.94-.36-.92-.89-1.17-.89-1.17-.73-.5.05-.49.05-.49.81.06 1.24.83 1.24.83.72 1.24 1.88.88 2.34.67.07-.52.28-.88.5-1.08-1.77-.2-3.64-.89-3.64-3.95 0-.87.31-1.58.82-2.14-.08-.2-.36-1.02.08-2.12 0 0 .67-.21 2.2.82a7.66 7.66 0 0 1 4.01 0c1.53-1.03 2.2-.82 2.2-.82.44 1.1.16 1.92.08 2.12.51.56.82 1.27.82 2.14 0 3.07-1.88 3.75-3.67 3.95.29.25.54.73.54 1.48v2.19c0 .21.15.46.55.38A8 8 0 0 0 16 8c0-4.42-3.58-8-8-8Z" />
+                </svg>
+                <span>GitHub</span>
+              </a>
             </div>
           </div>
-          <h1>MD5 algorithm explained online step by step visually</h1>
-          <p>
-            This website will help you understand how a md5 hash is calculated from start to finish.
-          </p>
+          <h1>{t('app.title')}</h1>
+          <p>{t('app.intro')}</p>
         </header>
 
         <section className="panel controls">
           <div className="input-row">
             <label>
-              Input mode
+              {t('input.mode')}
               <select
                 value={inputType}
-                onChange={(eventValue) => {
-                  resetPlayback();
-                  setInputType(eventValue.target.value);
-                }}
+                onChange={(eventValue) => requestMode(eventValue.target.value)}
               >
-                <option value="text">Text (UTF-8)</option>
-                <option value="hex">Hex bytes</option>
+                {INPUT_ENCODINGS.map((encoding) => (
+                  <option key={encoding.value} value={encoding.value}>
+                    {t(`encoding.${encoding.value}`)}
+                  </option>
+                ))}
+                <option value="file">{t('input.mode.file')}</option>
+                <option value="hmac">{t('input.mode.hmac')}</option>
+                <option value="extension">{t('input.mode.extension')}</option>
+                <option value="compare">{t('input.mode.compare')}</option>
+                <option value="saved" disabled={!savedTrace}>
+                  {t('input.mode.saved')}
+                </option>
               </select>
             </label>
 
-            <label className="wide">
-              Message
-              <textarea
-                value={inputValue}
-                onChange={(eventValue) => {
-                  resetPlayback();
-                  setInputValue(eventValue.target.value);
-                }}
-                placeholder={inputType === 'hex' ? '61 62 63' : 'Type any message...'}
-                spellCheck={false}
-              />
-            </label>
+            {inputType === 'file' ? (
+              <div className="wide file-input">
+                <span>{t('input.file')}</span>
+                <FileDropZone fileState={fileState} onFile={loadFile} />
+              </div>
+            ) : inputType === 'saved' ? (
+              <div className="wide saved-trace">
+                <span>{t('input.savedTrace')}</span>
+                <div className={`saved-trace-status ${savedTrace.verification.matches ? '' : 'mismatch'}`}>
+                  <strong>{savedTrace.name}</strong>
+                  <span>
+                    {t('input.savedSummary', { count: savedTrace.trace.length })}{' '}
+                    <code>{savedTrace.verification.savedDigest}</code>
+                  </span>
+                  <span>
+                    {savedTrace.verification.matches
+                      ? t('input.savedVerified')
+                      : t('input.savedMismatch', { digest: savedTrace.verification.recomputedDigest })}
+                  </span>
+                </div>
+              </div>
+            ) : (
+              <label className="wide">
+                {t({ extension: 'input.suffix', compare: 'input.messageA' }[inputType] ?? 'input.message')}
+                <DiagnosticTextarea
+                  ref={inputFieldRef}
+                  issues={issues.filter((issue) => issue.field === 'inputValue')}
+                  value={inputValue}
+                  onChange={(eventValue) => {
+                    resetPlayback();
+                    setInputValue(eventValue.target.value);
+                  }}
+                  placeholder={getPlaceholder(activeEncoding, 'input.messagePlaceholder')}
+                  spellCheck={false}
+                />
+              </label>
+            )}
           </div>
 
+          {conversion && (
+            <ConversionPreview
+              value={conversion.field === 'hmacKeyType' ? hmacKey : inputValue}
+              from={conversion.from}
+              to={conversion.to}
+              onConvert={() => finishConversion(true)}
+              onKeep={() => finishConversion(false)}
+              onCancel={() => setConversion(null)}
+            />
+          )}
+
+          {inputType === 'hmac' && (
+            <div className="input-row extra-row">
+              <label>
+                {t('input.keyMessageEncoding')}
+                <div className="select-pair">
+                  <select
+                    value={hmacKeyType}
+                    onChange={(eventValue) => requestEncoding('hmacKeyType', hmacKeyType, eventValue.target.value)}
+                    aria-label={t('input.keyEncoding')}
+                  >
+                    {INPUT_ENCODINGS.map((encoding) => (
+                      <option key={encoding.value} value={encoding.value}>
+                        {t('input.keyEncodingOption', { encoding: t(`encoding.${encoding.value}`) })}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={messageEncoding}
+                    onChange={(eventValue) => requestEncoding('messageEncoding', messageEncoding, eventValue.target.value)}
+                    aria-label={t('input.messageEncoding')}
+                  >
+                    {INPUT_ENCODINGS.map((encoding) => (
+                      <option key={encoding.value} value={encoding.value}>
+                        {t('input.messageEncodingOption', { encoding: t(`encoding.${encoding.value}`) })}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </label>
+              <label className="wide">
+                {t('input.key')}
+                <input
+                  ref={hmacKeyFieldRef}
+                  type="text"
+                  value={hmacKey}
+                  aria-invalid={issues.some((issue) => issue.field === 'hmacKey') || undefined}
+                  onChange={(eventValue) => {
+                    resetPlayback();
+                    setHmacKey(eventValue.target.value);
+                  }}
+                  placeholder={getPlaceholder(hmacKeyType, 'input.keyPlaceholder')}
+                  spellCheck={false}
+                />
+              </label>
+            </div>
+          )}
+
+          {inputType === 'compare' && (
+            <div className="input-row extra-row">
+              <div className="compare-options">
+                <label>
+                  {t('input.bothEncoding')}
+                  <select
+                    value={messageEncoding}
+                    onChange={(eventValue) => requestEncoding('messageEncoding', messageEncoding, eventValue.target.value)}
+                  >
+                    {INPUT_ENCODINGS.map((encoding) => (
+                      <option key={encoding.value} value={encoding.value}>
+                        {t(`encoding.${encoding.value}`)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  {t('collision.load')}
+                  <select value={loadedCollision?.id ?? ''} onChange={(eventValue) => loadCollision(eventValue.target.value)}>
+                    <option value="">{t('collision.none')}</option>
+                    {KNOWN_COLLISIONS.map((collision) => (
+                      <option key={collision.id} value={collision.id}>
+                        {t(`collision.${collision.id}`)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {loadedCollision && <p className="hint">{t('collision.source', { source: loadedCollision.source })}</p>}
+              </div>
+              <label className="wide">
+                {t('input.messageB')}
+                <DiagnosticTextarea
+                  ref={compareFieldRef}
+                  issues={issues.filter((issue) => issue.field === 'compareValue')}
+                  value={compareValue}
+                  onChange={(eventValue) => {
+                    resetPlayback();
+                    setCompareValue(eventValue.target.value);
+                  }}
+                  placeholder={getPlaceholder(messageEncoding, 'input.messageBPlaceholder')}
+                  spellCheck={false}
+                />
+              </label>
+            </div>
+          )}
+
+          {inputType === 'extension' && (
+            <div className="input-row extra-row">
+              <label>
+                {t('input.suffixEncoding')}
+                <select
+                  value={messageEncoding}
+                  onChange={(eventValue) => requestEncoding('messageEncoding', messageEncoding, eventValue.target.value)}
+                >
+                  {INPUT_ENCODINGS.map((encoding) => (
+                    <option key={encoding.value} value={encoding.value}>
+                      {t(`encoding.${encoding.value}`)}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div className="wide extension-fields">
+                <label>
+                  {t('input.knownDigest')}
+                  <input
+                    type="text"
+                    value={extension.knownDigest}
+                    onChange={(eventValue) => {
+                      resetPlayback();
+                      setExtension((previous) => ({ ...previous, knownDigest: eventValue.target.value }));
+                    }}
+                    spellCheck={false}
+                  />
+                </label>
+                <label>
+                  {t('input.originalLength')}
+                  <input
+                    type="number"
+                    min="0"
+                    value={extension.originalLength}
+                    onChange={(eventValue) => {
+                      resetPlayback();
+                      setExtension((previous) => ({ ...previous, originalLength: eventValue.target.value }));
+                    }}
+                  />
+                </label>
+                <label>
+                  {t('input.originalMessage')}
+                  <input
+                    type="text"
+                    value={extension.originalMessage}
+                    onChange={(eventValue) => {
+                      resetPlayback();
+                      setExtension((previous) => ({ ...previous, originalMessage: eventValue.target.value }));
+                    }}
+                    spellCheck={false}
+                  />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => {
+                    resetPlayback();
+                    setExtension((previous) => describeOriginal(previous.originalMessage));
+                  }}
+                >
+                  {t('input.takeFromOriginal')}
+                </button>
+              </div>
+            </div>
+          )}
+
+          {inputType === 'file' && trace && (
+            <div className="chunk-jump">
+              <label>
+                {t('input.jumpToChunk')}
+                <input
+                  type="number"
+                  min="1"
+                  max={trace.chunkCount}
+                  value={chunkIndex + 1}
+                  onChange={(eventValue) => jumpToChunk(Number(eventValue.target.value) - 1)}
+                />
+              </label>
+              <input
+                type="range"
+                min="0"
+                max={trace.chunkCount - 1}
+                value={chunkIndex}
+                onChange={(eventValue) => jumpToChunk(Number(eventValue.target.value))}
+                aria-label={t('input.chunk')}
+              />
+              <span>{t('input.ofChunks', { count: trace.chunkCount })}</span>
+            </div>
+          )}
+
           <div className="buttons-row">
             <button type="button" onClick={() => onStepChange(0)} disabled={!trace || currentStep === 0}>
               |&lt;
@@ -310,23 +1007,8 @@ function App() {
             <button type="button" onClick={() => onStepChange(currentStep - 1)} disabled={!trace || currentStep === 0}>
               -1
             </button>
-            <button
-              type="button"
-              onClick={() => {
-                if (playingActive) {
-                  setIsPlaying(false);
-                  return;
-                }
-
-                if (currentStep >= maxStep) {
-                  setStep(0);
-                }
-
-                setIsPlaying(true);
-              }}
-              disabled={!trace || maxStep === 0}
-            >
-              {playingActive ? 'Pause' : 'Play'}
+            <button type="button" onClick={togglePlay} disabled={!trace || maxStep === 0}>
+              {t(playingActive ? 'controls.pause' : 'controls.play')}
             </button>
             <button type="button" onClick={() => onStepChange(currentStep + 1)} disabled={!trace || currentStep >= maxStep}>
               +1
@@ -339,7 +1021,7 @@ function App() {
             </button>
 
             <label className="speed-control">
-              Speed
+              {t('controls.speed')}
               <input
                 type="range"
                 min="60"
@@ -348,221 +1030,295 @@ function App() {
                 value={speed}
                 onChange={(eventValue) => setSpeed(Number(eventValue.target.value))}
               />
-              <span>{speed}ms</span>
+              <span>{t('controls.speedValue', { speed })}</span>
             </label>
-          </div>
 
-          <div className="progress-row" aria-live="polite">
-            <div className="progress-header">
-              <strong>
-                Step {currentStep} / {maxStep}
-              </strong>
-              <span>{getEventTitle(event)}</span>
-            </div>
-            <div className="progress-track" role="progressbar" aria-valuemin={0} aria-valuemax={maxStep} aria-valuenow={currentStep}>
-              <div className="progress-fill" style={{ width: `${progress}%` }} />
-            </div>
-          </div>
-
-          {error && <div className="error-box">{error}</div>}
-        </section>
+            <label className="algorithm-control">
+              {t('controls.algorithm')}
+              <select
+                value={algorithmAvailable ? algorithm : 'md5'}
+                disabled={!algorithmAvailable}
+                onChange={(eventValue) => {
+                  resetPlayback();
+                  setAlgorithm(eventValue.target.value);
+                }}
+              >
+                <option value="md5">MD5</option>
+                <option value="md4">MD4</option>
+              </select>
+            </label>
 
-        {trace && (
-          <section className="panel-grid">
-            <article className="panel panel-explainer">
-              <h2>Step explainer</h2>
-              <p className="subtitle">{getEventTitle(event)}</p>
-
-            {event?.type === 'preprocess' && (
-              <div className="kv-list">
-                <div>
-                  <span>Input length</span>
-                  <code>
-                    {event.inputLengthBytes} bytes ({event.inputLengthBits} bits)
-                  </code>
-                </div>
-                <div>
-                  <span>Padding added</span>
-                  <code>{event.addedBytes} bytes</code>
-                </div>
-                <div>
-                  <span>Padded message length</span>
-                  <code>
-                    {event.paddedLengthBytes} bytes ({event.paddedLengthBits} bits)
-                  </code>
-                </div>
-                <div>
-                  <span>Chunk count</span>
-                  <code>{event.chunkCount}</code>
-                </div>
-              </div>
-            )}
+            <label className="lab-toggle" title={labAvailable ? '' : t('controls.labUnavailable')}>
+              <input
+                type="checkbox"
+                checked={labEnabled}
+                disabled={!labAvailable}
+                onChange={(eventValue) => {
+                  resetPlayback();
+                  setLabEnabled(eventValue.target.checked);
+                }}
+              />
+              {t('controls.lab')}
+            </label>
 
-            {event?.type === 'round' && (
-              <div className="kv-list">
-                <div>
-                  <span>Round family</span>
-                  <code>{event.functionName}</code>
-                </div>
-                <div>
-                  <span>Boolean function</span>
-                  <code>{event.functionFormula}</code>
-                </div>
-                <div>
-                  <span>Word index rule</span>
-                  <code>{event.indexFormula}</code>
-                </div>
-                <div>
-                  <span>Selected message word</span>
-                  <code>
-                    g = {event.g}, M[g] = {formatWord(event.messageWord)}
-                  </code>
-                </div>
-              </div>
-            )}
+            <label className="lab-toggle">
+              <input
+                type="checkbox"
+                checked={quizEnabled}
+                disabled={!trace}
+                onChange={(eventValue) => {
+                  setIsPlaying(false);
+                  setQuizEnabled(eventValue.target.checked);
+                }}
+              />
+              {t('controls.practice')}
+            </label>
 
-            {event?.type === 'chunk-end' && (
-              <p className="hint">
-                At the end of a chunk, MD5 adds the working registers back into the running hash state (mod 2^32).
-              </p>
-            )}
+            <button
+              type="button"
+              className="share-button"
+              title={t(
+                shareQuery
+                  ? 'controls.copyLinkTitle'
+                  : isLinkableMode(inputType)
+                    ? 'controls.copyLinkTooLong'
+                    : 'controls.copyLinkUnavailable',
+              )}
+              disabled={!shareQuery}
+              onClick={() => navigator.clipboard?.writeText(`${window.location.origin}${window.location.pathname}?${shareQuery}`)}
+            >
+              {t('controls.copyLink')}
+            </button>
 
-            {event?.type === 'done' && (
-              <p className="hint">Digest complete. The output is the little-endian concatenation of A, B, C, and D.</p>
-            )}
+            <button
+              type="button"
+              onClick={() => setShowSearch((current) => !current)}
+              aria-pressed={showSearch}
+              disabled={!trace}
+            >
+              {breakpoints.length > 0
+                ? t('controls.searchWithBreakpoints', { count: breakpoints.length })
+                : t('controls.search')}
+            </button>
 
-            <div className="digest-box">
-              <h3>Current digest</h3>
-              <code>{currentDigest}</code>
-              {event?.type === 'round' && <p className="hint">Preview value for this round. Final MD5 is at the last step.</p>}
-            </div>
-            </article>
-
-            <article className="panel panel-message">
-            <h2>Message and chunks</h2>
-            <div className="kv-list">
-              <div>
-                <span>Original bytes (hex)</span>
-                <code>{formatBytes(trace.inputBytes, 80)}</code>
-              </div>
-              <div>
-                <span>Padded bytes (hex)</span>
-                <code>{formatBytes(trace.paddedBytes, 128)}</code>
-              </div>
-              <div>
-                <span>Active chunk</span>
-                <code>
-                  {chunkIndex + 1}/{trace.chunks.length}
-                </code>
-              </div>
-            </div>
+            <button type="button" onClick={() => setShowBatch((current) => !current)} aria-pressed={showBatch}>
+              {t('controls.batch')}
+            </button>
 
-            <h3>Chunk bytes</h3>
-            <pre>{formatBytes(activeChunk?.bytes ?? [], 64)}</pre>
+            <button
+              type="button"
+              className="shortcut-button"
+              onClick={() => setShowShortcuts(true)}
+              aria-haspopup="dialog"
+              title={t('controls.keysTitle')}
+            >
+              {t('controls.keys')}
+            </button>
+          </div>
 
-            <h3>M[0..15] little-endian words</h3>
-            <div className="word-grid">
-              {(activeChunk?.words ?? []).map((word, index) => (
-                <div key={`word-${index}`} className={`word-item ${index === highlightedWord ? 'active' : ''}`}>
-                  <span>M[{index}]</span>
-                  <code>{formatWord(word)}</code>
-                </div>
-              ))}
+          <div className="progress-row">
+            <div className="progress-header">
+              <strong>{t('controls.step', { step: currentStep, maxStep })}</strong>
+              <span>{getEventTitle(event, t)}</span>
             </div>
-            </article>
-
-            <article className="panel panel-round">
-            <h2>Round math</h2>
-            {event?.type === 'round' ? (
-              <>
-                <div className="kv-list">
-                  <div>
-                    <span>i</span>
-                    <code>{event.roundIndex}</code>
-                  </div>
-                  <div>
-                    <span>K[i]</span>
-                    <code>{formatWord(event.constant)}</code>
-                  </div>
-                  <div>
-                    <span>s[i]</span>
-                    <code>{event.shift}</code>
-                  </div>
-                  <div>
-                    <span>Function output</span>
-                    <code>{formatWord(event.functionResult)}</code>
-                  </div>
-                </div>
+            {trace && (
+              <Timeline
+                trace={trace}
+                currentStep={currentStep}
+                onSeek={(nextStep) => {
+                  setIsPlaying(false);
+                  setStep(nextStep);
+                }}
+                valueText={t('controls.stepValue', { step: currentStep, title: getEventTitle(event, t) })}
+              />
+            )}
+            <p className="sr-only" aria-live="polite" aria-atomic="true">
+              {narration}
+            </p>
+          </div>
 
-                <div className="equation">
-                  <p>
-                    sum = A + f + K[i] + M[g] = <code>{formatWord(event.sum)}</code>
-                  </p>
-                  <p>
-                    rotate(sum, s[i]) = <code>{formatWord(event.rotated)}</code>
-                  </p>
-                  <p>
-                    B&apos; = B + rotate(sum, s[i]) = <code>{formatWord(event.registersAfter[1])}</code>
-                  </p>
-                </div>
+          {showSearch && trace && (
+            <SearchPanel
+              trace={trace}
+              currentStep={currentStep}
+              onJump={(nextStep) => {
+                setIsPlaying(false);
+                setStep(nextStep);
+              }}
+              breakpoints={breakpoints}
+              onBreakpointsChange={setBreakpoints}
+              breakpointHit={breakpointHit?.step === currentStep ? breakpointHit : null}
+            />
+          )}
+
+          {quizEnabled && trace && (
+            <QuizPanel
+              trace={trace}
+              event={event}
+              step={currentStep}
+              question={quizQuestion}
+              solved={!quizOpen}
+              quantities={quizQuantities}
+              onQuantitiesChange={setQuizQuantities}
+              score={quizScore}
+              onScore={(quantity, correct) => setQuizScore((current) => recordQuizResult(current, quantity, correct))}
+              onResetScore={() => setQuizScore(EMPTY_QUIZ_SCORE)}
+              onSolved={() => setQuizSolved({ trace, step: currentStep })}
+              onNextRound={nextQuizRound}
+            />
+          )}
+
+          <div className="trace-io">
+            <button
+              type="button"
+              onClick={() => exportTrace('json')}
+              disabled={!canExportTrace(trace)}
+              title={trace && !canExportTrace(trace) ? t('controls.exportLimit', { count: MAX_EXPORT_STEPS }) : ''}
+            >
+              {t('controls.exportJson')}
+            </button>
+            <button
+              type="button"
+              onClick={() => exportTrace('csv')}
+              disabled={!canExportTrace(trace)}
+              title={trace && !canExportTrace(trace) ? t('controls.exportLimit', { count: MAX_EXPORT_STEPS }) : ''}
+            >
+              {t('controls.exportCsv')}
+            </button>
+            <button type="button" onClick={() => importInputRef.current?.click()}>
+              {t('controls.importJson')}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              hidden
+              onChange={(changeEvent) => {
+                const file = changeEvent.target.files?.[0];
+                if (file) {
+                  importTrace(file);
+                }
+                changeEvent.target.value = '';
+              }}
+            />
+          </div>
 
-                <h3>Constants around i</h3>
-                <div className="word-grid constants-grid">
-                  {roundWindow.map((row) => (
-                    <div key={`k-window-${row.index}`} className={`word-item ${row.index === event.roundIndex ? 'active' : ''}`}>
-                      <span>i={row.index}</span>
-                      <code>K={toHex32(row.constant)}</code>
-                      <code>s={row.shift}</code>
-                    </div>
+          {(traceJobState.pending || fileScanState.pending) && (
+            <div className="computing-note" role="status">
+              {t('controls.computing')}
+              {computingProgress &&
+                ` ${t('controls.computingProgress', {
+                  done: computingProgress.chunksDone,
+                  count: computingProgress.chunkCount,
+                })}`}
+            </div>
+          )}
+          {trace && !event && (
+            <div className="computing-note" role="status">
+              {t('controls.loadingChunk')}
+            </div>
+          )}
+
+          {linkError && <div className="error-box">{linkError}</div>}
+          {traceIoError && <div className="error-box">{t.error(traceIoError)}</div>}
+          {error && (
+            <div className="error-box">
+              {t.error(error)}
+              {issues.length > 0 && (
+                <ul className="issue-list">
+                  {issues.slice(0, MAX_LISTED_ISSUES).map((issue, index) => (
+                    <li key={`${issue.field}-${issue.start}-${index}`}>
+                      <button type="button" className="issue-link" onClick={() => jumpToIssue(issue)}>
+                        <span className="issue-place">
+                          {t('issues.place', { field: getIssueFieldLabel(issue), position: issue.start + 1 })}
+                        </span>
+                        {issue.text && <code>{issue.text}</code>}
+                        <span>{t.error(issue)}</span>
+                        {issue.fixKey && <span className="issue-fix">{t(issue.fixKey, issue.fixParams)}</span>}
+                      </button>
+                    </li>
                   ))}
-                </div>
-              </>
-            ) : (
-              <p className="hint">Move to a round step to inspect the boolean function, constants, shifts, and arithmetic.</p>
-            )}
-            </article>
-
-            <article className="panel panel-register">
-            <h2>Registers and hash state</h2>
-            {event?.type === 'round' && (
-              <>
-                <RegisterTable title="Registers before round" values={event.registersBefore} />
-                <RegisterTable title="Registers after round" values={event.registersAfter} />
-              </>
-            )}
-
-            {event?.type === 'chunk-start' && (
-              <>
-                <HashTable title="Hash before chunk" values={event.hashBefore} />
-                <RegisterTable title="Working registers initialized" values={event.registersBefore} />
-              </>
-            )}
+                  {issues.length > MAX_LISTED_ISSUES && (
+                    <li className="issue-more">{t('issues.more', { count: issues.length - MAX_LISTED_ISSUES })}</li>
+                  )}
+                </ul>
+              )}
+            </div>
+          )}
+        </section>
 
-            {event?.type === 'chunk-end' && (
-              <>
-                <RegisterTable title="Working registers after 64 rounds" values={event.registersBeforeAdd} />
-                <HashTable title="Hash before add" values={event.hashBefore} />
-                <HashTable title="Hash after add" values={event.hashAfter} />
-              </>
-            )}
+        {showBatch && <BatchPanel onOpen={openBatchInput} />}
+
+        {trace && compareTrace && (
+          <ComparePanel
+            trace={trace}
+            compareTrace={compareTrace}
+            step={currentStep}
+            chunkIndex={chunkIndex}
+            onStepChange={(nextStep) => {
+              setIsPlaying(false);
+              onStepChange(nextStep);
+            }}
+          />
+        )}
 
-            {event?.type === 'preprocess' && <HashTable title="Initial MD5 state" values={trace.initialHash} />}
+        {labEnabled && labAvailable && (
+          <LabPanel
+            draft={labDraft}
+            isStandard={trace?.isStandard ?? false}
+            onChange={(nextDraft) => {
+              resetPlayback();
+              setLabDraft(nextDraft);
+            }}
+          />
+        )}
 
-            {event?.type === 'done' && (
-              <>
-                <HashTable title="Final state words" values={event.hash} />
-                <div className="digest-box final">
-                  <h3>Final MD5</h3>
-                  <code>{event.digest}</code>
-                </div>
-              </>
-            )}
-            </article>
-          </section>
+        {trace && (
+          <TracePanels
+            trace={trace}
+            step={currentStep}
+            panels={panels}
+            onTogglePanel={(panel) =>
+              setPanels((current) =>
+                current.includes(panel) ? current.filter((name) => name !== panel) : [...current, panel],
+              )
+            }
+            hidden={quizHidden}
+            encoding={['file', 'saved'].includes(inputType) ? null : activeEncoding}
+            characterBytes={characterBytes}
+            animate={playingActive}
+            speed={speed}
+          />
         )}
       </div>
+
+      {showShortcuts && <ShortcutHelp onClose={() => setShowShortcuts(false)} />}
     </div>
   );
 }
 
+// Holds the UI language: the visualizer and every panel in it translate
+// through the translator it provides.
+function App() {
+  const [locale, setLocale] = useState(loadLocale);
+  const t = useMemo(() => createTranslator(locale), [locale]);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.title = t('app.documentTitle');
+  }, [locale, t]);
+
+  return (
+    <TranslatorContext value={t}>
+      <Visualizer
+        locale={locale}
+        onLocaleChange={(nextLocale) => {
+          setLocale(nextLocale);
+          saveLocale(nextLocale);
+        }}
+      />
+    </TranslatorContext>
+  );
+}
+
 export default App;
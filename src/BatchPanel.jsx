@@ -0,0 +1,131 @@
+import { useEffect, useMemo, useState } from 'react';
+import { BATCH_STATUSES, checkBatch, parseBatchInput, summarizeBatch } from './batch';
+import { INPUT_ENCODINGS } from './inputEncodings';
+import { useTranslator } from './useTranslator';
+
+// Rows past this are counted but not listed; the summary covers all of them.
+const MAX_LISTED_ROWS = 500;
+// Every input is hashed again on each check, so checking waits for typing to
+// pause and stops at lists longer than this.
+const CHECK_DELAY_MS = 300;
+const MAX_CHECKED_LENGTH = 1_000_000;
+const MAX_SHOWN_INPUT = 48;
+
+function shortenInput(input) {
+  const shown = input.replace(/\n/g, '\\n');
+  return shown.length > MAX_SHOWN_INPUT ? `${shown.slice(0, MAX_SHOWN_INPUT)}...` : shown;
+}
+
+// Hashes a list of inputs, one per line or as pasted md5sum output, and
+// checks them against their expected digests. `onOpen(input, encoding)`
+// takes a row into the step-by-step viewer.
+function BatchPanel({ onOpen }) {
+  const t = useTranslator();
+  const [text, setText] = useState('');
+  const [encoding, setEncoding] = useState('text');
+  const [checkedText, setCheckedText] = useState('');
+  const tooLong = checkedText.length > MAX_CHECKED_LENGTH;
+  const rows = useMemo(
+    () => (tooLong ? [] : checkBatch(parseBatchInput(checkedText), encoding)),
+    [checkedText, encoding, tooLong],
+  );
+
+  useEffect(() => {
+    const timer = window.setTimeout(() => setCheckedText(text), CHECK_DELAY_MS);
+    return () => window.clearTimeout(timer);
+  }, [text]);
+  const summary = summarizeBatch(rows);
+
+  return (
+    <section className="panel batch-panel">
+      <div className="batch-header">
+        <h2>{t('batch.title')}</h2>
+        <label>
+          {t('batch.encoding')}
+          <select value={encoding} onChange={(eventValue) => setEncoding(eventValue.target.value)}>
+            {INPUT_ENCODINGS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {t(`encoding.${option.value}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(eventValue) => setText(eventValue.target.value)}
+        placeholder={t('batch.placeholder')}
+        aria-label={t('batch.inputs')}
+        spellCheck={false}
+      />
+      <p className="hint">{t('batch.hint')}</p>
+      {tooLong && (
+        <p className="hint" role="status">
+          {t('batch.tooLong', { limit: MAX_CHECKED_LENGTH, count: checkedText.length })}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <>
+          <p className="batch-summary" role="status">
+            {BATCH_STATUSES.map((status) => (
+              <span key={status} className={`batch-status ${status}`}>
+                {t(`batch.summary.${status}`, { count: summary[status] })}
+              </span>
+            ))}
+          </p>
+
+          <table className="batch-table">
+            <thead>
+              <tr>
+                <th>{t('batch.line')}</th>
+                <th>{t('batch.input')}</th>
+                <th>{t('batch.length')}</th>
+                <th>{t('batch.chunks')}</th>
+                <th>{t('batch.computed')}</th>
+                <th>{t('batch.expected')}</th>
+                <th>{t('batch.result')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, MAX_LISTED_ROWS).map((row) => (
+                <tr
+                  key={`batch-row-${row.lineNumber}`}
+                  className={row.status}
+                  tabIndex={0}
+                  title={t('batch.open')}
+                  onClick={() => onOpen(row.input, encoding)}
+                  onKeyDown={(keyEvent) => {
+                    if (keyEvent.key === 'Enter') {
+                      onOpen(row.input, encoding);
+                    }
+                  }}
+                >
+                  <td>{row.lineNumber}</td>
+                  <td>
+                    <code>{shortenInput(row.input)}</code>
+                  </td>
+                  <td>{row.status === 'error' ? '' : t.number(row.length)}</td>
+                  <td>{row.status === 'error' ? '' : t.number(row.chunkCount)}</td>
+                  <td>
+                    <code>{row.status === 'error' ? t.error(row.error) : row.digest}</code>
+                  </td>
+                  <td>
+                    <code>{row.expected ?? ''}</code>
+                  </td>
+                  <td>{t(`batch.status.${row.status}`)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > MAX_LISTED_ROWS && (
+            <p className="hint">{t('batch.more', { count: rows.length - MAX_LISTED_ROWS })}</p>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
+
+export default BatchPanel;
@@ -0,0 +1,148 @@
+import { addWithCarries, getBitSources, toBits } from './bits';
+import { formatWord } from './md5';
+import { useTranslator } from './useTranslator';
+
+function BitRow({ label, bits, value, sources, className = '' }) {
+  const t = useTranslator();
+
+  return (
+    <div className={`bit-row ${className}`}>
+      <span className="bit-label">{label}</span>
+      <div className="bit-cells">
+        {bits.map((bit, index) => (
+          <span
+            key={`${label}-${index}`}
+            className={`bit ${bit ? 'on' : 'off'} ${sources ? `from-${sources[index].toLowerCase()}` : ''}`}
+            title={
+              sources ? t('bits.bitFrom', { bit: 31 - index, source: sources[index] }) : t('bits.bit', { bit: 31 - index })
+            }
+          >
+            {bit}
+          </span>
+        ))}
+      </div>
+      {value !== undefined && <code>{formatWord(value)}</code>}
+    </div>
+  );
+}
+
+function CarryRow({ carries }) {
+  const t = useTranslator();
+
+  return (
+    <div className="bit-row carry-row">
+      <span className="bit-label">{t('bits.carry')}</span>
+      <div className="bit-cells">
+        {carries.map((carry, index) => (
+          <span
+            key={`carry-${index}`}
+            className={`bit carry ${carry ? 'on' : 'off'}`}
+            title={t('bits.carryInto', { bit: 31 - index })}
+          >
+            {carry || ''}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// The sum bits are drawn twice side by side and slid left by `shift` cells
+// inside a 32-cell window, which is exactly a left rotation.
+function RotationRow({ sumBits, shift, rotated }) {
+  return (
+    <div className="bit-row">
+      <span className="bit-label">&lt;&lt;&lt; {shift}</span>
+      <div className="bit-window">
+        <div className="bit-cells rotating" style={{ '--shift': shift }}>
+          {[...sumBits, ...sumBits].map((bit, index) => (
+            <span
+              key={`rotate-${index}`}
+              className={`bit ${bit ? 'on' : 'off'} ${index % 32 < shift ? 'wraps' : ''}`}
+            >
+              {bit}
+            </span>
+          ))}
+        </div>
+      </div>
+      <code>{formatWord(rotated)}</code>
+    </div>
+  );
+}
+
+function BitView({ event }) {
+  const t = useTranslator();
+  const [a, b, c, d] = event.registersBefore;
+  const sources = getBitSources(event.functionName, event.algorithm, b, c, d);
+  const sumAddition = addWithCarries([a, event.functionResult, event.constant, event.messageWord]);
+  const nextB = event.registersAfter[1];
+  // MD5 adds B after the rotation; MD4 uses the rotated sum as is.
+  const addsB = event.addsB;
+  const finalAddition = addWithCarries([b, event.rotated]);
+
+  return (
+    <div className="bit-view">
+      <section>
+        <h3>
+          f = {event.functionName}(B, C, D) = {event.functionFormula}
+        </h3>
+        <BitRow label="B" bits={toBits(b)} value={b} />
+        <BitRow label="C" bits={toBits(c)} value={c} />
+        <BitRow label="D" bits={toBits(d)} value={d} />
+        <BitRow
+          label="f"
+          bits={toBits(event.functionResult)}
+          value={event.functionResult}
+          sources={sources}
+          className="result"
+        />
+        {sources && (
+          <p className="hint">
+            {t('bits.coloredBySource')}{' '}
+            {[...new Set(sources)].sort().map((source) => (
+              <span key={source} className={`bit-legend from-${source.toLowerCase()}`}>
+                {source}
+              </span>
+            ))}
+          </p>
+        )}
+      </section>
+
+      <section>
+        <h3>sum = {event.sumFormula} (mod 2^32)</h3>
+        <CarryRow carries={sumAddition.carries} />
+        <BitRow label="A" bits={toBits(a)} value={a} />
+        <BitRow label="f" bits={toBits(event.functionResult)} value={event.functionResult} />
+        <BitRow label={event.constantLabel} bits={toBits(event.constant)} value={event.constant} />
+        <BitRow label="M[g]" bits={toBits(event.messageWord)} value={event.messageWord} />
+        <BitRow label="sum" bits={sumAddition.bits} value={event.sum} className="result" />
+      </section>
+
+      <section>
+        <h3>rotate(sum, {event.shift})</h3>
+        <RotationRow
+          key={`${event.chunkIndex}-${event.roundIndex}`}
+          sumBits={sumAddition.bits}
+          shift={event.shift}
+          rotated={event.rotated}
+        />
+      </section>
+
+      <section>
+        <h3>B&apos; = {event.nextBFormula}</h3>
+        {addsB ? (
+          <>
+            <CarryRow carries={finalAddition.carries} />
+            <BitRow label="B" bits={toBits(b)} value={b} />
+            <BitRow label="rot" bits={toBits(event.rotated)} value={event.rotated} />
+            <BitRow label="B'" bits={finalAddition.bits} value={nextB} className="result" />
+          </>
+        ) : (
+          <BitRow label="B'" bits={toBits(nextB)} value={nextB} className="result" />
+        )}
+      </section>
+    </div>
+  );
+}
+
+export default BitView;
@@ -0,0 +1,221 @@
+import { useMemo } from 'react';
+import {
+  diffRoundEvents,
+  digestDistance,
+  findCancelledRounds,
+  findCollision,
+  getAlignedEvents,
+  getChunkDiffSeries,
+} from './compare';
+import { formatWord } from './md5';
+import { useTranslator } from './useTranslator';
+
+const REGISTER_NAMES = ['A', 'B', 'C', 'D'];
+const BAR_WIDTH = 8;
+const CHART_HEIGHT = 128;
+const MAX_LISTED_OFFSETS = 16;
+
+function DiffRow({ label, diff }) {
+  return (
+    <tr>
+      <th>{label}</th>
+      <td>
+        <code>{formatWord(diff.left)}</code>
+      </td>
+      <td>
+        <code>{formatWord(diff.right)}</code>
+      </td>
+      <td>
+        <code>{formatWord(diff.xor)}</code>
+      </td>
+      <td>{diff.distance}</td>
+    </tr>
+  );
+}
+
+function DiffChart({ series, cancelled, activeRound, onSelectRound }) {
+  const t = useTranslator();
+  const width = Math.max(series.length, 1) * BAR_WIDTH;
+
+  return (
+    <svg
+      className="diff-chart"
+      viewBox={`0 0 ${width} ${CHART_HEIGHT}`}
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={t('compare.chartLabel')}
+    >
+      {cancelled.map(({ start, end }) => (
+        <rect
+          key={`diff-cancel-${start}`}
+          className="diff-chart-cancel"
+          x={start * BAR_WIDTH}
+          y="0"
+          width={(end - start + 1) * BAR_WIDTH}
+          height={CHART_HEIGHT}
+        >
+          <title>{t('compare.cancelTitle', { start: start + 1, end: end + 1 })}</title>
+        </rect>
+      ))}
+      <line className="diff-chart-half" x1="0" x2={width} y1={CHART_HEIGHT / 2} y2={CHART_HEIGHT / 2} />
+      {series.map((bits, round) => (
+        <rect
+          key={`diff-bar-${round}`}
+          className={round === activeRound ? 'active' : ''}
+          x={round * BAR_WIDTH + 1}
+          y={CHART_HEIGHT - bits}
+          width={BAR_WIDTH - 2}
+          height={Math.max(bits, 0.5)}
+          onClick={() => onSelectRound(round)}
+        >
+          <title>{t('compare.barTitle', { round: round + 1, count: bits })}</title>
+        </rect>
+      ))}
+    </svg>
+  );
+}
+
+// How two colliding messages differ, and where each chunk's chaining value
+// difference appears and disappears.
+function CollisionReport({ collision, trace, onStepChange }) {
+  const t = useTranslator();
+  const offsets = collision.differingBytes.slice(0, MAX_LISTED_OFFSETS).join(', ');
+  const chunkEndStep = (chunkIndex) => trace.getChunkStartStep(chunkIndex) + trace.roundCount + 1;
+
+  return (
+    <div className="collision-report">
+      <p className="collision-banner" role="status">
+        {t('collision.banner', { count: collision.differingBytes.length, digest: collision.digest })}{' '}
+        {t('collision.offsets', {
+          offsets: collision.differingBytes.length > MAX_LISTED_OFFSETS ? `${offsets}, ...` : offsets,
+        })}
+      </p>
+
+      <h3>{t('collision.chainTitle')}</h3>
+      <table className="diff-table collision-chain">
+        <thead>
+          <tr>
+            <th>{t('collision.chunk')}</th>
+            <th>{t('collision.words')}</th>
+            <th>{t('collision.bitsIn')}</th>
+            <th>{t('collision.bitsOut')}</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {collision.chunks.map((chunk) => {
+            const cancelled = chunk.after === 0 && (chunk.before > 0 || chunk.words.length > 0);
+
+            return (
+              <tr key={`collision-chunk-${chunk.chunkIndex}`} className={cancelled ? 'cancelled' : ''}>
+                <th>
+                  <button
+                    type="button"
+                    title={t('collision.jumpToChunkEnd', { chunk: chunk.chunkIndex + 1 })}
+                    onClick={() => onStepChange(chunkEndStep(chunk.chunkIndex))}
+                  >
+                    {chunk.chunkIndex + 1}
+                  </button>
+                </th>
+                <td>
+                  {chunk.words.length > 0
+                    ? chunk.words.map((word) => `M[${word}]`).join(', ')
+                    : t('collision.wordsNone')}
+                </td>
+                <td>{chunk.before}</td>
+                <td>{chunk.after}</td>
+                <td>{cancelled && t('collision.cancelled')}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="hint">{t('collision.chainNote')}</p>
+    </div>
+  );
+}
+
+function ComparePanel({ trace, compareTrace, step, chunkIndex, onStepChange }) {
+  const t = useTranslator();
+  const { left, right } = getAlignedEvents(trace, compareTrace, step);
+  const diff = diffRoundEvents(left, right);
+  const sameShape = trace.chunkCount === compareTrace.chunkCount && trace.roundCount === compareTrace.roundCount;
+  const series = useMemo(
+    () => getChunkDiffSeries(trace, compareTrace, chunkIndex),
+    [chunkIndex, compareTrace, trace],
+  );
+  const cancelled = useMemo(() => findCancelledRounds(series), [series]);
+  // Only computed for equal digests, where it is worth a chunk-end step per chunk.
+  const collision = useMemo(
+    () => (trace.digest === compareTrace.digest ? findCollision(trace, compareTrace) : null),
+    [compareTrace, trace],
+  );
+  const activeRound = left?.type === 'round' ? left.roundIndex : -1;
+  const finalDistance = digestDistance(trace.digest, compareTrace.digest);
+
+  return (
+    <section className="panel compare-panel">
+      <div className="compare-header">
+        <h2>{t('compare.title')}</h2>
+        <span>{t('compare.finalDistance', { count: finalDistance })}</span>
+      </div>
+
+      {collision && <CollisionReport collision={collision} trace={trace} onStepChange={onStepChange} />}
+
+      {!sameShape && (
+        <p className="hint">{t('compare.shapeMismatch')}</p>
+      )}
+
+      <div className="compare-body">
+        <div>
+          {diff ? (
+            <table className="diff-table">
+              <thead>
+                <tr>
+                  <th />
+                  <th>{t('input.messageA')}</th>
+                  <th>{t('input.messageB')}</th>
+                  <th>{t('compare.xor')}</th>
+                  <th>{t('compare.bits')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {diff.registersAfter.words.map((word, index) => (
+                  <DiffRow key={`diff-${REGISTER_NAMES[index]}`} label={`${REGISTER_NAMES[index]}'`} diff={word} />
+                ))}
+                <DiffRow label="sum" diff={diff.sum} />
+                <DiffRow label="rotated" diff={diff.rotated} />
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th colSpan={4}>{t('compare.stateAfterRound')}</th>
+                  <td>{diff.registersAfter.distance} / 128</td>
+                </tr>
+              </tfoot>
+            </table>
+          ) : (
+            <p className="hint">{t('compare.moveToRound')}</p>
+          )}
+        </div>
+
+        <div>
+          <h3>{t('compare.chartTitle', { chunk: chunkIndex + 1 })}</h3>
+          {series.length > 0 ? (
+            <DiffChart
+              series={series}
+              cancelled={cancelled}
+              activeRound={activeRound}
+              onSelectRound={(round) => onStepChange(trace.getChunkStartStep(chunkIndex) + round + 1)}
+            />
+          ) : (
+            <p className="hint">{t('compare.noChunk', { chunk: chunkIndex + 1 })}</p>
+          )}
+          <p className="hint">{t('compare.chartNote')}</p>
+          {cancelled.length > 0 && <p className="hint">{t('compare.cancelNote')}</p>}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default ComparePanel;
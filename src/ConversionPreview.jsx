@@ -0,0 +1,68 @@
+import { useMemo } from 'react';
+import { previewConversion } from './inputEncodings';
+import { useTranslator } from './useTranslator';
+
+const PREVIEW_LENGTH = 160;
+
+function shorten(value) {
+  return value.length > PREVIEW_LENGTH ? `${value.slice(0, PREVIEW_LENGTH)} ...` : value;
+}
+
+function ConversionOption({ title, option, actionLabel, onChoose }) {
+  const t = useTranslator();
+
+  return (
+    <div className={`conversion-option ${option.error ? 'unavailable' : ''}`}>
+      <h4>{title}</h4>
+      {option.error ? (
+        <p className="hint">{t.error(option.error)}</p>
+      ) : (
+        <>
+          <code className="conversion-value">{shorten(option.value) || t('explainer.empty')}</code>
+          <span>
+            {t('conversion.summary', { count: option.byteLength })} <code>{option.digest}</code>
+          </span>
+        </>
+      )}
+      <button type="button" onClick={onChoose} disabled={Boolean(option.error)}>
+        {actionLabel}
+      </button>
+    </div>
+  );
+}
+
+// Shown before an encoding switch, so the message is never silently read as
+// something else: either the bytes are kept and re-spelled, or the characters
+// are kept and produce different bytes.
+function ConversionPreview({ value, from, to, onConvert, onKeep, onCancel }) {
+  const t = useTranslator();
+  const preview = useMemo(() => previewConversion(value, from, to), [from, to, value]);
+  const title = t('conversion.title', { from: t(`encoding.${from}`), to: t(`encoding.${to}`) });
+
+  return (
+    <div className="conversion-preview" role="dialog" aria-label={title}>
+      <div className="conversion-header">
+        <strong>{title}</strong>
+        <button type="button" onClick={onCancel}>
+          {t('conversion.cancel')}
+        </button>
+      </div>
+      <div className="conversion-options">
+        <ConversionOption
+          title={t('conversion.keepBytes')}
+          option={preview.convert}
+          actionLabel={t('conversion.convert')}
+          onChoose={onConvert}
+        />
+        <ConversionOption
+          title={t('conversion.keepCharacters')}
+          option={preview.keep}
+          actionLabel={t('conversion.reinterpret')}
+          onChoose={onKeep}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default ConversionPreview;
@@ -0,0 +1,226 @@
+import { useId } from 'react';
+import { formatWord } from './md5';
+import { useTranslator } from './useTranslator';
+
+const BOX_WIDTH = 110;
+const BOX_HEIGHT = 34;
+const ADDER_RADIUS = 13;
+// Wires light up in this many stages, in the order the values are computed.
+const STAGE_COUNT = 7;
+
+const COLUMNS = { A: 190, B: 340, C: 490, D: 640 };
+const TOP_Y = 16;
+const BOTTOM_Y = 420;
+const FUNCTION_BOX = { x: 420, y: 100, width: 120, height: 40 };
+const ADDERS = { f: { x: 190, y: 190 }, m: { x: 190, y: 250 }, k: { x: 190, y: 310 }, b: { x: 340, y: 370 } };
+const ROTATOR = { x: 140, y: 355, width: 100, height: 30 };
+
+function Box({ x, y, width = BOX_WIDTH, height = BOX_HEIGHT, title, value, className = '' }) {
+  return (
+    <g className={`dataflow-box ${className}`}>
+      <rect x={x} y={y} width={width} height={height} rx={5} />
+      <text x={x + width / 2} y={y + 14} className="dataflow-title">
+        {title}
+      </text>
+      {value && (
+        <text x={x + width / 2} y={y + height - 7} className="dataflow-value">
+          {value}
+        </text>
+      )}
+    </g>
+  );
+}
+
+function Adder({ x, y, stage }) {
+  return (
+    <g className="dataflow-adder" style={{ '--stage': stage }}>
+      <circle cx={x} cy={y} r={ADDER_RADIUS} />
+      <path d={`M ${x - 7} ${y} H ${x + 7} M ${x} ${y - 7} V ${y + 7}`} />
+    </g>
+  );
+}
+
+// A wire through `points`, carrying `value` (shown at `labelAt`); `stage`
+// orders its animation.
+function Wire({ points, stage, value, labelAt, anchor = 'start' }) {
+  return (
+    <g className="dataflow-wire" style={{ '--stage': stage }}>
+      <polyline points={points.map((point) => point.join(',')).join(' ')} pathLength={1} />
+      {value && (
+        <text x={labelAt[0]} y={labelAt[1]} textAnchor={anchor} className="dataflow-wire-value">
+          {value}
+        </text>
+      )}
+    </g>
+  );
+}
+
+// One step of the compression function as a circuit: A-D in, the round
+// function, the adders for M[g] and the constant, the rotation, the add with
+// B, and the registers shifting into the next A-D. Values come from the round
+// event; while `animate` is set, the wires light up over `duration` ms in the
+// order they are computed.
+function DataflowDiagram({ event, animate, duration }) {
+  const t = useTranslator();
+  // Several diagrams may share a document (or a page of embedded viewers).
+  const arrowId = useId();
+  const [a, b, c, d] = event.registersBefore;
+  const plusF = (a + event.functionResult) >>> 0;
+  const plusM = (plusF + event.messageWord) >>> 0;
+  const { addsB } = event;
+  const topBottom = TOP_Y + BOX_HEIGHT;
+  const fn = FUNCTION_BOX;
+
+  return (
+    <svg
+      key={animate ? `${event.chunkIndex}-${event.roundIndex}` : 'still'}
+      className={`dataflow ${animate ? 'animating' : ''}`}
+      viewBox="0 0 760 470"
+      role="img"
+      aria-label={t('dataflow.label', {
+        round: event.roundIndex,
+        functionName: event.functionName,
+        g: event.g,
+        constant: event.constantLabel,
+        shift: event.shift,
+        nextB: formatWord(event.registersAfter[1]),
+      })}
+      style={{ '--stage-time': `${Math.max(duration / STAGE_COUNT, 20)}ms`, '--dataflow-arrow': `url("#${arrowId}")` }}
+    >
+      <defs>
+        <marker id={arrowId} viewBox="0 0 8 8" refX={7} refY={4} markerWidth={6} markerHeight={6} orient="auto">
+          <path d="M 0 0 L 8 4 L 0 8 z" />
+        </marker>
+      </defs>
+
+      {/* Stage 0: the registers feed the round function and the first adder. */}
+      <Wire points={[[COLUMNS.A, topBottom], [COLUMNS.A, ADDERS.f.y - ADDER_RADIUS]]} stage={0} />
+      <Wire
+        points={[[COLUMNS.B, topBottom], [COLUMNS.B, 76], [fn.x + 20, 76], [fn.x + 20, fn.y]]}
+        stage={0}
+      />
+      <Wire points={[[COLUMNS.C - 10, topBottom], [COLUMNS.C - 10, fn.y]]} stage={0} />
+      <Wire
+        points={[[COLUMNS.D, topBottom], [COLUMNS.D, 76], [fn.x + fn.width - 20, 76], [fn.x + fn.width - 20, fn.y]]}
+        stage={0}
+      />
+
+      {/* Stage 1: f joins A. */}
+      <Wire
+        points={[[fn.x + fn.width / 2, fn.y + fn.height], [fn.x + fn.width / 2, ADDERS.f.y], [ADDERS.f.x + ADDER_RADIUS, ADDERS.f.y]]}
+        stage={1}
+        value={`f = ${formatWord(event.functionResult)}`}
+        labelAt={[fn.x + fn.width / 2 + 6, 172]}
+      />
+
+      {/* Stages 2-3: M[g], then the constant. */}
+      <Wire
+        points={[[110, ADDERS.m.y], [ADDERS.m.x - ADDER_RADIUS, ADDERS.m.y]]}
+        stage={2}
+      />
+      <Wire
+        points={[[ADDERS.f.x, ADDERS.f.y + ADDER_RADIUS], [ADDERS.m.x, ADDERS.m.y - ADDER_RADIUS]]}
+        stage={2}
+        value={formatWord(plusF)}
+        labelAt={[ADDERS.f.x + 8, 224]}
+      />
+      <Wire
+        points={[[110, ADDERS.k.y], [ADDERS.k.x - ADDER_RADIUS, ADDERS.k.y]]}
+        stage={3}
+      />
+      <Wire
+        points={[[ADDERS.m.x, ADDERS.m.y + ADDER_RADIUS], [ADDERS.k.x, ADDERS.k.y - ADDER_RADIUS]]}
+        stage={3}
+        value={formatWord(plusM)}
+        labelAt={[ADDERS.m.x + 8, 284]}
+      />
+
+      {/* Stage 4: the sum is rotated. */}
+      <Wire
+        points={[[ADDERS.k.x, ADDERS.k.y + ADDER_RADIUS], [ADDERS.k.x, ROTATOR.y]]}
+        stage={4}
+        value={`sum = ${formatWord(event.sum)}`}
+        labelAt={[ADDERS.k.x + 8, 340]}
+      />
+
+      {/* Stage 5: the rotated sum is added to B (MD4 takes it as is). */}
+      {addsB ? (
+        <>
+          <Wire
+            points={[[ROTATOR.x + ROTATOR.width, ADDERS.b.y], [ADDERS.b.x - ADDER_RADIUS, ADDERS.b.y]]}
+            stage={5}
+            value={formatWord(event.rotated)}
+            labelAt={[ROTATOR.x + ROTATOR.width + 4, ADDERS.b.y - 6]}
+          />
+          <Wire points={[[COLUMNS.B, 76], [COLUMNS.B, ADDERS.b.y - ADDER_RADIUS]]} stage={5} />
+          <Wire
+            points={[[ADDERS.b.x, ADDERS.b.y + ADDER_RADIUS], [ADDERS.b.x, BOTTOM_Y]]}
+            stage={6}
+            value={formatWord(event.registersAfter[1])}
+            labelAt={[ADDERS.b.x - 8, 402]}
+            anchor="end"
+          />
+          <Adder {...ADDERS.b} stage={5} />
+        </>
+      ) : (
+        <Wire
+          points={[[ROTATOR.x + ROTATOR.width, ADDERS.b.y], [ADDERS.b.x, ADDERS.b.y], [ADDERS.b.x, BOTTOM_Y]]}
+          stage={5}
+          value={formatWord(event.rotated)}
+          labelAt={[ROTATOR.x + ROTATOR.width + 4, ADDERS.b.y - 6]}
+        />
+      )}
+
+      {/* Stage 6: the registers shift along: D to A, B to C, C to D. */}
+      <Wire
+        points={[[COLUMNS.D + 40, topBottom], [COLUMNS.D + 40, 400], [COLUMNS.A, 400], [COLUMNS.A, BOTTOM_Y]]}
+        stage={6}
+      />
+      <Wire
+        points={[[COLUMNS.B + 20, topBottom], [COLUMNS.B + 20, 60], [COLUMNS.B + 60, 60], [COLUMNS.B + 60, 408], [COLUMNS.C, 408], [COLUMNS.C, BOTTOM_Y]]}
+        stage={6}
+      />
+      <Wire
+        points={[[COLUMNS.C + BOX_WIDTH / 2, TOP_Y + 17], [COLUMNS.C + 75, TOP_Y + 17], [COLUMNS.C + 75, 412], [COLUMNS.D, 412], [COLUMNS.D, BOTTOM_Y]]}
+        stage={6}
+      />
+
+      {Object.entries({ A: a, B: b, C: c, D: d }).map(([name, value]) => (
+        <Box
+          key={`in-${name}`}
+          x={COLUMNS[name] - BOX_WIDTH / 2}
+          y={TOP_Y}
+          title={name}
+          value={formatWord(value)}
+          className="register"
+        />
+      ))}
+
+      <Box
+        {...fn}
+        title={`${event.functionName}(B, C, D)`}
+        value={event.functionFormula}
+        className="function"
+      />
+      <Box x={10} y={ADDERS.m.y - BOX_HEIGHT / 2} width={100} title={`M[${event.g}]`} value={formatWord(event.messageWord)} />
+      <Box x={10} y={ADDERS.k.y - BOX_HEIGHT / 2} width={100} title={event.constantLabel} value={formatWord(event.constant)} />
+      <Box {...ROTATOR} title={`<<< ${event.shift}`} className="rotator" />
+      <Adder {...ADDERS.f} stage={1} />
+      <Adder {...ADDERS.m} stage={2} />
+      <Adder {...ADDERS.k} stage={3} />
+
+      {['A', 'B', 'C', 'D'].map((name, index) => (
+        <Box
+          key={`out-${name}`}
+          x={COLUMNS[name] - BOX_WIDTH / 2}
+          y={BOTTOM_Y}
+          title={t('dataflow.newRegister', { register: name })}
+          value={formatWord(event.registersAfter[index])}
+          className="register next"
+        />
+      ))}
+    </svg>
+  );
+}
+
+export default DataflowDiagram;
@@ -0,0 +1,67 @@
+import { useRef } from 'react';
+import { useTranslator } from './useTranslator';
+
+// Splits `value` into plain runs and the runs covered by `issues`, in order.
+function splitByIssues(value, issues) {
+  const sorted = [...issues].sort((left, right) => left.start - right.start);
+  const parts = [];
+  let offset = 0;
+
+  for (const issue of sorted) {
+    const start = Math.max(issue.start, offset);
+    const end = Math.min(Math.max(issue.end, start), value.length);
+    if (start >= end) {
+      continue;
+    }
+
+    if (start > offset) {
+      parts.push({ text: value.slice(offset, start) });
+    }
+    parts.push({ text: value.slice(start, end), issue });
+    offset = end;
+  }
+
+  parts.push({ text: value.slice(offset) });
+  return parts;
+}
+
+// A textarea that marks the spans of `issues`, input diagnostics as InputError
+// (see md5.js) lists them. The marks live in a backdrop with the same text and
+// metrics, scrolled in step with the textarea, which is transparent on top of
+// it.
+function DiagnosticTextarea({ issues = [], ref, onScroll, ...props }) {
+  const t = useTranslator();
+  const backdropRef = useRef(null);
+  const value = props.value ?? '';
+
+  const syncScroll = (eventValue) => {
+    if (backdropRef.current) {
+      backdropRef.current.scrollTop = eventValue.target.scrollTop;
+      backdropRef.current.scrollLeft = eventValue.target.scrollLeft;
+    }
+    onScroll?.(eventValue);
+  };
+
+  return (
+    <div className={`diagnostic-field ${issues.length > 0 ? 'has-issues' : ''}`}>
+      {issues.length > 0 && (
+        <div className="diagnostic-backdrop" ref={backdropRef} aria-hidden="true">
+          {splitByIssues(value, issues).map((part, index) =>
+            part.issue ? (
+              <mark key={index} title={t.error(part.issue)}>
+                {part.text}
+              </mark>
+            ) : (
+              part.text
+            ),
+          )}
+          {/* Keeps a trailing line break from collapsing, as it does not in the textarea. */}
+          {'\n'}
+        </div>
+      )}
+      <textarea {...props} ref={ref} onScroll={syncScroll} aria-invalid={issues.length > 0 || undefined} />
+    </div>
+  );
+}
+
+export default DiagnosticTextarea;
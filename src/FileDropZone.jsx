@@ -0,0 +1,92 @@
+import { useRef, useState } from 'react';
+import { useTranslator } from './useTranslator';
+
+// Sizes keep one decimal; `t` formats the number for the locale.
+function formatSize(size, t) {
+  const oneDecimal = (value) => Math.round(value * 10) / 10;
+
+  if (size >= 1024 * 1024) {
+    return t('file.size.mib', { size: oneDecimal(size / (1024 * 1024)) });
+  }
+
+  if (size >= 1024) {
+    return t('file.size.kib', { size: oneDecimal(size / 1024) });
+  }
+
+  return t('file.size.bytes', { size });
+}
+
+function FileDropZone({ fileState, onFile }) {
+  const t = useTranslator();
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+
+  const pickFirst = (files) => {
+    const file = files?.[0];
+    if (file) {
+      onFile(file);
+    }
+  };
+
+  let status = t('file.prompt');
+  if (fileState.status === 'reading') {
+    status = t('file.hashing', {
+      name: fileState.name,
+      percent: fileState.size > 0 ? Math.floor((fileState.bytesRead / fileState.size) * 100) : 100,
+      read: formatSize(fileState.bytesRead, t),
+      size: formatSize(fileState.size, t),
+    });
+  } else if (fileState.status === 'ready') {
+    status = t('file.ready', {
+      name: fileState.name,
+      size: formatSize(fileState.size, t),
+      count: fileState.source.chunkCount,
+    });
+  }
+
+  return (
+    <div
+      className={`drop-zone ${dragging ? 'dragging' : ''}`}
+      role="button"
+      tabIndex={0}
+      onClick={() => inputRef.current?.click()}
+      onKeyDown={(keyEvent) => {
+        if (keyEvent.key === 'Enter' || keyEvent.key === ' ') {
+          keyEvent.preventDefault();
+          inputRef.current?.click();
+        }
+      }}
+      onDragOver={(dragEvent) => {
+        dragEvent.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(dragEvent) => {
+        dragEvent.preventDefault();
+        setDragging(false);
+        pickFirst(dragEvent.dataTransfer.files);
+      }}
+    >
+      <input
+        ref={inputRef}
+        type="file"
+        hidden
+        onChange={(changeEvent) => {
+          pickFirst(changeEvent.target.files);
+          changeEvent.target.value = '';
+        }}
+      />
+      <span>{status}</span>
+      {fileState.status === 'reading' && (
+        <div className="progress-track">
+          <div
+            className="progress-fill"
+            style={{ width: `${fileState.size > 0 ? (fileState.bytesRead / fileState.size) * 100 : 100}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FileDropZone;
@@ -0,0 +1,60 @@
+import { LAB_PRESETS, createLabDraft } from './md5Lab';
+import { useTranslator } from './useTranslator';
+
+function LabPanel({ draft, isStandard, onChange }) {
+  const t = useTranslator();
+  const update = (field) => (eventValue) => onChange({ ...draft, [field]: eventValue.target.value });
+
+  return (
+    <section className="panel lab-panel">
+      <div className="lab-header">
+        <h2>{t('controls.lab')}</h2>
+        <span className={`lab-badge ${isStandard ? 'standard' : 'custom'}`}>
+          {t(isStandard ? 'lab.standard' : 'lab.custom')}
+        </span>
+        <label>
+          {t('lab.preset')}
+          <select
+            value=""
+            onChange={(eventValue) => {
+              const preset = LAB_PRESETS.find((item) => item.id === eventValue.target.value);
+              if (preset) {
+                onChange(createLabDraft(preset.params));
+              }
+            }}
+          >
+            <option value="" disabled>
+              {t('lab.loadPreset')}
+            </option>
+            {LAB_PRESETS.map((preset) => (
+              <option key={preset.id} value={preset.id}>
+                {t(`lab.preset.${preset.id}`)}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="lab-grid">
+        <label>
+          IV (A B C D)
+          <input type="text" value={draft.iv} onChange={update('iv')} spellCheck={false} />
+        </label>
+        <label>
+          {t('lab.roundCount', { count: Number(draft.roundCount) })}
+          <input type="range" min="1" max="64" value={draft.roundCount} onChange={update('roundCount')} />
+        </label>
+        <label className="lab-constants">
+          K[0..63]
+          <textarea value={draft.constants} onChange={update('constants')} spellCheck={false} />
+        </label>
+        <label className="lab-shifts">
+          s[0..63]
+          <textarea value={draft.shifts} onChange={update('shifts')} spellCheck={false} />
+        </label>
+      </div>
+    </section>
+  );
+}
+
+export default LabPanel;
@@ -0,0 +1,200 @@
+import { useMemo, useState } from 'react';
+import { checkQuizAnswer, formatQuizAnswer, getQuizHints, QUIZ_QUANTITIES } from './quiz';
+import { useTranslator } from './useTranslator';
+
+// A question belongs to a step of one trace: a new input or algorithm at the
+// same step asks afresh.
+const traceIds = new WeakMap();
+let nextTraceId = 0;
+
+function getTraceId(trace) {
+  if (!traceIds.has(trace)) {
+    nextTraceId += 1;
+    traceIds.set(trace, nextTraceId);
+  }
+  return traceIds.get(trace);
+}
+
+function QuizScore({ score, onReset }) {
+  const t = useTranslator();
+
+  return (
+    <div className="quiz-score">
+      <span>
+        {t('quiz.score')} <strong>{t.number(score.correct)}</strong> / {t.number(score.asked)}
+      </span>
+      <span>{t('quiz.streak', { count: score.streak })}</span>
+      <span>{t('quiz.best', { count: score.bestStreak })}</span>
+      <button type="button" onClick={onReset} disabled={score.asked === 0}>
+        {t('quiz.resetScore')}
+      </button>
+    </div>
+  );
+}
+
+// Asks for one quantity of the current round. The parent keys it by step and
+// quantity, so every question starts with an empty answer and no hints.
+function QuizQuestion({ event, quantity, solved, onScore, onSolved, onNextRound }) {
+  const t = useTranslator();
+  const [answer, setAnswer] = useState('');
+  const [hintCount, setHintCount] = useState(0);
+  const [feedback, setFeedback] = useState(null);
+  const [scored, setScored] = useState(false);
+  const hints = useMemo(() => getQuizHints(event, quantity.value, t), [event, quantity, t]);
+
+  const score = (correct) => {
+    if (!scored) {
+      setScored(true);
+      onScore(correct);
+    }
+  };
+
+  const check = (submitEvent) => {
+    submitEvent.preventDefault();
+    const result = checkQuizAnswer(event, quantity.value, answer, t);
+
+    if (result.error) {
+      setFeedback({ kind: 'invalid', text: result.error });
+      return;
+    }
+
+    score(result.correct);
+    if (result.correct) {
+      setFeedback({ kind: 'correct', text: t('quiz.correct', { answer: formatQuizAnswer(event, quantity.value) }) });
+      onSolved();
+    } else {
+      setFeedback({
+        kind: 'wrong',
+        text: t(hintCount < hints.length ? 'quiz.wrongWithHints' : 'quiz.wrong'),
+      });
+    }
+  };
+
+  const giveUp = () => {
+    score(false);
+    setFeedback({ kind: 'revealed', text: t('quiz.answer', { answer: formatQuizAnswer(event, quantity.value) }) });
+    onSolved();
+  };
+
+  return (
+    <form className="quiz-question" onSubmit={check}>
+      <label>
+        {t('quiz.question', {
+          round: event.stepWithinChunk,
+          functionName: event.functionName,
+          quantity: t(`quiz.quantity.${quantity.value}`),
+        })}
+        <input
+          type="text"
+          value={answer}
+          onChange={(eventValue) => setAnswer(eventValue.target.value)}
+          placeholder={quantity.value === 'g' ? '0-15' : '0x00000000'}
+          spellCheck={false}
+          autoComplete="off"
+          readOnly={solved}
+        />
+      </label>
+      <div className="quiz-actions">
+        <button type="submit" disabled={solved || answer.trim() === ''}>
+          {t('quiz.check')}
+        </button>
+        <button type="button" onClick={() => setHintCount((count) => count + 1)} disabled={solved || hintCount >= hints.length}>
+          {t('quiz.hint', { shown: hintCount, count: hints.length })}
+        </button>
+        <button type="button" onClick={giveUp} disabled={solved}>
+          {t('quiz.showAnswer')}
+        </button>
+        <button type="button" onClick={onNextRound}>
+          {t('quiz.nextRound')}
+        </button>
+      </div>
+      {hintCount > 0 && (
+        <ol className="quiz-hints">
+          {hints.slice(0, hintCount).map((hint) => (
+            <li key={hint}>
+              <code>{hint}</code>
+            </li>
+          ))}
+        </ol>
+      )}
+      {feedback && (
+        <p className={`quiz-feedback ${feedback.kind}`} role="status">
+          {feedback.text}
+        </p>
+      )}
+    </form>
+  );
+}
+
+// Practice mode: hides part of each round and asks the learner to compute it.
+function QuizPanel({
+  trace,
+  event,
+  step,
+  question,
+  solved,
+  quantities,
+  onQuantitiesChange,
+  score,
+  onScore,
+  onResetScore,
+  onSolved,
+  onNextRound,
+}) {
+  const t = useTranslator();
+  const toggleQuantity = (value, checked) =>
+    onQuantitiesChange(
+      QUIZ_QUANTITIES.map((quantity) => quantity.value).filter((item) =>
+        item === value ? checked : quantities.includes(item),
+      ),
+    );
+
+  return (
+    <div className="quiz-panel">
+      <div className="quiz-header">
+        <strong>{t('quiz.title')}</strong>
+        <QuizScore score={score} onReset={onResetScore} />
+      </div>
+      <fieldset className="quiz-quantities">
+        <legend>{t('quiz.askAbout')}</legend>
+        {QUIZ_QUANTITIES.map((quantity) => (
+          <label key={quantity.value}>
+            <input
+              type="checkbox"
+              checked={quantities.includes(quantity.value)}
+              onChange={(eventValue) => toggleQuantity(quantity.value, eventValue.target.checked)}
+            />
+            {t(`quiz.quantity.${quantity.value}`)}
+            {score.byQuantity[quantity.value] && (
+              <span className="quiz-quantity-score">
+                {score.byQuantity[quantity.value].correct}/{score.byQuantity[quantity.value].asked}
+              </span>
+            )}
+          </label>
+        ))}
+      </fieldset>
+      {question ? (
+        <QuizQuestion
+          key={`${getTraceId(trace)}-${step}-${question.value}`}
+          event={event}
+          quantity={question}
+          solved={solved}
+          onScore={(correct) => onScore(question.value, correct)}
+          onSolved={onSolved}
+          onNextRound={onNextRound}
+        />
+      ) : (
+        <div className="quiz-idle">
+          <p className="hint">
+            {t(quantities.length === 0 ? 'quiz.pickQuantity' : 'quiz.roundStepsOnly')}
+          </p>
+          <button type="button" onClick={onNextRound} disabled={quantities.length === 0}>
+            {t('quiz.nextRound')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default QuizPanel;
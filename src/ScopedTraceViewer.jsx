@@ -0,0 +1,30 @@
+import { useCallback, useState } from 'react';
+import { createPortal } from 'react-dom';
+import TraceViewer from './TraceViewer';
+import { TRACE_VIEWER_CSS } from './traceViewerStyles';
+
+// TraceViewer in a shadow root of its own, with the viewer styles inside it:
+// they cannot reach the host page, nor can the page's styles reach in.
+function ScopedTraceViewer(props) {
+  const [shadowRoot, setShadowRoot] = useState(null);
+  const attachShadow = useCallback((host) => {
+    if (host) {
+      setShadowRoot(host.shadowRoot ?? host.attachShadow({ mode: 'open' }));
+    }
+  }, []);
+
+  return (
+    <div className="md5-trace" ref={attachShadow}>
+      {shadowRoot &&
+        createPortal(
+          <>
+            <style>{TRACE_VIEWER_CSS}</style>
+            <TraceViewer {...props} />
+          </>,
+          shadowRoot,
+        )}
+    </div>
+  );
+}
+
+export default ScopedTraceViewer;
@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import { findAllMatches, findNextMatch, MAX_SEARCH_STEPS, parseTraceQuery, SEARCH_EXAMPLES } from './traceSearch';
+import { useTranslator } from './useTranslator';
+
+function describeStep(event, t) {
+  if (event?.type === 'round') {
+    return t('search.roundStep', {
+      chunk: event.chunkIndex + 1,
+      round: event.roundIndex,
+      functionName: event.functionName,
+    });
+  }
+
+  if (Number.isInteger(event?.chunkIndex)) {
+    return t('search.chunkStep', { chunk: event.chunkIndex + 1, type: event.type });
+  }
+
+  return event?.type ?? '';
+}
+
+// Search the trace, list the matches and keep breakpoints, which stop
+// autoplay (see App) on any step they match. Searches are typed in the
+// English syntax of traceSearch.js whatever the language.
+function SearchPanel({ trace, currentStep, onJump, breakpoints, onBreakpointsChange, breakpointHit }) {
+  const t = useTranslator();
+  const [text, setText] = useState('');
+  const [message, setMessage] = useState('');
+  const [matches, setMatches] = useState(null);
+  const listedMatches = matches?.trace === trace ? matches : null;
+
+  const readQuery = () => {
+    try {
+      const query = parseTraceQuery(text, t);
+      setMessage('');
+      return query;
+    } catch (error) {
+      setMessage(error.message);
+      return null;
+    }
+  };
+
+  const findNext = (direction) => {
+    const query = readQuery();
+    if (!query) {
+      return;
+    }
+
+    const { step, unreadStep } = findNextMatch(trace, query, currentStep, direction);
+    if (unreadStep !== null) {
+      // Going there reads that part of the file, so the next search goes on.
+      setMessage(t('search.unread', { query: query.label, step: unreadStep }));
+      onJump(unreadStep);
+      return;
+    }
+
+    if (step < 0) {
+      setMessage(t(direction > 0 ? 'search.noneAfter' : 'search.noneBefore', { query: query.label, step: currentStep }));
+      return;
+    }
+    onJump(step);
+  };
+
+  const listMatches = () => {
+    const query = readQuery();
+    if (query) {
+      setMatches({ trace, query, ...findAllMatches(trace, query) });
+    }
+  };
+
+  const addBreakpoint = () => {
+    const query = readQuery();
+    if (query && !breakpoints.some((breakpoint) => breakpoint.label === query.label)) {
+      onBreakpointsChange([...breakpoints, query]);
+    }
+  };
+
+  const stepThroughMatches = (direction) => {
+    const steps = direction > 0 ? listedMatches.steps : [...listedMatches.steps].reverse();
+    const step = steps.find((candidate) => (direction > 0 ? candidate > currentStep : candidate < currentStep));
+    if (step !== undefined) {
+      onJump(step);
+    }
+  };
+
+  return (
+    <div className="search-panel">
+      <form
+        className="search-row"
+        onSubmit={(submitEvent) => {
+          submitEvent.preventDefault();
+          findNext(1);
+        }}
+      >
+        <input
+          type="text"
+          value={text}
+          onChange={(eventValue) => setText(eventValue.target.value)}
+          placeholder={SEARCH_EXAMPLES.join('  |  ')}
+          aria-label={t('search.label')}
+          spellCheck={false}
+        />
+        <button type="button" onClick={() => findNext(-1)} disabled={!text.trim()}>
+          {t('search.previous')}
+        </button>
+        <button type="submit" disabled={!text.trim()}>
+          {t('search.next')}
+        </button>
+        <button type="button" onClick={listMatches} disabled={!text.trim()}>
+          {t('search.listAll')}
+        </button>
+        <button type="button" onClick={addBreakpoint} disabled={!text.trim()}>
+          {t('search.addBreakpoint')}
+        </button>
+      </form>
+
+      {message && <p className="search-message">{message}</p>}
+
+      {breakpointHit && (
+        <p className="search-message breakpoint-hit" role="status">
+          {t('search.stopped', { step: breakpointHit.step, query: breakpointHit.label })}
+        </p>
+      )}
+
+      {breakpoints.length > 0 && (
+        <ul className="breakpoint-list" aria-label={t('search.breakpoints')}>
+          {breakpoints.map((breakpoint) => (
+            <li key={breakpoint.label}>
+              <span>{breakpoint.label}</span>
+              <button
+                type="button"
+                onClick={() => onBreakpointsChange(breakpoints.filter((item) => item !== breakpoint))}
+                aria-label={t('search.removeBreakpoint', { query: breakpoint.label })}
+              >
+                {t('search.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {listedMatches && (
+        <div className="search-matches">
+          <div className="search-matches-header">
+            <span>
+              {listedMatches.steps.length === 0
+                ? t('search.noMatches', { query: listedMatches.query.label })
+                : t(listedMatches.complete ? 'search.matches' : 'search.matchesAtLeast', {
+                    count: listedMatches.steps.length,
+                    query: listedMatches.query.label,
+                  })}
+              {listedMatches.unread
+                ? ` ${t('search.listUnread')}`
+                : !listedMatches.complete &&
+                  ` ${t('search.listLimit', { count: listedMatches.steps.length, steps: MAX_SEARCH_STEPS })}`}
+            </span>
+            <button type="button" onClick={() => stepThroughMatches(-1)} disabled={listedMatches.steps.length === 0}>
+              {t('search.previousMatch')}
+            </button>
+            <button type="button" onClick={() => stepThroughMatches(1)} disabled={listedMatches.steps.length === 0}>
+              {t('search.nextMatch')}
+            </button>
+          </div>
+          <ol className="search-match-list">
+            {listedMatches.steps.map((step) => (
+              <li key={step}>
+                <button
+                  type="button"
+                  className={step === currentStep ? 'active' : ''}
+                  onClick={() => onJump(step)}
+                >
+                  {t('search.stepMatch', { step, description: describeStep(trace.getEvent(step), t) })}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default SearchPanel;
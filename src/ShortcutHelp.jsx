@@ -0,0 +1,45 @@
+import { useEffect, useRef } from 'react';
+import { SHORTCUTS } from './keyboardShortcuts';
+import { useTranslator } from './useTranslator';
+
+function ShortcutHelp({ onClose }) {
+  const t = useTranslator();
+  const closeRef = useRef(null);
+
+  // Focus moves into the overlay so screen readers announce it.
+  useEffect(() => closeRef.current?.focus(), []);
+
+  return (
+    <div className="shortcut-overlay" onClick={onClose}>
+      <div
+        className="shortcut-help"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        onClick={(eventValue) => eventValue.stopPropagation()}
+      >
+        <div className="shortcut-header">
+          <h2 id="shortcut-help-title">{t('shortcuts.title')}</h2>
+          <button type="button" ref={closeRef} onClick={onClose}>
+            {t('shortcuts.close')}
+          </button>
+        </div>
+        <dl className="shortcut-list">
+          {SHORTCUTS.map((shortcut) => (
+            <div key={shortcut.message}>
+              <dt>
+                {shortcut.keys.map((key) => (
+                  <kbd key={key}>{key}</kbd>
+                ))}
+              </dt>
+              <dd>{t(shortcut.message)}</dd>
+            </div>
+          ))}
+        </dl>
+        <p className="hint">{t('shortcuts.hint')}</p>
+      </div>
+    </div>
+  );
+}
+
+export default ShortcutHelp;
@@ -0,0 +1,124 @@
+import { useMemo, useRef, useState } from 'react';
+import { buildTimeline, getSparkline, getStepAtFraction } from './timeline';
+import { useTranslator } from './useTranslator';
+
+const REGISTER_NAMES = ['A', 'B', 'C', 'D'];
+const SPARK_MODES = [
+  { value: 'value', message: 'timeline.value' },
+  { value: 'weight', message: 'timeline.weight' },
+];
+
+function Sparkline({ timeline, index, mode, cursor }) {
+  const points = getSparkline(timeline, index, mode)
+    .map((height, sample) => {
+      const { start, end } = timeline.samples[sample];
+      return `${(start + end) / 2},${(1 - height).toFixed(3)}`;
+    })
+    .join(' ');
+
+  return (
+    <div className="timeline-spark">
+      <span>{REGISTER_NAMES[index]}</span>
+      <svg viewBox={`0 0 ${timeline.length} 1`} preserveAspectRatio="none" aria-hidden="true">
+        <polyline points={points} vectorEffect="non-scaling-stroke" />
+        <line className="timeline-cursor" x1={cursor} x2={cursor} y1={0} y2={1} vectorEffect="non-scaling-stroke" />
+      </svg>
+    </div>
+  );
+}
+
+// The trace as a strip of preprocess, chunk and round-family segments with
+// register sparklines under it; clicking or dragging seeks to a step.
+function Timeline({ trace, currentStep, onSeek, valueText }) {
+  const t = useTranslator();
+  const [sparkMode, setSparkMode] = useState('value');
+  const trackRef = useRef(null);
+  const draggingRef = useRef(false);
+  const timeline = useMemo(() => buildTimeline(trace), [trace]);
+  const cursor = currentStep + 0.5;
+
+  const seekToPointer = (pointerEvent) => {
+    const rect = trackRef.current.getBoundingClientRect();
+    if (rect.width > 0) {
+      onSeek(getStepAtFraction((pointerEvent.clientX - rect.left) / rect.width, timeline.length));
+    }
+  };
+
+  return (
+    <div className="timeline">
+      <div
+        ref={trackRef}
+        className="timeline-track"
+        role="slider"
+        tabIndex={0}
+        aria-label={t('timeline.label')}
+        aria-valuemin={0}
+        aria-valuemax={timeline.length - 1}
+        aria-valuenow={currentStep}
+        aria-valuetext={valueText}
+        onPointerDown={(pointerEvent) => {
+          draggingRef.current = true;
+          pointerEvent.currentTarget.setPointerCapture?.(pointerEvent.pointerId);
+          seekToPointer(pointerEvent);
+        }}
+        onPointerMove={(pointerEvent) => {
+          if (draggingRef.current) {
+            seekToPointer(pointerEvent);
+          }
+        }}
+        onPointerUp={() => {
+          draggingRef.current = false;
+        }}
+        onPointerCancel={() => {
+          draggingRef.current = false;
+        }}
+      >
+        <svg viewBox={`0 0 ${timeline.length} 1`} preserveAspectRatio="none" aria-hidden="true">
+          {timeline.segments.map((segment) => (
+            <rect
+              key={segment.start}
+              className={`timeline-segment ${segment.kind} ${segment.family ? `family-${segment.family}` : ''}`}
+              x={segment.start}
+              y={0}
+              width={segment.end - segment.start}
+              height={1}
+            />
+          ))}
+          <rect className="timeline-past" x={0} y={0} width={cursor} height={1} />
+          <line className="timeline-cursor" x1={cursor} x2={cursor} y1={0} y2={1} vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+
+      <div className="timeline-sparks">
+        {REGISTER_NAMES.map((name, index) => (
+          <Sparkline key={name} timeline={timeline} index={index} mode={sparkMode} cursor={cursor} />
+        ))}
+      </div>
+
+      <div className="timeline-legend">
+        <span className="timeline-key preprocess">{t('timeline.preprocess')}</span>
+        <span className="timeline-key chunk-start">{t('timeline.chunkBounds')}</span>
+        {['F', 'G', 'H', 'I'].map((family) => (
+          <span key={family} className={`timeline-key family-${family}`}>
+            {family}
+          </span>
+        ))}
+        <span className="timeline-spark-mode">
+          {t('timeline.sparklines')}
+          {SPARK_MODES.map((mode) => (
+            <button
+              key={mode.value}
+              type="button"
+              aria-pressed={sparkMode === mode.value}
+              onClick={() => setSparkMode(mode.value)}
+            >
+              {t(mode.message)}
+            </button>
+          ))}
+        </span>
+      </div>
+    </div>
+  );
+}
+
+export default Timeline;
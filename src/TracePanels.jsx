@@ -0,0 +1,534 @@
+import { useMemo } from 'react';
+import BitView from './BitView';
+import DataflowDiagram from './DataflowDiagram';
+import { translatePhase } from './i18n';
+import { formatWord, toHex32 } from './md5';
+import {
+  DEFAULT_PANELS,
+  formatBytes,
+  getChunkTrace,
+  getCurrentDigest,
+  getEventTitle,
+  resolveChunkIndex,
+} from './traceView';
+import { useTranslator } from './useTranslator';
+
+const REGISTER_NAMES = ['A', 'B', 'C', 'D'];
+const NOTHING_HIDDEN = new Set();
+
+function RegisterTable({ title, values }) {
+  if (!values) {
+    return null;
+  }
+
+  return (
+    <div className="register-box">
+      <h4>{title}</h4>
+      <div className="register-grid">
+        {values.map((value, index) => (
+          <div key={`${title}-${REGISTER_NAMES[index]}`} className="register-item">
+            <span className="label">{REGISTER_NAMES[index]}</span>
+            <code>{formatWord(value)}</code>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function HashTable({ title, values }) {
+  if (!values) {
+    return null;
+  }
+
+  return (
+    <div className="register-box">
+      <h4>{title}</h4>
+      <div className="register-grid">
+        {values.map((value, index) => (
+          <div key={`${title}-H${index}`} className="register-item">
+            <span className="label">H{index}</span>
+            <code>{formatWord(value)}</code>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// The explainer, message, round and register panels for one step of a trace,
+// plus the dataflow diagram and bit view. `panels` names the ones to show (see
+// TRACE_PANELS); the round panel has buttons for the last two only given
+// `onTogglePanel`. `hidden` lists the practice quantities shown as "?", and
+// `encoding` how typed input was read (null for files and saved traces).
+function TracePanels({
+  trace,
+  step,
+  panels = DEFAULT_PANELS,
+  onTogglePanel,
+  hidden = NOTHING_HIDDEN,
+  encoding = null,
+  characterBytes = null,
+  animate = false,
+  speed = 180,
+}) {
+  const t = useTranslator();
+  const shown = new Set(panels);
+  const event = useMemo(() => trace.getEvent(step) ?? null, [step, trace]);
+  const currentDigest = getCurrentDigest(event, trace);
+  const chunkTrace = useMemo(() => getChunkTrace(trace, step), [step, trace]);
+  const chunkIndex = resolveChunkIndex(event, chunkTrace);
+  const activeChunk = useMemo(() => chunkTrace?.getChunk(chunkIndex) ?? null, [chunkIndex, chunkTrace]);
+  // An open practice question hides the values that would give it away, and
+  // with them the views that show those values another way.
+  const quizOpen = hidden.size > 0;
+  const reveal = (quantity, content) => (hidden.has(quantity) ? <span className="quiz-hidden">?</span> : content);
+  const highlightedWord = event?.type === 'round' && !hidden.has('g') ? event.g : -1;
+  const showBytes = (bytes, maxBytes, totalLength) => formatBytes(bytes, maxBytes, totalLength) || t('explainer.empty');
+
+  const roundWindow = useMemo(() => {
+    if (event?.type !== 'round' || !chunkTrace) {
+      return [];
+    }
+
+    const start = Math.max(0, event.roundIndex - 2);
+    const end = Math.min(event.roundCount - 1, event.roundIndex + 2);
+    const rows = [];
+
+    for (let i = start; i <= end; i += 1) {
+      rows.push({
+        index: i,
+        shift: chunkTrace.shifts[i],
+        constant: chunkTrace.constants[i],
+      });
+    }
+
+    return rows;
+  }, [event, chunkTrace]);
+
+  return (
+    <section className="panel-grid">
+      {shown.has('explainer') && (
+        <article className="panel panel-explainer">
+          <h2>{t('explainer.title')}</h2>
+          <p className="subtitle">{getEventTitle(event, t)}</p>
+
+          {event?.type === 'preprocess' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.inputLength')}</span>
+                <code>
+                  {t('explainer.bytesAndBits', { bytes: event.inputLengthBytes, bits: event.inputLengthBits })}
+                </code>
+              </div>
+              <div>
+                <span>{t('explainer.paddingAdded')}</span>
+                <code>{t('explainer.bytes', { count: event.addedBytes })}</code>
+              </div>
+              <div>
+                <span>{t('explainer.paddedLength')}</span>
+                <code>
+                  {t('explainer.bytesAndBits', { bytes: event.paddedLengthBytes, bits: event.paddedLengthBits })}
+                </code>
+              </div>
+              <div>
+                <span>{t('explainer.chunkCount')}</span>
+                <code>{t.number(event.chunkCount)}</code>
+              </div>
+              {event.processedLengthBytes > 0 && (
+                <div>
+                  <span>{t('explainer.resumedAfter')}</span>
+                  <code>
+                    {t('explainer.resumedValue', { bytes: event.processedLengthBytes, bits: event.lengthFieldBits })}
+                  </code>
+                </div>
+              )}
+            </div>
+          )}
+
+          {event?.type === 'extension-setup' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.knownDigest')}</span>
+                <code>{event.knownDigest}</code>
+              </div>
+              <div>
+                <span>{t('explainer.originalLength')}</span>
+                <code>{t('explainer.bytes', { count: event.originalLengthBytes })}</code>
+              </div>
+              <div>
+                <span>{t('explainer.gluePadding')}</span>
+                <code>{showBytes(event.glueBytes, 72)}</code>
+              </div>
+              <div>
+                <span>{t('explainer.forgedMessage')}</span>
+                <code>
+                  {t('explainer.forgedMessageValue', {
+                    resumed: event.resumedLengthBytes,
+                    suffix: event.suffixLengthBytes,
+                  })}
+                </code>
+              </div>
+              <p className="hint">{t('explainer.extensionHint')}</p>
+            </div>
+          )}
+
+          {event?.type === 'extension-done' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.forgedDigest')}</span>
+                <code>{event.forgedDigest}</code>
+              </div>
+              {event.verifiedDigest ? (
+                <>
+                  <div>
+                    <span>{t('explainer.reconstructedDigest')}</span>
+                    <code>{event.verifiedDigest}</code>
+                  </div>
+                  {!event.originalDigestMatches && <p className="hint">{t('explainer.originalMismatch')}</p>}
+                </>
+              ) : (
+                <p className="hint">{t('explainer.enterOriginal')}</p>
+              )}
+            </div>
+          )}
+
+          {event?.type === 'round' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.roundFamily')}</span>
+                <code>{event.functionName}</code>
+              </div>
+              <div>
+                <span>{t('explainer.booleanFunction')}</span>
+                <code>{reveal('terms', event.functionFormula)}</code>
+              </div>
+              <div>
+                <span>{t('explainer.wordIndexRule')}</span>
+                <code>{reveal('terms', event.indexFormula)}</code>
+              </div>
+              <div>
+                <span>{t('explainer.selectedWord')}</span>
+                <code>
+                  g = {reveal('g', event.g)}, M[g] = {reveal('g', formatWord(event.messageWord))}
+                </code>
+              </div>
+            </div>
+          )}
+
+          {event?.type === 'chunk-end' && (
+            <p className="hint">{t('explainer.chunkEndHint', { algorithm: chunkTrace.algorithm })}</p>
+          )}
+
+          {event?.type === 'done' && <p className="hint">{t('explainer.doneHint')}</p>}
+
+          {event?.type === 'hmac-key' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.keyLength')}</span>
+                <code>
+                  {t('explainer.keyLengthValue', { bytes: event.keyLengthBytes, blockSize: event.blockSize })}
+                </code>
+              </div>
+              {event.keyWasHashed && (
+                <div>
+                  <span>MD5(key)</span>
+                  <code>{event.keyDigest}</code>
+                </div>
+              )}
+              <div>
+                <span>{t('explainer.zeroBytesAdded')}</span>
+                <code>{t.number(event.zeroBytesAdded)}</code>
+              </div>
+              <div>
+                <span>{t('explainer.normalizedKey')}</span>
+                <code>{showBytes(event.normalizedKey, 64)}</code>
+              </div>
+            </div>
+          )}
+
+          {event?.type === 'hmac-xor' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.normalizedKey')}</span>
+                <code>{showBytes(event.normalizedKey, 64)}</code>
+              </div>
+              <div>
+                <span>K ^ {event.pad}</span>
+                <code>{showBytes(event.paddedKey, 64)}</code>
+              </div>
+              <p className="hint">
+                {t(event.pad === 'ipad' ? 'explainer.innerHint' : 'explainer.outerHint', {
+                  bytes: event.appendedLengthBytes,
+                })}
+              </p>
+            </div>
+          )}
+
+          {event?.type === 'hmac-done' && (
+            <div className="kv-list">
+              <div>
+                <span>{t('explainer.innerDigest')}</span>
+                <code>{event.innerDigest}</code>
+              </div>
+              <div>
+                <span>HMAC-MD5</span>
+                <code>{event.digest}</code>
+              </div>
+            </div>
+          )}
+
+          <div className="digest-box">
+            <h3>
+              {t('explainer.currentDigest')}
+              {trace.isStandard === false && <span className="not-md5">{t('explainer.notMd5')}</span>}
+            </h3>
+            <code>{reveal('nextB', currentDigest ?? t('explainer.digestPending'))}</code>
+            {event?.type === 'round' && <p className="hint">{t('explainer.previewHint')}</p>}
+          </div>
+        </article>
+      )}
+
+      {shown.has('message') && (
+        <article className="panel panel-message">
+          <h2>{t('message.title')}</h2>
+          <div className="kv-list">
+            {trace.glueBytes && (
+              <div>
+                <span>{t('message.glueHex')}</span>
+                <code>{showBytes(trace.glueBytes, 72)}</code>
+              </div>
+            )}
+            {trace.keyBytes && (
+              <div>
+                <span>{t('message.hmacKeyHex')}</span>
+                <code>{showBytes(trace.keyBytes, 80)}</code>
+              </div>
+            )}
+            {encoding && (
+              <div>
+                <span>{t('message.readAs')}</span>
+                <code>{t(`encoding.${encoding}`)}</code>
+              </div>
+            )}
+            <div>
+              <span>
+                {chunkTrace === trace
+                  ? t('message.originalHex')
+                  : event?.phaseLabel
+                    ? t('message.phaseInputHex', { phase: translatePhase(t, event.phaseLabel) })
+                    : t('message.hashInputHex')}
+              </span>
+              <code>
+                {showBytes(chunkTrace.inputBytes ?? chunkTrace.readInputBytes(0, 80), 80, chunkTrace.inputLength)}
+              </code>
+            </div>
+            <div>
+              <span>{t('message.paddedHex')}</span>
+              <code>{showBytes(chunkTrace.readPaddedBytes(0, 128), 128, chunkTrace.chunkCount * 64)}</code>
+            </div>
+            <div>
+              <span>{t('message.activeChunk')}</span>
+              <code>
+                {t.number(chunkIndex + 1)}/{t.number(chunkTrace.chunkCount)}
+              </code>
+            </div>
+          </div>
+
+          {characterBytes?.length > 0 && (
+            <>
+              <h3>{t('message.characterBytes', { encoding: t(`encoding.${encoding}`) })}</h3>
+              <div className="char-bytes">
+                {characterBytes.map(({ char, bytes }, index) => (
+                  <span key={`char-${index}`} className={bytes ? '' : 'unencodable'}>
+                    <strong>{char}</strong>
+                    <code>{bytes ? showBytes(bytes) : t('message.notEncodable')}</code>
+                  </span>
+                ))}
+              </div>
+            </>
+          )}
+
+          <h3>{t('message.chunkBytes')}</h3>
+          <pre>{showBytes(activeChunk?.bytes ?? [], 64)}</pre>
+
+          <h3>{t('message.words')}</h3>
+          <div className="word-grid">
+            {(activeChunk?.words ?? []).map((word, index) => (
+              <div key={`word-${index}`} className={`word-item ${index === highlightedWord ? 'active' : ''}`}>
+                <span>M[{index}]</span>
+                <code>{formatWord(word)}</code>
+              </div>
+            ))}
+          </div>
+        </article>
+      )}
+
+      {shown.has('round') && (
+        <article className="panel panel-round">
+          <div className="panel-title-row">
+            <h2>{t('round.title')}</h2>
+            {onTogglePanel && (
+              <div className="panel-title-actions">
+                <button type="button" onClick={() => onTogglePanel('dataflow')} aria-pressed={shown.has('dataflow')}>
+                  {t(shown.has('dataflow') ? 'round.hideDiagram' : 'round.diagram')}
+                </button>
+                <button type="button" onClick={() => onTogglePanel('bits')} aria-pressed={shown.has('bits')}>
+                  {t(shown.has('bits') ? 'round.hideBits' : 'round.bitView')}
+                </button>
+              </div>
+            )}
+          </div>
+          {event?.type === 'round' ? (
+            <>
+              <div className="kv-list">
+                <div>
+                  <span>i</span>
+                  <code>{event.roundIndex}</code>
+                </div>
+                <div>
+                  <span>{event.constantLabel}</span>
+                  <code>{reveal('terms', formatWord(event.constant))}</code>
+                </div>
+                <div>
+                  <span>s[i]</span>
+                  <code>{reveal('terms', event.shift)}</code>
+                </div>
+                <div>
+                  <span>{t('round.functionOutput')}</span>
+                  <code>{reveal('functionResult', formatWord(event.functionResult))}</code>
+                </div>
+              </div>
+
+              <div className="equation">
+                <p>
+                  sum = {event.sumFormula} = <code>{reveal('sum', formatWord(event.sum))}</code>
+                </p>
+                <p>
+                  rotate(sum, s[i]) = <code>{reveal('rotated', formatWord(event.rotated))}</code>
+                </p>
+                <p>
+                  B&apos; = {event.nextBFormula} = <code>{reveal('nextB', formatWord(event.registersAfter[1]))}</code>
+                </p>
+              </div>
+
+              {!quizOpen && (
+                <>
+                  <h3>{t('round.constantsAround')}</h3>
+                  <div className="word-grid constants-grid">
+                    {roundWindow.map((row) => (
+                      <div
+                        key={`k-window-${row.index}`}
+                        className={`word-item ${row.index === event.roundIndex ? 'active' : ''}`}
+                      >
+                        <span>i={row.index}</span>
+                        <code>K={toHex32(row.constant)}</code>
+                        <code>s={row.shift}</code>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </>
+          ) : (
+            <p className="hint">{t('round.moveToRound')}</p>
+          )}
+        </article>
+      )}
+
+      {shown.has('registers') && (
+        <article className="panel panel-register">
+          <h2>{t('registers.title')}</h2>
+          {event?.type === 'round' && (
+            <>
+              <RegisterTable title={t('registers.beforeRound')} values={event.registersBefore} />
+              {hidden.has('nextB') ? (
+                <p className="hint">{t('registers.hiddenForQuiz')}</p>
+              ) : (
+                <RegisterTable title={t('registers.afterRound')} values={event.registersAfter} />
+              )}
+            </>
+          )}
+
+          {event?.type === 'chunk-start' && (
+            <>
+              <HashTable title={t('registers.hashBeforeChunk')} values={event.hashBefore} />
+              <RegisterTable title={t('registers.initialized')} values={event.registersBefore} />
+            </>
+          )}
+
+          {event?.type === 'chunk-end' && (
+            <>
+              <RegisterTable
+                title={t('registers.afterRounds', { count: event.roundCount })}
+                values={event.registersBeforeAdd}
+              />
+              <HashTable title={t('registers.hashBeforeAdd')} values={event.hashBefore} />
+              <HashTable title={t('registers.hashAfterAdd')} values={event.hashAfter} />
+            </>
+          )}
+
+          {event?.type === 'preprocess' && (
+            <HashTable
+              title={
+                chunkTrace.processedLength > 0
+                  ? t('registers.resumed')
+                  : t('registers.initial', { algorithm: chunkTrace.algorithm })
+              }
+              values={chunkTrace.initialHash}
+            />
+          )}
+
+          {event?.type === 'done' && (
+            <>
+              <HashTable title={t('registers.finalWords')} values={event.hash} />
+              <div className="digest-box final">
+                <h3>
+                  {trace.isStandard === false
+                    ? t('registers.finalDigest')
+                    : t('registers.final', { algorithm: event.algorithm })}
+                  {trace.isStandard === false && <span className="not-md5">{t('explainer.notMd5')}</span>}
+                </h3>
+                <code>{event.digest}</code>
+              </div>
+            </>
+          )}
+
+          {event?.type === 'extension-setup' && (
+            <HashTable title={t('registers.fromDigest')} values={event.stateWords} />
+          )}
+
+          {event?.type === 'extension-done' && (
+            <div className={`digest-box final ${event.forgeryHolds === false ? 'mismatch' : ''}`}>
+              <h3>{t('registers.forged')}</h3>
+              <code>{event.forgedDigest}</code>
+            </div>
+          )}
+
+          {event?.type === 'hmac-done' && (
+            <div className="digest-box final">
+              <h3>{t('registers.finalHmac')}</h3>
+              <code>{event.digest}</code>
+            </div>
+          )}
+        </article>
+      )}
+
+      {shown.has('dataflow') && event?.type === 'round' && !quizOpen && (
+        <article className="panel panel-dataflow">
+          <h2>{t('dataflow.title')}</h2>
+          <DataflowDiagram event={event} animate={animate} duration={speed} />
+        </article>
+      )}
+
+      {shown.has('bits') && event?.type === 'round' && !quizOpen && (
+        <article className="panel panel-bits">
+          <h2>{t('bits.title')}</h2>
+          <BitView event={event} />
+        </article>
+      )}
+    </section>
+  );
+}
+
+export default TracePanels;
@@ -0,0 +1,167 @@
+import { useEffect, useEffectEvent, useMemo, useState } from 'react';
+import { createTranslator } from './i18n';
+import { describeCharacterBytes, getInputEncoding, isInputEncoding } from './inputEncodings';
+import { buildMd4Trace } from './md4';
+import { buildMd5Trace } from './md5';
+import { narrateEvent } from './narration';
+import Timeline from './Timeline';
+import TracePanels from './TracePanels';
+import { clamp, DEFAULT_PANELS, getEventTitle } from './traceView';
+import { TranslatorContext, useTranslator } from './useTranslator';
+
+function Viewer({ input, inputType, algorithm, initialStep, panels, autoplay, speed, onStepChange }) {
+  const t = useTranslator();
+  const encoding = isInputEncoding(inputType) ? inputType : 'text';
+  const { trace, error } = useMemo(() => {
+    try {
+      const build = algorithm === 'md4' ? buildMd4Trace : buildMd5Trace;
+      return { trace: build(input, encoding), error: '' };
+    } catch (nextError) {
+      return { trace: null, error: nextError instanceof Error ? nextError : t('controls.parseFailed') };
+    }
+  }, [algorithm, encoding, input, t]);
+  // A new trace, or a new `initialStep`, starts over from `initialStep`.
+  const [position, setPosition] = useState({ trace, initialStep, step: initialStep });
+  const [isPlaying, setIsPlaying] = useState(autoplay);
+  const maxStep = trace ? trace.length - 1 : 0;
+  const currentStep = clamp(
+    position.trace === trace && position.initialStep === initialStep ? position.step : initialStep,
+    0,
+    maxStep,
+  );
+  const playingActive = isPlaying && currentStep < maxStep;
+  const event = useMemo(() => trace?.getEvent(currentStep) ?? null, [currentStep, trace]);
+  const characterBytes = useMemo(
+    () => (getInputEncoding(encoding).kind === 'text' ? describeCharacterBytes(input, encoding) : null),
+    [encoding, input],
+  );
+
+  const goTo = (nextStep) => setPosition({ trace, initialStep, step: clamp(nextStep, 0, maxStep) });
+
+  const reportStep = useEffectEvent((step) => onStepChange?.(step));
+  useEffect(() => {
+    reportStep(currentStep);
+  }, [currentStep]);
+
+  useEffect(() => {
+    if (!playingActive) {
+      return undefined;
+    }
+
+    const timer = window.setTimeout(() => setPosition({ trace, initialStep, step: currentStep + 1 }), speed);
+    return () => window.clearTimeout(timer);
+  }, [currentStep, initialStep, playingActive, speed, trace]);
+
+  const togglePlay = () => {
+    if (playingActive) {
+      setIsPlaying(false);
+      return;
+    }
+
+    if (currentStep >= maxStep) {
+      goTo(0);
+    }
+    setIsPlaying(true);
+  };
+
+  const seek = (nextStep) => {
+    setIsPlaying(false);
+    goTo(nextStep);
+  };
+
+  return (
+    <div className="trace-viewer">
+      <section className="panel controls">
+        <div className="progress-row">
+          <div className="progress-header">
+            <strong>{t('controls.step', { step: currentStep, maxStep })}</strong>
+            <span>{getEventTitle(event, t)}</span>
+          </div>
+          {trace && (
+            <Timeline
+              trace={trace}
+              currentStep={currentStep}
+              onSeek={seek}
+              valueText={t('controls.stepValue', { step: currentStep, title: getEventTitle(event, t) })}
+            />
+          )}
+          <p className="sr-only" aria-live="polite" aria-atomic="true">
+            {event && !playingActive ? narrateEvent(event, t) : ''}
+          </p>
+        </div>
+
+        <div className="buttons-row">
+          <button type="button" onClick={() => seek(0)} disabled={!trace || currentStep === 0}>
+            |&lt;
+          </button>
+          <button type="button" onClick={() => seek(currentStep - 1)} disabled={!trace || currentStep === 0}>
+            -1
+          </button>
+          <button type="button" onClick={togglePlay} disabled={!trace || maxStep === 0}>
+            {t(playingActive ? 'controls.pause' : 'controls.play')}
+          </button>
+          <button type="button" onClick={() => seek(currentStep + 1)} disabled={!trace || currentStep >= maxStep}>
+            +1
+          </button>
+          <button type="button" onClick={() => seek(maxStep)} disabled={!trace || currentStep >= maxStep}>
+            &gt;|
+          </button>
+        </div>
+
+        {error && <div className="error-box">{t.error(error)}</div>}
+      </section>
+
+      {trace && (
+        <TracePanels
+          trace={trace}
+          step={currentStep}
+          panels={panels}
+          encoding={encoding}
+          characterBytes={characterBytes}
+          animate={playingActive}
+          speed={speed}
+        />
+      )}
+    </div>
+  );
+}
+
+// The trace viewer without the page around it, for embedding: one input,
+// read as `inputType` (an input encoding, else text) and hashed with
+// `algorithm` ('md5' or 'md4'), opening at `initialStep` (and going back to
+// it whenever the input or `initialStep` changes) and playing on its own
+// given `autoplay`. `panels` picks the panels under the controls (see
+// TRACE_PANELS), and `onStepChange` hears about every step shown. It speaks
+// the language of the surrounding translator unless given a `locale`. It
+// brings no styles; ScopedTraceViewer and <md5-trace> add them in a shadow root.
+function TraceViewer({
+  input = '',
+  inputType = 'text',
+  algorithm = 'md5',
+  initialStep = 0,
+  panels = DEFAULT_PANELS,
+  autoplay = false,
+  speed = 180,
+  locale,
+  onStepChange,
+}) {
+  const surrounding = useTranslator();
+  const t = useMemo(() => (locale ? createTranslator(locale) : surrounding), [locale, surrounding]);
+
+  return (
+    <TranslatorContext value={t}>
+      <Viewer
+        input={input}
+        inputType={inputType}
+        algorithm={algorithm}
+        initialStep={initialStep}
+        panels={panels}
+        autoplay={autoplay}
+        speed={speed}
+        onStepChange={onStepChange}
+      />
+    </TranslatorContext>
+  );
+}
+
+export default TraceViewer;
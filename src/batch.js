@@ -0,0 +1,75 @@
+import { createMd5Hasher, getPaddedChunkCount, parseInputBytes } from './md5';
+
+export const BATCH_STATUSES = ['pass', 'fail', 'unchecked', 'error'];
+
+// "<digest>  <name>" or "<digest> *<name>" as md5sum prints it; a leading
+// backslash means the name has \\ and \n escapes.
+const MD5SUM_LINE = /^(\\?)([0-9a-fA-F]{32}) [ *](.*)$/;
+// "MD5 (<name>) = <digest>", as BSD md5 and md5sum --tag print it.
+const BSD_LINE = /^(\\?)MD5 \((.*)\) = ([0-9a-fA-F]{32})$/;
+
+function unescapeName(name) {
+  return name.replace(/\\(\\|n|r)/g, (escape, character) => ({ '\\': '\\', n: '\n', r: '\r' })[character]);
+}
+
+// One entry per non-empty line: md5sum lines give an input and the digest it
+// should have; any other line is an input to hash. The file name column of an
+// md5sum line is the input itself, hashed as text: no file is read.
+export function parseBatchInput(text) {
+  const entries = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line === '') {
+      return;
+    }
+
+    const md5sum = line.match(MD5SUM_LINE);
+    const bsd = md5sum ? null : line.match(BSD_LINE);
+    const lineNumber = index + 1;
+
+    if (md5sum) {
+      const [, escaped, digest, name] = md5sum;
+      entries.push({ lineNumber, input: escaped ? unescapeName(name) : name, expected: digest.toLowerCase() });
+    } else if (bsd) {
+      const [, escaped, name, digest] = bsd;
+      entries.push({ lineNumber, input: escaped ? unescapeName(name) : name, expected: digest.toLowerCase() });
+    } else {
+      entries.push({ lineNumber, input: line, expected: null });
+    }
+  });
+
+  return entries;
+}
+
+// Hashes every entry, read as `encoding`, and compares the digest with the
+// expected one. An input that does not parse is an 'error' row with the
+// parser's error.
+export function checkBatch(entries, encoding = 'text') {
+  return entries.map((entry) => {
+    let bytes;
+    try {
+      bytes = parseInputBytes(entry.input, encoding);
+    } catch (error) {
+      return { ...entry, status: 'error', error };
+    }
+
+    const digest = createMd5Hasher().update(bytes).hexDigest();
+    const status = entry.expected === null ? 'unchecked' : digest === entry.expected ? 'pass' : 'fail';
+
+    return {
+      ...entry,
+      length: bytes.length,
+      chunkCount: getPaddedChunkCount(bytes.length),
+      digest,
+      status,
+    };
+  });
+}
+
+export function summarizeBatch(rows) {
+  const summary = Object.fromEntries(BATCH_STATUSES.map((status) => [status, 0]));
+  rows.forEach((row) => {
+    summary[row.status] += 1;
+  });
+  return summary;
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { checkBatch, parseBatchInput, summarizeBatch } from './batch';
+
+describe('batch hashing', () => {
+  it('reads plain lines and md5sum lines', () => {
+    const text = [
+      'abc',
+      '',
+      '900150983cd24fb0d6963f7d28e17f72  abc',
+      '900150983CD24FB0D6963F7D28E17F72 *message digest',
+      '\\d41d8cd98f00b204e9800998ecf8427e  a\\nb',
+      'MD5 (abc) = 900150983cd24fb0d6963f7d28e17f72',
+    ].join('\r\n');
+
+    expect(parseBatchInput(text)).toEqual([
+      { lineNumber: 1, input: 'abc', expected: null },
+      { lineNumber: 3, input: 'abc', expected: '900150983cd24fb0d6963f7d28e17f72' },
+      { lineNumber: 4, input: 'message digest', expected: '900150983cd24fb0d6963f7d28e17f72' },
+      { lineNumber: 5, input: 'a\nb', expected: 'd41d8cd98f00b204e9800998ecf8427e' },
+      { lineNumber: 6, input: 'abc', expected: '900150983cd24fb0d6963f7d28e17f72' },
+    ]);
+  });
+
+  it('checks each digest and sums up the results', () => {
+    const text = [
+      '900150983cd24fb0d6963f7d28e17f72  616263',
+      'd41d8cd98f00b204e9800998ecf8427e  616263',
+      '00'.repeat(56),
+      'zz',
+    ].join('\n');
+    const rows = checkBatch(parseBatchInput(text), 'hex');
+
+    expect(rows.map(({ status, length, chunkCount }) => [status, length, chunkCount])).toEqual([
+      ['pass', 3, 1],
+      ['fail', 3, 1],
+      ['unchecked', 56, 2],
+      ['error', undefined, undefined],
+    ]);
+    expect(rows[1].digest).toBe('900150983cd24fb0d6963f7d28e17f72');
+    expect(rows[3].error.message).toMatch(/hex/i);
+    expect(summarizeBatch(rows)).toEqual({ pass: 1, fail: 1, unchecked: 1, error: 1 });
+  });
+});
@@ -0,0 +1,41 @@
+// Bit helpers for the bit-grid view. Bit arrays are most significant bit
+// first, matching how the words are written in hex.
+
+export function toBits(word) {
+  return Array.from({ length: 32 }, (_, index) => (word >>> (31 - index)) & 1);
+}
+
+// Adds several 32-bit operands column by column like long addition and
+// returns the resulting bits plus the carry flowing into each column. With
+// more than two operands a carry can be larger than 1.
+export function addWithCarries(operands) {
+  const bits = new Array(32).fill(0);
+  const carries = new Array(32).fill(0);
+  let carry = 0;
+
+  for (let position = 0; position < 32; position += 1) {
+    const column = 31 - position;
+    carries[column] = carry;
+    const total = operands.reduce((count, operand) => count + ((operand >>> position) & 1), carry);
+    bits[column] = total & 1;
+    carry = total >>> 1;
+  }
+
+  return { bits, carries, carryOut: carry };
+}
+
+// For the multiplexer-style functions, which input each output bit was taken
+// from: MD5/MD4 F picks C where B is 1 and D elsewhere, MD5 G picks B where D
+// is 1 and C elsewhere. MD4's majority G and the XOR-based functions mix all
+// inputs, so there is no single source.
+export function getBitSources(functionName, algorithm, b, c, d) {
+  if (functionName === 'F') {
+    return toBits(b).map((bit) => (bit ? 'C' : 'D'));
+  }
+
+  if (functionName === 'G' && algorithm === 'MD5') {
+    return toBits(d).map((bit) => (bit ? 'B' : 'C'));
+  }
+
+  return null;
+}
@@ -0,0 +1,215 @@
+// Terminal front end for the tracer, run by bin/md5-trace.js. Everything that
+// touches the process (arguments, files, stdin, output) is passed in so the
+// command can be exercised from tests. The import spells out `.js` because
+// plain Node resolves ES modules only by their full file name.
+import { createMd5Trace, formatWord, parseInputBytes } from './md5.js';
+
+export const USAGE = `Usage: md5-trace [options] [text]
+
+Hash text, hex bytes, a file or stdin and print the MD5 trace.
+
+Input (stdin is read when none is given):
+  [text]              UTF-8 text
+  --hex <bytes>       hex bytes, e.g. "61 62 63"
+  --file <path>       a file
+
+Output:
+  --chunk <n>         print the rounds of chunk n (counted from 1)
+  --rounds <i|i-j>    only rounds i..j (0-63, as in K[i]); all chunks unless --chunk is given
+  --json              machine-readable output
+  --check <digest>    exit with status 1 unless the digest matches
+  -h, --help          show this help
+`;
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+  const options = { texts: [], json: false, help: false };
+  const takeValue = (index, name) => {
+    if (index >= argv.length) {
+      throw new UsageError(`${name} needs a value.`);
+    }
+    return argv[index];
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const argument = argv[index];
+
+    if (argument === '-h' || argument === '--help') {
+      options.help = true;
+    } else if (argument === '--json') {
+      options.json = true;
+    } else if (['--hex', '--file', '--chunk', '--rounds', '--check'].includes(argument)) {
+      index += 1;
+      options[argument.slice(2)] = takeValue(index, argument);
+    } else if (argument === '--') {
+      options.texts.push(...argv.slice(index + 1));
+      break;
+    } else if (argument.startsWith('-') && argument !== '-') {
+      throw new UsageError(`Unknown option ${argument}.`);
+    } else {
+      options.texts.push(argument);
+    }
+  }
+
+  const sources = [options.texts.length > 0, options.hex !== undefined, options.file !== undefined];
+  if (sources.filter(Boolean).length > 1) {
+    throw new UsageError('Give only one input: text, --hex or --file.');
+  }
+
+  return options;
+}
+
+function parseChunk(value, chunkCount) {
+  const chunk = Number(value);
+  if (!Number.isInteger(chunk) || chunk < 1 || chunk > chunkCount) {
+    throw new UsageError(`--chunk must be between 1 and ${chunkCount}.`);
+  }
+  return chunk - 1;
+}
+
+function parseRounds(value, roundCount) {
+  const match = /^(\d+)(?:-(\d+))?$/.exec(value);
+  const first = match ? Number(match[1]) : NaN;
+  const last = match?.[2] !== undefined ? Number(match[2]) : first;
+
+  if (!match || first > last || last >= roundCount) {
+    throw new UsageError(`--rounds must be i or i-j with 0 <= i <= j <= ${roundCount - 1}.`);
+  }
+
+  return { first, last };
+}
+
+async function readInput(options, io) {
+  if (options.hex !== undefined) {
+    return { inputType: 'hex', bytes: parseInputBytes(options.hex, 'hex') };
+  }
+
+  if (options.file !== undefined) {
+    return { inputType: 'file', bytes: new Uint8Array(await io.readFile(options.file)) };
+  }
+
+  if (options.texts.length > 0) {
+    return { inputType: 'text', bytes: parseInputBytes(options.texts.join(' '), 'text') };
+  }
+
+  return { inputType: 'stdin', bytes: await io.readStdin() };
+}
+
+function formatState(words) {
+  return words.map(formatWord).join(' ');
+}
+
+function formatRound(event) {
+  const index = String(event.roundIndex).padStart(2);
+  const g = String(event.g).padStart(2);
+  const shift = String(event.shift).padStart(2);
+  return [
+    `  i=${index}  ${event.functionName}  ${event.functionFormula.padEnd(18)}  g=${g}`,
+    `K=${formatWord(event.constant)}  s=${shift}`,
+    `[${formatState(event.registersBefore)}] -> [${formatState(event.registersAfter)}]`,
+  ].join('  ');
+}
+
+function collectChunks(trace, selection) {
+  const chunks = [];
+
+  for (let chunkIndex = 0; chunkIndex < trace.chunkCount; chunkIndex += 1) {
+    const start = trace.getChunkStartStep(chunkIndex);
+    const chunkStart = trace.getEvent(start);
+    const chunkEnd = trace.getEvent(start + trace.roundCount + 1);
+    const rounds = [];
+
+    if (selection && (selection.chunk === null || selection.chunk === chunkIndex)) {
+      for (let i = selection.first; i <= selection.last; i += 1) {
+        rounds.push(trace.getEvent(start + 1 + i));
+      }
+    }
+
+    chunks.push({ index: chunkIndex, hashBefore: chunkStart.hashBefore, hashAfter: chunkEnd.hashAfter, rounds });
+  }
+
+  return chunks;
+}
+
+function printText(write, trace, chunks, check) {
+  const preprocess = trace.getEvent(0);
+  write(`Input: ${preprocess.inputLengthBytes} bytes (${preprocess.inputLengthBits} bits)\n`);
+  write(
+    `Padding: +${preprocess.addedBytes} bytes to ${preprocess.paddedLengthBytes} bytes, ` +
+      `length field ${preprocess.lengthFieldBits} bits, ${preprocess.chunkCount} chunk(s)\n`,
+  );
+
+  for (const chunk of chunks) {
+    write(`\nChunk ${chunk.index + 1}/${trace.chunkCount}\n`);
+    write(`  hash before: ${formatState(chunk.hashBefore)}\n`);
+
+    for (const round of chunk.rounds) {
+      write(`${formatRound(round)}\n`);
+    }
+
+    write(`  hash after:  ${formatState(chunk.hashAfter)}\n`);
+  }
+
+  write(`\nMD5: ${trace.digest}\n`);
+
+  if (check) {
+    write(check.matches ? 'Check: OK\n' : `Check: MISMATCH (expected ${check.expected})\n`);
+  }
+}
+
+function toJson(trace, chunks, check) {
+  return {
+    algorithm: trace.algorithm,
+    digest: trace.digest,
+    preprocess: trace.getEvent(0),
+    chunks,
+    ...(check ? { check } : {}),
+  };
+}
+
+// Returns the exit status: 0 on success, 1 when --check fails, 2 on bad usage
+// or unreadable input.
+export async function runCli(argv, io) {
+  try {
+    const options = parseArguments(argv);
+
+    if (options.help) {
+      io.stdout(USAGE);
+      return 0;
+    }
+
+    const { inputType, bytes } = await readInput(options, io);
+    const trace = createMd5Trace(bytes, { inputType });
+    const wantsRounds = options.chunk !== undefined || options.rounds !== undefined;
+    const selection = wantsRounds
+      ? {
+          chunk: options.chunk !== undefined ? parseChunk(options.chunk, trace.chunkCount) : null,
+          ...(options.rounds !== undefined
+            ? parseRounds(options.rounds, trace.roundCount)
+            : { first: 0, last: trace.roundCount - 1 }),
+        }
+      : null;
+
+    const expected = options.check?.replace(/\s+/g, '').toLowerCase();
+    const check = expected !== undefined ? { expected, matches: expected === trace.digest } : null;
+    const chunks = collectChunks(trace, selection);
+
+    if (options.json) {
+      io.stdout(`${JSON.stringify(toJson(trace, chunks, check), null, 2)}\n`);
+    } else {
+      printText(io.stdout, trace, chunks, check);
+    }
+
+    return check && !check.matches ? 1 : 0;
+  } catch (error) {
+    io.stderr(`md5-trace: ${error.message}\n`);
+    for (const diagnostic of error.diagnostics ?? []) {
+      io.stderr(`  offset ${diagnostic.start}: ${diagnostic.message}${diagnostic.fix ? ` ${diagnostic.fix}` : ''}\n`);
+    }
+    if (error instanceof UsageError) {
+      io.stderr('Run md5-trace --help for usage.\n');
+    }
+    return 2;
+  }
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from 'vitest';
+import { runCli } from './cli';
+
+async function run(argv, { stdin = new Uint8Array(0), files = {} } = {}) {
+  const output = { stdout: '', stderr: '' };
+  const status = await runCli(argv, {
+    readStdin: async () => stdin,
+    readFile: async (path) => {
+      if (!(path in files)) {
+        throw new Error(`ENOENT: ${path}`);
+      }
+      return files[path];
+    },
+    stdout: (text) => {
+      output.stdout += text;
+    },
+    stderr: (text) => {
+      output.stderr += text;
+    },
+  });
+  return { status, ...output };
+}
+
+describe('md5-trace', () => {
+  it('prints the preprocess summary, chunk boundaries and digest', async () => {
+    const { status, stdout } = await run(['abc']);
+
+    expect(status).toBe(0);
+    expect(stdout).toContain('Input: 3 bytes (24 bits)');
+    expect(stdout).toContain('Chunk 1/1');
+    expect(stdout).toContain('MD5: 900150983cd24fb0d6963f7d28e17f72');
+    expect(stdout).not.toContain('i=');
+  });
+
+  it('reads hex, files and stdin', async () => {
+    const hex = await run(['--hex', '61 62 63']);
+    const file = await run(['--file', 'abc.txt'], { files: { 'abc.txt': new TextEncoder().encode('abc') } });
+    const stdin = await run([], { stdin: new TextEncoder().encode('abc') });
+
+    for (const result of [hex, file, stdin]) {
+      expect(result.stdout).toContain('MD5: 900150983cd24fb0d6963f7d28e17f72');
+    }
+  });
+
+  it('filters rounds by chunk and range', async () => {
+    const { stdout } = await run(['--chunk', '2', '--rounds', '16-31', '--json', 'x'.repeat(100)]);
+    const result = JSON.parse(stdout);
+
+    expect(result.chunks[0].rounds).toEqual([]);
+    expect(result.chunks[1].rounds.map((event) => event.roundIndex)).toEqual(
+      Array.from({ length: 16 }, (_, index) => index + 16),
+    );
+    expect(result.chunks[1].rounds.every((event) => event.functionName === 'G')).toBe(true);
+  });
+
+  it('exits with 1 when --check does not match', async () => {
+    expect((await run(['--check', '900150983CD24FB0D6963F7D28E17F72', 'abc'])).status).toBe(0);
+
+    const mismatch = await run(['--json', '--check', '00', 'abc']);
+    expect(mismatch.status).toBe(1);
+    expect(JSON.parse(mismatch.stdout).check).toEqual({ expected: '00', matches: false });
+  });
+
+  it.each([
+    [['--rounds', '64', 'abc'], '--rounds must be'],
+    [['--chunk', '2', 'abc'], '--chunk must be between 1 and 1'],
+    [['--hex', 'zz'], 'Hex input can only contain'],
+    [['--file', 'missing.bin'], 'ENOENT'],
+    [['--bogus'], 'Unknown option --bogus'],
+    [['--hex', '61', 'abc'], 'Give only one input'],
+  ])('reports %j with exit status 2', async (argv, message) => {
+    const { status, stderr } = await run(argv);
+
+    expect(status).toBe(2);
+    expect(stderr).toContain(message);
+  });
+
+  it('lists every input problem with its offset', async () => {
+    const { status, stderr } = await run(['--hex', '61 zz 6g']);
+
+    expect(status).toBe(2);
+    expect(stderr).toContain('\n  offset 3: Hex input can only contain 0-9 and a-f; found "zz".');
+    expect(stderr).toContain('\n  offset 7: Hex input can only contain 0-9 and a-f; found "g".');
+  });
+});
@@ -0,0 +1,58 @@
+// Published MD5 collisions, bundled so the showcase works offline: pairs of
+// different messages with the same digest. `a` and `b` are hex; `source`
+// names the publication. Each pair was found for the standard IV, so it only
+// collides from the start of a message, but any shared suffix keeps it
+// colliding (see the last entry).
+const WANG_2004 = {
+  a:
+    'd131dd02c5e6eec4693d9a0698aff95c2fcab58712467eab4004583eb8fb7f89' +
+    '55ad340609f4b30283e488832571415a085125e8f7cdc99fd91dbdf280373c5b' +
+    'd8823e3156348f5bae6dacd436c919c6dd53e2b487da03fd02396306d248cda0' +
+    'e99f33420f577ee8ce54b67080a80d1ec69821bcb6a8839396f9652b6ff72a70',
+  b:
+    'd131dd02c5e6eec4693d9a0698aff95c2fcab50712467eab4004583eb8fb7f89' +
+    '55ad340609f4b30283e4888325f1415a085125e8f7cdc99fd91dbd7280373c5b' +
+    'd8823e3156348f5bae6dacd436c919c6dd53e23487da03fd02396306d248cda0' +
+    'e99f33420f577ee8ce54b67080280d1ec69821bcb6a8839396f965ab6ff72a70',
+};
+
+const SHARED_SUFFIX = Array.from(new TextEncoder().encode('Anything appended to both halves keeps the collision.'), (byte) =>
+  byte.toString(16).padStart(2, '0'),
+).join('');
+
+export const KNOWN_COLLISIONS = Object.freeze([
+  {
+    id: 'wang-2004',
+    source: 'X. Wang, D. Feng, X. Lai, H. Yu, "Collisions for Hash Functions MD4, MD5, HAVAL-128 and RIPEMD", 2004',
+    ...WANG_2004,
+  },
+  {
+    id: 'stevens-2012',
+    source: 'M. Stevens, "Single-block collision attack on MD5", 2012',
+    a:
+      '4dc968ff0ee35c209572d4777b721587d36fa7b21bdc56b74a3dc0783e7b9518' +
+      'afbfa200a8284bf36e8e4b55b35f427593d849676da0d1555d8360fb5f07fea2',
+    b:
+      '4dc968ff0ee35c209572d4777b721587d36fa7b21bdc56b74a3dc0783e7b9518' +
+      'afbfa202a8284bf36e8e4b55b35f427593d849676da0d1d55d8360fb5f07fea2',
+  },
+  {
+    id: 'wang-2004-suffix',
+    source: 'The Wang et al. pair with the same text appended to both messages',
+    a: WANG_2004.a + SHARED_SUFFIX,
+    b: WANG_2004.b + SHARED_SUFFIX,
+  },
+]);
+
+export function getKnownCollision(id) {
+  return KNOWN_COLLISIONS.find((collision) => collision.id === id) ?? null;
+}
+
+// Hex as the hex input mode shows it: bytes separated by spaces, 16 a line.
+export function formatCollisionHex(hex) {
+  const lines = [];
+  for (let index = 0; index < hex.length; index += 32) {
+    lines.push(hex.slice(index, index + 32).match(/../g).join(' '));
+  }
+  return lines.join('\n');
+}
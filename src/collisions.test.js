@@ -0,0 +1,58 @@
+import { createHash } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { formatCollisionHex, getKnownCollision, KNOWN_COLLISIONS } from './collisions';
+import { findCancelledRounds, findCollision, getChunkDiffSeries } from './compare';
+import { buildMd5Trace, parseInputBytes } from './md5';
+
+function nodeMd5(hex) {
+  return createHash('md5').update(Uint8Array.from(parseInputBytes(hex, 'hex'))).digest('hex');
+}
+
+describe('known collisions', () => {
+  it('bundles different messages with the same MD5 digest', () => {
+    for (const collision of KNOWN_COLLISIONS) {
+      expect(collision.a).not.toBe(collision.b);
+      expect(nodeMd5(collision.a)).toBe(nodeMd5(collision.b));
+    }
+  });
+
+  it('formats pairs the way the hex input reads them back', () => {
+    const { a } = getKnownCollision('stevens-2012');
+    const formatted = formatCollisionHex(a);
+
+    expect(formatted.split('\n')).toHaveLength(4);
+    expect(formatted.startsWith('4d c9 68 ff')).toBe(true);
+    expect(buildMd5Trace(formatted, 'hex').digest).toBe(nodeMd5(a));
+    expect(getKnownCollision('nope')).toBeNull();
+  });
+
+  it('reports where the chaining difference appears and cancels', () => {
+    const { a, b } = getKnownCollision('wang-2004');
+    const left = buildMd5Trace(a, 'hex');
+    const right = buildMd5Trace(b, 'hex');
+    const collision = findCollision(left, right);
+
+    expect(collision.digest).toBe('79054025255fb1a26e4bc422aef54eb4');
+    expect(collision.differingBytes).toEqual([19, 45, 59, 83, 109, 123]);
+    expect(collision.chunks.map(({ words, before, after }) => ({ words, before, after }))).toEqual([
+      { words: [4, 11, 14], before: 0, after: 8 },
+      { words: [4, 11, 14], before: 8, after: 0 },
+      { words: [], before: 0, after: 0 },
+    ]);
+    expect(findCollision(left, left)).toBeNull();
+    expect(findCollision(left, buildMd5Trace('abc', 'text'))).toBeNull();
+  });
+
+  it('finds the rounds where the state difference cancels out', () => {
+    const { a, b } = getKnownCollision('wang-2004');
+    const left = buildMd5Trace(a, 'hex');
+    const right = buildMd5Trace(b, 'hex');
+
+    expect(findCancelledRounds(getChunkDiffSeries(left, right, 0))).toEqual([{ start: 25, end: 33 }]);
+    expect(findCancelledRounds(getChunkDiffSeries(left, right, 2))).toEqual([]);
+    expect(findCancelledRounds([0, 3, 0, 0, 5, 0])).toEqual([
+      { start: 2, end: 3 },
+      { start: 5, end: 5 },
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+export function popcount32(value) {
+  let bits = value >>> 0;
+  bits -= (bits >>> 1) & 0x55555555;
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  bits = (bits + (bits >>> 4)) & 0x0f0f0f0f;
+  return Math.imul(bits, 0x01010101) >>> 24;
+}
+
+function diffWord(left, right) {
+  const xor = (left ^ right) >>> 0;
+  return { left, right, xor, distance: popcount32(xor) };
+}
+
+function diffWords(left, right) {
+  const words = left.map((value, index) => diffWord(value, right[index]));
+  return { words, distance: words.reduce((total, word) => total + word.distance, 0) };
+}
+
+// The events the compare view shows side by side at `step`: the same step of
+// both traces, or the last step of the comparison trace once it has ended.
+export function getAlignedEvents(trace, compareTrace, step) {
+  return {
+    left: trace.getEvent(step),
+    right: compareTrace.getEvent(Math.min(step, compareTrace.length - 1)),
+  };
+}
+
+// XOR difference and Hamming distance between two round events at the same
+// position of two traces, or null when the steps are not comparable rounds.
+export function diffRoundEvents(left, right) {
+  if (
+    left?.type !== 'round' ||
+    right?.type !== 'round' ||
+    left.chunkIndex !== right.chunkIndex ||
+    left.roundIndex !== right.roundIndex
+  ) {
+    return null;
+  }
+
+  return {
+    registersAfter: diffWords(left.registersAfter, right.registersAfter),
+    sum: diffWord(left.sum, right.sum),
+    rotated: diffWord(left.rotated, right.rotated),
+  };
+}
+
+export function digestDistance(leftDigest, rightDigest) {
+  let distance = 0;
+  for (let index = 0; index < leftDigest.length; index += 8) {
+    distance += popcount32(
+      parseInt(leftDigest.slice(index, index + 8), 16) ^ parseInt(rightDigest.slice(index, index + 8), 16),
+    );
+  }
+  return distance;
+}
+
+// Differing bits of the 128-bit working state after every round of one chunk
+// in both traces; shorter when one trace has no such chunk.
+export function getChunkDiffSeries(left, right, chunkIndex) {
+  if (chunkIndex >= left.chunkCount || chunkIndex >= right.chunkCount || left.roundCount !== right.roundCount) {
+    return [];
+  }
+
+  const leftStart = left.getChunkStartStep(chunkIndex);
+  const rightStart = right.getChunkStartStep(chunkIndex);
+  const series = [];
+
+  for (let round = 1; round <= left.roundCount; round += 1) {
+    const registersLeft = left.getEvent(leftStart + round).registersAfter;
+    const registersRight = right.getEvent(rightStart + round).registersAfter;
+    series.push(diffWords(registersLeft, registersRight).distance);
+  }
+
+  return series;
+}
+
+// Stretches of a diff series (see getChunkDiffSeries) where a difference
+// that had entered the working state is gone again, as { start, end } round
+// indices, end inclusive. Zeros before the first difference do not count.
+export function findCancelledRounds(series) {
+  const stretches = [];
+  let seenDifference = false;
+
+  series.forEach((bits, round) => {
+    if (bits > 0) {
+      seenDifference = true;
+    } else if (seenDifference) {
+      const last = stretches.at(-1);
+      if (last && last.end === round - 1) {
+        last.end = round;
+      } else {
+        stretches.push({ start: round, end: round });
+      }
+    }
+  });
+
+  return stretches;
+}
+
+// Null unless the traces are a collision: different inputs, one digest. Then
+// the digest, the offsets of the differing input bytes and, for every chunk
+// both traces have, the message words that differ and the differing bits of
+// the chaining value going into and coming out of the chunk.
+export function findCollision(left, right) {
+  if (left.digest !== right.digest || left.roundCount !== right.roundCount) {
+    return null;
+  }
+
+  const length = Math.max(left.inputBytes.length, right.inputBytes.length);
+  const differingBytes = [];
+  for (let offset = 0; offset < length; offset += 1) {
+    if (left.inputBytes[offset] !== right.inputBytes[offset]) {
+      differingBytes.push(offset);
+    }
+  }
+
+  if (differingBytes.length === 0) {
+    return null;
+  }
+
+  const chunks = [];
+  for (let chunkIndex = 0; chunkIndex < Math.min(left.chunkCount, right.chunkCount); chunkIndex += 1) {
+    const leftEnd = left.getEvent(left.getChunkStartStep(chunkIndex) + left.roundCount + 1);
+    const rightEnd = right.getEvent(right.getChunkStartStep(chunkIndex) + right.roundCount + 1);
+    const rightWords = right.getChunk(chunkIndex).words;
+
+    chunks.push({
+      chunkIndex,
+      words: left
+        .getChunk(chunkIndex)
+        .words.flatMap((word, index) => (word === rightWords[index] ? [] : [index])),
+      before: diffWords(leftEnd.hashBefore, rightEnd.hashBefore).distance,
+      after: diffWords(leftEnd.hashAfter, rightEnd.hashAfter).distance,
+    });
+  }
+
+  return { digest: left.digest, differingBytes, chunks };
+}
@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest';
+import { diffRoundEvents, digestDistance, getAlignedEvents, getChunkDiffSeries, popcount32 } from './compare';
+import { buildMd4Trace } from './md4';
+import { buildMd5Trace } from './md5';
+
+describe('compare view', () => {
+  const abc = buildMd5Trace('abc');
+  const abd = buildMd5Trace('abd');
+
+  it('lines up the same step of both traces and holds the shorter one at its end', () => {
+    const long = buildMd5Trace('x'.repeat(100));
+
+    expect(getAlignedEvents(abc, abd, 5)).toEqual({ left: abc.getEvent(5), right: abd.getEvent(5) });
+    expect(getAlignedEvents(long, abc, 100)).toEqual({
+      left: long.getEvent(100),
+      right: abc.getEvent(abc.length - 1),
+    });
+  });
+
+  it('diffs rounds at the same position of both traces', () => {
+    const step = abc.getChunkStartStep(0) + 1;
+    const { left, right } = getAlignedEvents(abc, abd, step);
+    const diff = diffRoundEvents(left, right);
+
+    // Round 0 reads M[0], the word holding the differing byte.
+    expect(diff.sum.xor).toBe((left.sum ^ right.sum) >>> 0);
+    expect(diff.sum.distance).toBe(popcount32(left.sum ^ right.sum));
+    expect(diff.registersAfter.words).toHaveLength(4);
+    expect(diff.registersAfter.distance).toBeGreaterThan(0);
+    expect(diffRoundEvents(left, left).registersAfter.distance).toBe(0);
+  });
+
+  it('does not diff steps that are not rounds at the same position', () => {
+    const start = abc.getChunkStartStep(0);
+
+    expect(diffRoundEvents(abc.getEvent(start), abd.getEvent(start))).toBeNull();
+    expect(diffRoundEvents(abc.getEvent(start + 1), abd.getEvent(start + 2))).toBeNull();
+    expect(diffRoundEvents(abc.getEvent(start + 1), null)).toBeNull();
+  });
+
+  it('counts differing digest bits', () => {
+    expect(digestDistance(abc.digest, abc.digest)).toBe(0);
+    expect(digestDistance('0'.repeat(32), 'f'.repeat(32))).toBe(128);
+    expect(digestDistance('00000000000000000000000000000001', '0'.repeat(32))).toBe(1);
+  });
+
+  it('follows the state difference through every round of a chunk', () => {
+    const series = getChunkDiffSeries(abc, abd, 0);
+    const lastRound = abc.getEvent(abc.getChunkStartStep(0) + 64);
+
+    expect(series).toHaveLength(64);
+    expect(series[0]).toBeGreaterThan(0);
+    expect(series[63]).toBe(
+      diffRoundEvents(lastRound, abd.getEvent(abd.getChunkStartStep(0) + 64)).registersAfter.distance,
+    );
+    expect(getChunkDiffSeries(abc, abc, 0).every((bits) => bits === 0)).toBe(true);
+    expect(getChunkDiffSeries(abc, abd, 1)).toEqual([]);
+    expect(getChunkDiffSeries(abc, buildMd4Trace('abc'), 0)).toEqual([]);
+  });
+});
@@ -0,0 +1,194 @@
+import { englishTranslator } from './i18n';
+import { formatInputBytes, getInputEncoding, INPUT_ENCODINGS, isInputEncoding } from './inputEncodings';
+import { parseInputBytes } from './md5';
+
+// Longest query string a shared link may carry: longer states are not
+// encoded, and longer links are refused.
+export const MAX_LINK_LENGTH = 16000;
+
+const ENCODINGS = INPUT_ENCODINGS.map((encoding) => encoding.value);
+const LINKABLE_MODES = [...ENCODINGS, 'hmac', 'extension', 'compare'];
+
+function bytesToBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) {
+    binary += String.fromCharCode(byte);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(value) {
+  if (!/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new Error('it is not valid base64url');
+  }
+
+  const padded = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+  return Array.from(atob(padded), (char) => char.charCodeAt(0));
+}
+
+// Byte encodings (hex, Base64, bits, C arrays) are stored as base64url bytes
+// under `<name>x`, much shorter than hex digits or bits; text, and anything
+// that does not parse, is kept verbatim under `<name>` so the link reproduces
+// it exactly.
+function writeValue(params, name, value, encoding) {
+  if (getInputEncoding(encoding)?.kind === 'bytes') {
+    try {
+      params.set(`${name}x`, bytesToBase64Url(parseInputBytes(value, encoding)));
+      return;
+    } catch {
+      // Fall through and keep the raw text.
+    }
+  }
+
+  params.set(name, value);
+}
+
+// `field` names the value in the error message (see the link.field.* keys).
+function readValue(params, name, field, encoding, t) {
+  if (params.has(`${name}x`)) {
+    try {
+      return formatInputBytes(base64UrlToBytes(params.get(`${name}x`)), encoding);
+    } catch {
+      throw new Error(t('link.error.value', { field: t(`link.field.${field}`) }));
+    }
+  }
+
+  return params.get(name) ?? undefined;
+}
+
+export function isLinkableMode(inputType) {
+  return LINKABLE_MODES.includes(inputType);
+}
+
+// The query string for `state`, or '' when its mode cannot be shared or the
+// link would be longer than MAX_LINK_LENGTH.
+export function encodeDeepLink(state) {
+  const params = new URLSearchParams();
+
+  if (!isLinkableMode(state.inputType)) {
+    return '';
+  }
+
+  params.set('m', state.inputType);
+  const messageEncoding = isInputEncoding(state.inputType) ? state.inputType : state.messageEncoding;
+
+  if (!isInputEncoding(state.inputType)) {
+    params.set('e', messageEncoding);
+  }
+
+  writeValue(params, 'i', state.inputValue, messageEncoding);
+
+  if (state.inputType === 'hmac') {
+    params.set('ke', state.hmacKeyType);
+    writeValue(params, 'k', state.hmacKey, state.hmacKeyType);
+  }
+
+  if (state.inputType === 'compare') {
+    writeValue(params, 'b', state.compareValue, messageEncoding);
+  }
+
+  if (state.inputType === 'extension') {
+    params.set('d', state.extension.knownDigest);
+    params.set('l', state.extension.originalLength);
+    params.set('o', state.extension.originalMessage);
+  }
+
+  if (state.algorithm === 'md4') {
+    params.set('a', 'md4');
+  }
+
+  params.set('s', String(state.step));
+  params.set('v', String(state.speed));
+  const query = params.toString();
+  return query.length > MAX_LINK_LENGTH ? '' : query;
+}
+
+// Returns the fields found in `search`, or an error (in the language of `t`)
+// and no fields when the link cannot be used; the app then starts from its
+// defaults.
+export function decodeDeepLink(search, t = englishTranslator) {
+  const query = search.startsWith('?') ? search.slice(1) : search;
+  if (!query) {
+    return { state: {}, error: '' };
+  }
+
+  if (query.length > MAX_LINK_LENGTH) {
+    return { state: {}, error: t('link.error.tooLong', { length: query.length, limit: MAX_LINK_LENGTH }) };
+  }
+
+  const params = new URLSearchParams(query);
+  if (!params.has('m')) {
+    return { state: {}, error: '' };
+  }
+
+  try {
+    const inputType = params.get('m');
+    if (!isLinkableMode(inputType)) {
+      throw new Error(t('link.error.mode', { mode: inputType }));
+    }
+
+    const state = { inputType };
+
+    const messageEncoding = params.get('e');
+    if (messageEncoding !== null) {
+      if (!ENCODINGS.includes(messageEncoding)) {
+        throw new Error(t('link.error.encoding', { encoding: messageEncoding }));
+      }
+      state.messageEncoding = messageEncoding;
+    }
+
+    const valueEncoding = isInputEncoding(inputType) ? inputType : (state.messageEncoding ?? 'text');
+    state.inputValue = readValue(params, 'i', 'message', valueEncoding, t);
+
+    if (inputType === 'hmac') {
+      const keyType = params.get('ke') ?? 'text';
+      if (!ENCODINGS.includes(keyType)) {
+        throw new Error(t('link.error.keyEncoding', { encoding: keyType }));
+      }
+      state.hmacKeyType = keyType;
+      state.hmacKey = readValue(params, 'k', 'key', keyType, t);
+    }
+
+    if (inputType === 'compare') {
+      state.compareValue = readValue(params, 'b', 'secondMessage', valueEncoding, t);
+    }
+
+    if (inputType === 'extension') {
+      state.extension = {
+        knownDigest: params.get('d') ?? '',
+        originalLength: params.get('l') ?? '',
+        originalMessage: params.get('o') ?? '',
+      };
+    }
+
+    if (params.get('a') === 'md4') {
+      state.algorithm = 'md4';
+    }
+
+    if (params.has('s')) {
+      const step = Number(params.get('s'));
+      if (!Number.isSafeInteger(step) || step < 0) {
+        throw new Error(t('link.error.step'));
+      }
+      state.step = step;
+    }
+
+    if (params.has('v')) {
+      const speed = Number(params.get('v'));
+      if (!Number.isFinite(speed) || speed < 60 || speed > 900) {
+        throw new Error(t('link.error.speed'));
+      }
+      state.speed = speed;
+    }
+
+    for (const key of Object.keys(state)) {
+      if (state[key] === undefined) {
+        delete state[key];
+      }
+    }
+
+    return { state, error: '' };
+  } catch (error) {
+    return { state: {}, error: error.message };
+  }
+}
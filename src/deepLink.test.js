@@ -0,0 +1,51 @@
+import { describe, expect, it } from 'vitest';
+import { decodeDeepLink, encodeDeepLink, MAX_LINK_LENGTH } from './deepLink';
+import { createTranslator } from './i18n';
+
+const BASE_STATE = {
+  inputType: 'text',
+  inputValue: '',
+  messageEncoding: 'text',
+  hmacKey: '',
+  hmacKeyType: 'text',
+  compareValue: '',
+  extension: { knownDigest: '', originalLength: '', originalMessage: '' },
+  algorithm: 'md5',
+  step: 3,
+  speed: 180,
+};
+
+describe('deep links', () => {
+  it('round-trips a link of exactly the longest length', () => {
+    const overhead = encodeDeepLink(BASE_STATE).length;
+    const state = { ...BASE_STATE, inputValue: 'x'.repeat(MAX_LINK_LENGTH - overhead) };
+    const query = encodeDeepLink(state);
+
+    expect(query).toHaveLength(MAX_LINK_LENGTH);
+    expect(decodeDeepLink(`?${query}`)).toEqual({
+      state: { inputType: 'text', inputValue: state.inputValue, step: 3, speed: 180 },
+      error: '',
+    });
+  });
+
+  it('does not encode a link past the longest length', () => {
+    const overhead = encodeDeepLink(BASE_STATE).length;
+    const state = { ...BASE_STATE, inputValue: 'x'.repeat(MAX_LINK_LENGTH - overhead + 1) };
+
+    expect(encodeDeepLink(state)).toBe('');
+  });
+
+  it('explains links that cannot be loaded in the UI language', () => {
+    expect(decodeDeepLink('?m=file').error).toBe(
+      'This link could not be loaded: "file" is not a mode that can be shared.',
+    );
+    expect(decodeDeepLink('?m=hex&ix=*', createTranslator('zh-CN'))).toEqual({
+      state: {},
+      error: '无法加载这个链接：消息无法解码。',
+    });
+  });
+
+  it('does not encode modes that cannot be shared', () => {
+    expect(encodeDeepLink({ ...BASE_STATE, inputType: 'file' })).toBe('');
+  });
+});
@@ -0,0 +1,5 @@
+// Entry of the library build (npm run build:lib): the viewer for React apps,
+// already in its own shadow root, and the <md5-trace> custom element.
+export { default as TraceViewer } from './ScopedTraceViewer';
+export { defineTraceElement, readTraceAttributes } from './traceElement';
+export { DEFAULT_PANELS, TRACE_PANELS } from './traceView';
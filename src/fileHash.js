@@ -0,0 +1,154 @@
+import { MessageError } from './i18n';
+import { MD4_ALGORITHM } from './md4';
+import { getBlockCompressor, getMd5Algorithm, getPaddedChunkCount, padTail } from './md5';
+
+// How long the scanner may keep the main thread busy before it yields back to
+// the browser so rendering and input stay responsive.
+const FRAME_BUDGET_MS = 12;
+
+// Chunks read back from the file at once when the viewer moves to one that
+// is not loaded (64 KiB).
+const WINDOW_CHUNKS = 1024;
+
+// The first window is kept from the scan, so small files (including any that
+// fit in a trace export) never need reading again.
+const HEAD_LENGTH = WINDOW_CHUNKS * 64;
+
+function yieldToBrowser() {
+  return new Promise((resolve) => {
+    setTimeout(resolve, 0);
+  });
+}
+
+function createAbortError() {
+  return new DOMException('File hashing was cancelled.', 'AbortError');
+}
+
+// A byte source (see createBlockTrace) over a File/Blob. It holds the first
+// bytes, the partial last chunk and at most one window of chunks read with
+// `load`, which resolves with a new source holding the window around
+// `chunkIndex`; the source itself never changes, so traces over it don't
+// either.
+export function createFileSource(file, { head, tail, window = null }) {
+  const pieces = [
+    { start: 0, bytes: head },
+    { start: file.size - tail.length, bytes: tail },
+    ...(window ? [window] : []),
+  ];
+
+  return {
+    length: file.size,
+    read: (start, end) => {
+      const piece = pieces.find(({ start: from, bytes }) => start >= from && end <= from + bytes.length);
+      return piece ? piece.bytes.subarray(start - piece.start, end - piece.start) : null;
+    },
+    load: async (chunkIndex) => {
+      const start = Math.floor(chunkIndex / WINDOW_CHUNKS) * WINDOW_CHUNKS * 64;
+      const bytes = new Uint8Array(await file.slice(start, start + WINDOW_CHUNKS * 64).arrayBuffer());
+      return createFileSource(file, { head, tail, window: { start, bytes } });
+    },
+  };
+}
+
+// Streams a File/Blob through MD5 (or MD4, with `algorithm: 'md4'`, or MD5
+// with lab `params`) chunk by chunk, storing the hash state before every chunk
+// in `chunkStates` (4 words per chunk, plus the final state at the end). The
+// file is not kept in memory: `bytes` is a file source that reads chunks back
+// on demand.
+export async function scanFile(file, { algorithm = 'md5', params, onProgress, signal } = {}) {
+  const hashAlgorithm = algorithm === 'md4' ? MD4_ALGORITHM : getMd5Algorithm(params);
+  const compress = getBlockCompressor(hashAlgorithm);
+  const totalLength = file.size;
+  const chunkCount = getPaddedChunkCount(totalLength);
+  const chunkStates = new Uint32Array((chunkCount + 1) * 4);
+  const head = new Uint8Array(Math.min(HEAD_LENGTH, totalLength));
+  // The start of a chunk that the last read ended inside.
+  const partial = new Uint8Array(64);
+  const reader = file.stream().getReader();
+
+  let hash = [...hashAlgorithm.initialHash];
+  let received = 0;
+  let partialLength = 0;
+  let chunkIndex = 0;
+  let sliceStart = performance.now();
+
+  const compressChunk = (bytes, offset) => {
+    hash = compress(hash, bytes, offset);
+    chunkIndex += 1;
+    chunkStates.set(hash, chunkIndex * 4);
+  };
+
+  chunkStates.set(hash, 0);
+
+  try {
+    for (;;) {
+      if (signal?.aborted) {
+        throw createAbortError();
+      }
+
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      if (received + value.length > totalLength) {
+        throw new MessageError('file.error.changed');
+      }
+
+      if (received < head.length) {
+        head.set(value.subarray(0, head.length - received), received);
+      }
+      received += value.length;
+
+      let offset = 0;
+      if (partialLength > 0) {
+        offset = Math.min(64 - partialLength, value.length);
+        partial.set(value.subarray(0, offset), partialLength);
+        partialLength += offset;
+
+        if (partialLength === 64) {
+          compressChunk(partial, 0);
+          partialLength = 0;
+        }
+      }
+
+      for (; offset + 64 <= value.length; offset += 64) {
+        compressChunk(value, offset);
+      }
+
+      if (offset < value.length) {
+        partial.set(value.subarray(offset));
+        partialLength = value.length - offset;
+      }
+
+      if (performance.now() - sliceStart > FRAME_BUDGET_MS) {
+        onProgress?.({ bytesRead: received, totalBytes: totalLength, chunksDone: chunkIndex, chunkCount });
+        await yieldToBrowser();
+        sliceStart = performance.now();
+      }
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+
+  if (received !== totalLength) {
+    throw new MessageError('file.error.changed');
+  }
+
+  const tail = partial.slice(0, partialLength);
+  const paddedTail = padTail(tail, totalLength);
+  for (let offset = 0; offset < paddedTail.length; offset += 64) {
+    compressChunk(paddedTail, offset);
+  }
+
+  onProgress?.({ bytesRead: received, totalBytes: totalLength, chunksDone: chunkIndex, chunkCount });
+
+  return {
+    name: file.name ?? 'blob',
+    inputType: 'file',
+    bytes: createFileSource(file, { head, tail }),
+    chunkCount,
+    chunkStates,
+  };
+}
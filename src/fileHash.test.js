@@ -0,0 +1,59 @@
+import { createHash } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { scanFile } from './fileHash';
+import { createMd4Trace } from './md4';
+import { createMd5Trace } from './md5';
+
+// A Blob whose stream hands out reads of uneven sizes, like a real file's.
+function createFile(bytes, readSizes = [5, 64, 100, 3]) {
+  const blob = new Blob([bytes]);
+  blob.stream = () => {
+    let offset = 0;
+    let read = 0;
+    return new ReadableStream({
+      pull(controller) {
+        if (offset >= bytes.length) {
+          controller.close();
+          return;
+        }
+        const size = readSizes[read % readSizes.length];
+        controller.enqueue(bytes.slice(offset, offset + size));
+        offset += size;
+        read += 1;
+      },
+    });
+  };
+  return blob;
+}
+
+const bytes = Uint8Array.from({ length: 70_000 }, (_, index) => (index * 31 + (index >> 8)) & 0xff);
+
+describe('file scanning', () => {
+  it('hashes reads split anywhere and reads other chunks back on demand', async () => {
+    const source = await scanFile(createFile(bytes));
+    const trace = createMd5Trace(source.bytes, { inputType: 'file', chunkStates: source.chunkStates });
+    const farStep = trace.getChunkStartStep(1050) + 10;
+
+    expect(trace.digest).toBe(createHash('md5').update(bytes).digest('hex'));
+    expect(trace.getEvent(trace.getChunkStartStep(0) + 1)).not.toBeNull();
+    expect(trace.getEvent(trace.getChunkStartStep(trace.chunkCount - 1))).not.toBeNull();
+    expect(trace.getEvent(farStep)).toBeNull();
+
+    const loaded = await source.bytes.load(trace.getChunkIndex(farStep));
+    const loadedTrace = createMd5Trace(loaded, { inputType: 'file', chunkStates: source.chunkStates });
+
+    expect(loadedTrace.getEvent(farStep)).toEqual(createMd5Trace(bytes).getEvent(farStep));
+  });
+
+  it('scans with MD4 or the lab parameters', async () => {
+    const small = bytes.subarray(0, 1000);
+    const params = { roundCount: 20 };
+
+    expect((await scanFile(createFile(small), { algorithm: 'md4' })).chunkStates).toEqual(
+      createMd4Trace(small).chunkStates,
+    );
+    expect((await scanFile(createFile(small), { params })).chunkStates).toEqual(
+      createMd5Trace(small, { params }).chunkStates,
+    );
+  });
+});
@@ -0,0 +1,120 @@
+import { createMd5Trace } from './md5';
+import { createSegmentedTrace } from './traceSegments';
+
+const BLOCK_SIZE = 64;
+const IPAD = 0x36;
+const OPAD = 0x5c;
+
+function hexToBytes(hex) {
+  const bytes = [];
+  for (let index = 0; index < hex.length; index += 2) {
+    bytes.push(parseInt(hex.slice(index, index + 2), 16));
+  }
+  return bytes;
+}
+
+function xorWithPad(key, padByte) {
+  return key.map((byte) => byte ^ padByte);
+}
+
+function concatBytes(first, second) {
+  const bytes = new Uint8Array(first.length + second.length);
+  bytes.set(first, 0);
+  bytes.set(second, first.length);
+  return bytes;
+}
+
+// HMAC-MD5 as defined in RFC 2104:
+//   HMAC(K, m) = MD5((K' ^ opad) || MD5((K' ^ ipad) || m))
+// where K' is the key hashed if it is longer than one block, then zero-padded
+// to 64 bytes. Every MD5 involved is a full trace the viewer can step through.
+export function buildHmacMd5Trace(keyBytes, messageBytes) {
+  const key = Array.from(keyBytes);
+  const message = Uint8Array.from(messageBytes);
+  const keyWasHashed = key.length > BLOCK_SIZE;
+  const keyTrace = keyWasHashed ? createMd5Trace(key, { inputType: 'hmac-key' }) : null;
+  const shortKey = keyWasHashed ? hexToBytes(keyTrace.digest) : key;
+  const normalizedKey = [...shortKey, ...new Array(BLOCK_SIZE - shortKey.length).fill(0)];
+
+  const innerKey = xorWithPad(normalizedKey, IPAD);
+  const innerTrace = createMd5Trace(concatBytes(innerKey, message), { inputType: 'hmac-inner' });
+  const innerDigest = hexToBytes(innerTrace.digest);
+
+  const outerKey = xorWithPad(normalizedKey, OPAD);
+  const outerTrace = createMd5Trace(concatBytes(outerKey, innerDigest), { inputType: 'hmac-outer' });
+
+  const segments = [];
+
+  if (keyTrace) {
+    segments.push({ phase: 'key', phaseLabel: 'Key hash', trace: keyTrace });
+  }
+
+  segments.push(
+    {
+      phase: 'key',
+      phaseLabel: 'Key',
+      trace: keyTrace ?? innerTrace,
+      event: {
+        type: 'hmac-key',
+        keyLengthBytes: key.length,
+        blockSize: BLOCK_SIZE,
+        keyWasHashed,
+        keyDigest: keyTrace?.digest ?? null,
+        zeroBytesAdded: BLOCK_SIZE - shortKey.length,
+        normalizedKey,
+        digestPreview: keyTrace?.digest ?? null,
+      },
+    },
+    {
+      phase: 'inner',
+      phaseLabel: 'Inner hash',
+      trace: innerTrace,
+      event: {
+        type: 'hmac-xor',
+        pad: 'ipad',
+        padByte: IPAD,
+        normalizedKey,
+        paddedKey: innerKey,
+        appendedLengthBytes: message.length,
+        digestPreview: null,
+      },
+    },
+    { phase: 'inner', phaseLabel: 'Inner hash', trace: innerTrace },
+    {
+      phase: 'outer',
+      phaseLabel: 'Outer hash',
+      trace: outerTrace,
+      event: {
+        type: 'hmac-xor',
+        pad: 'opad',
+        padByte: OPAD,
+        normalizedKey,
+        paddedKey: outerKey,
+        appendedLengthBytes: innerDigest.length,
+        digestPreview: innerTrace.digest,
+      },
+    },
+    { phase: 'outer', phaseLabel: 'Outer hash', trace: outerTrace },
+    {
+      phase: 'outer',
+      phaseLabel: 'HMAC',
+      trace: outerTrace,
+      event: {
+        type: 'hmac-done',
+        innerDigest: innerTrace.digest,
+        digest: outerTrace.digest,
+        digestPreview: outerTrace.digest,
+      },
+    },
+  );
+
+  return createSegmentedTrace(segments, {
+    inputType: 'hmac',
+    inputBytes: message,
+    keyBytes: Uint8Array.from(key),
+    digest: outerTrace.digest,
+    constants: innerTrace.constants,
+    shifts: innerTrace.shifts,
+    initialHash: innerTrace.initialHash,
+  });
+}
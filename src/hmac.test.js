@@ -0,0 +1,48 @@
+import { createHmac } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { buildHmacMd5Trace } from './hmac';
+
+const text = (value) => new TextEncoder().encode(value);
+const repeat = (byte, length) => new Uint8Array(length).fill(byte);
+
+describe('RFC 2104 HMAC-MD5', () => {
+  // RFC 2104 section 2 and the larger-key cases of RFC 2202.
+  const vectors = [
+    ['16 bytes of 0x0b', repeat(0x0b, 16), text('Hi There'), '9294727a3638bb1c13f48ef8158bfc9d'],
+    ['"Jefe"', text('Jefe'), text('what do ya want for nothing?'), '750c783e6ab0b503eaa86e310a5db738'],
+    ['16 bytes of 0xaa', repeat(0xaa, 16), repeat(0xdd, 50), '56be34521d144c88dbb8c733f0e8b3f6'],
+    [
+      '80 bytes of 0xaa',
+      repeat(0xaa, 80),
+      text('Test Using Larger Than Block-Size Key - Hash Key First'),
+      '6b1ab7fe4bd7bf8f0b62e6ce61b9d0cd',
+    ],
+    [
+      '80 bytes of 0xaa, two blocks of data',
+      repeat(0xaa, 80),
+      text('Test Using Larger Than Block-Size Key and Larger Than One Block-Size Data'),
+      '6f630fad67cda0ee1fb1f562db3aa53e',
+    ],
+  ];
+
+  it.each(vectors)('key %s', (_, key, message, digest) => {
+    const trace = buildHmacMd5Trace(key, message);
+
+    expect(trace.digest).toBe(digest);
+    expect(trace.digest).toBe(createHmac('md5', key).update(message).digest('hex'));
+    expect(trace.getEvent(trace.length - 1)).toMatchObject({ type: 'hmac-done', digest });
+  });
+
+  it('hashes keys longer than a block first and steps through that hash', () => {
+    const trace = buildHmacMd5Trace(repeat(0xaa, 80), text('abc'));
+    const keyEvent = trace.getEvent(trace.segmentStarts[1]);
+
+    expect(trace.getEvent(0)).toMatchObject({ type: 'preprocess', phase: 'key' });
+    expect(keyEvent).toMatchObject({ type: 'hmac-key', keyWasHashed: true, keyLengthBytes: 80, zeroBytesAdded: 48 });
+    expect(buildHmacMd5Trace(repeat(0xaa, 64), text('abc')).getEvent(0)).toMatchObject({
+      type: 'hmac-key',
+      keyWasHashed: false,
+      zeroBytesAdded: 0,
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// The imports spell out `.js`: md5.js loads this module in plain Node for the
+// command line.
+import en from './locales/en.js';
+import zhCN from './locales/zh-CN.js';
+
+// The languages of the UI, as the switcher lists them: each label is in its
+// own language.
+export const LOCALES = Object.freeze([
+  { value: 'en', label: 'English' },
+  { value: 'zh-CN', label: '简体中文' },
+]);
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, 'zh-CN': zhCN };
+
+// The supported locale for a language tag: the same tag, or else the same
+// language ("zh-Hans-SG" reads zh-CN); null when there is none.
+export function matchLocale(tag) {
+  if (typeof tag !== 'string' || tag === '') {
+    return null;
+  }
+
+  const lower = tag.toLowerCase();
+  const language = lower.split('-')[0];
+  return (
+    LOCALES.find((locale) => locale.value.toLowerCase() === lower)?.value ??
+    LOCALES.find((locale) => locale.value.toLowerCase().split('-')[0] === language)?.value ??
+    null
+  );
+}
+
+const LOCALE_STORAGE_KEY = 'md5algorithm-locale';
+
+// The language picked on an earlier visit, else the browser's, else English.
+export function loadLocale() {
+  try {
+    const saved = matchLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (saved) {
+      return saved;
+    }
+  } catch {
+    // Storage is unavailable; fall back to the browser languages.
+  }
+
+  const languages = typeof navigator === 'undefined' ? [] : (navigator.languages ?? [navigator.language]);
+  return languages.map(matchLocale).find(Boolean) ?? DEFAULT_LOCALE;
+}
+
+export function saveLocale(locale) {
+  try {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+  } catch {
+    // Not remembered; the choice lasts for the page.
+  }
+}
+
+// Returns `t(key, params)` for `locale`. Messages name their parameters, as in
+// "Chunk {chunk} round {round}", so a translation can put them in any order;
+// numbers are formatted for the locale. A message may be an object of plural
+// forms ({ one, other }), chosen by `params.count`. Keys missing from the
+// catalog fall back to English, then to the key itself; an unsupported
+// locale is English throughout, numbers included.
+export function createTranslator(locale) {
+  const supported = CATALOGS[locale] ? locale : DEFAULT_LOCALE;
+  const messages = CATALOGS[supported];
+  const numberFormat = new Intl.NumberFormat(supported);
+  const pluralRules = new Intl.PluralRules(supported);
+  const formatValue = (value) => (typeof value === 'number' ? numberFormat.format(value) : String(value));
+
+  const t = (key, params = {}) => {
+    let message = messages[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(params.count ?? 0)] ?? message.other;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      params[name] === undefined ? placeholder : formatValue(params[name]),
+    );
+  };
+
+  t.number = (value) => numberFormat.format(value);
+
+  // A message given as data, `{ key, params }`. A param may be such a message
+  // itself, or an error (see t.error); it is translated first and loses its
+  // full stop, since the outer message ends the sentence.
+  t.message = ({ key, params = {} }) =>
+    t(
+      key,
+      Object.fromEntries(
+        Object.entries(params).map(([name, value]) => [
+          name,
+          value !== null && typeof value === 'object' ? t.error(value).replace(/[.。]$/, '') : value,
+        ]),
+      ),
+    );
+
+  // The text of a thrown error, or of its plain-data copy from the trace
+  // worker: translated when it names a catalog message (see MessageError),
+  // else its message as is.
+  t.error = (error) => {
+    if (typeof error === 'string') {
+      return error;
+    }
+    return error?.key ? t.message(error) : (error?.message ?? '');
+  };
+
+  return t;
+}
+
+// English throughout: the default for helpers that are also used without a
+// UI language, such as tests and the command line.
+export const englishTranslator = createTranslator(DEFAULT_LOCALE);
+
+// An error whose text is the catalog message `key` with `params`, so the UI
+// can show it in its own language with t.error(). `message` is the English
+// text, for the command line.
+export class MessageError extends Error {
+  constructor(key, params = {}) {
+    super(englishTranslator.message({ key, params }));
+    this.name = 'MessageError';
+    this.key = key;
+    this.params = params;
+  }
+}
+
+// Phase labels come from the trace builders in English ("Inner hash"); they
+// are looked up by a key made from the label and shown as is without one.
+export function translatePhase(t, label) {
+  const key = `phase.${label.toLowerCase().replace(/\s+/g, '-')}`;
+  const text = t(key);
+  return text === key ? label : text;
+}
+
+// Which catalog keys `locale` lacks compared with English.
+export function findMissingMessages(locale) {
+  const messages = CATALOGS[locale] ?? {};
+  return Object.keys(CATALOGS[DEFAULT_LOCALE]).filter((key) => messages[key] === undefined);
+}
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { createTranslator, findMissingMessages, LOCALES, matchLocale, translatePhase } from './i18n';
+import { buildHmacMd5Trace } from './hmac';
+import { readInputField } from './inputEncodings';
+import { buildMd5Trace } from './md5';
+import { parseLabDraft, createLabDraft } from './md5Lab';
+import { narrateEvent } from './narration';
+
+describe('translations', () => {
+  const en = createTranslator('en');
+  const zh = createTranslator('zh-CN');
+
+  it('fills named placeholders wherever the catalog puts them', () => {
+    const params = { chunk: 2, round: 17, roundCount: 64, functionName: 'G' };
+
+    expect(en('event.round', params)).toBe('Chunk 2 round 17/64 using function G');
+    expect(zh('event.round', params)).toBe('第 2 块 第 17/64 轮，使用函数 G');
+  });
+
+  it('picks plural forms by count and formats numbers for the locale', () => {
+    expect(en('controls.searchWithBreakpoints', { count: 1 })).toBe('Search (1 breakpoint)');
+    expect(en('controls.searchWithBreakpoints', { count: 3 })).toBe('Search (3 breakpoints)');
+    expect(en('controls.step', { step: 12345, maxStep: 1000000 })).toBe('Step 12,345 / 1,000,000');
+    expect(createTranslator('de').number(12345.5)).toBe('12,345.5');
+    expect(zh('quiz.streak', { count: 1 })).toBe('连对 1');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(createTranslator('fr')('controls.play')).toBe('Play');
+    expect(zh('no.such.key')).toBe('no.such.key');
+    expect(translatePhase(zh, 'Inner hash')).toBe('内层哈希');
+    expect(translatePhase(zh, 'Some new phase')).toBe('Some new phase');
+  });
+
+  it('has every English message in each catalog', () => {
+    for (const locale of LOCALES) {
+      expect(findMissingMessages(locale.value)).toEqual([]);
+    }
+  });
+
+  it('shows errors from the catalogs in the chosen language', () => {
+    const catchError = (run) => {
+      try {
+        run();
+      } catch (error) {
+        return error;
+      }
+      throw new Error('expected an error');
+    };
+    const inputError = catchError(() => readInputField('zz 61 q', 'hex', { label: 'input.messageB' }));
+    const labError = catchError(() => parseLabDraft({ ...createLabDraft(), roundCount: '0' }));
+
+    expect(inputError.message).toBe(
+      'Message B: Hex input can only contain 0-9 and a-f; found "zz" (and 1 more issue).',
+    );
+    expect(zh.error(inputError)).toBe('消息 B：十六进制输入只能包含 0-9 和 a-f；发现了“zz”（另有 1 处问题）。');
+    expect(zh.error(inputError.diagnostics[1])).toBe('十六进制输入只能包含 0-9 和 a-f；发现了“q”。');
+    expect(labError.message).toBe('MD5 lab: The round count must be between 1 and 64.');
+    expect(zh.error(labError)).toBe('MD5 实验室：轮数必须在 1 到 64 之间。');
+    expect(zh.error({ ...labError })).toBe(zh.error(labError));
+    expect(zh.error(new Error('Not from a catalog.'))).toBe('Not from a catalog.');
+    expect(zh.error('')).toBe('');
+  });
+
+  it('matches browser languages to a supported locale', () => {
+    expect(matchLocale('en-GB')).toBe('en');
+    expect(matchLocale('zh-CN')).toBe('zh-CN');
+    expect(matchLocale('zh-Hans-SG')).toBe('zh-CN');
+    expect(matchLocale('fr-FR')).toBeNull();
+    expect(matchLocale(null)).toBeNull();
+  });
+
+  it('narrates steps in the chosen language', () => {
+    const trace = buildMd5Trace('abc', 'text');
+    const hmac = buildHmacMd5Trace(new TextEncoder().encode('key'), new TextEncoder().encode('abc'));
+
+    expect(narrateEvent(trace.getEvent(0), zh)).toBe(
+      'MD5 预处理：3 字节的消息加上 61 个填充字节，末尾是它的长度 24 位，然后被切分成 1 个 64 字节的分块。',
+    );
+    expect(narrateEvent(hmac.getEvent(0), zh)).toMatch(/^密钥：3 字节的密钥补上 61 个零字节/);
+  });
+});
@@ -0,0 +1,161 @@
+import { MessageError } from './i18n';
+import { createMd5Hasher, InputError, parseInputBytes } from './md5';
+
+// Every way a typed message can be turned into bytes (see parseInputBytes).
+// Text encodings keep the characters and differ in the bytes they produce;
+// byte encodings spell the bytes out directly, as their placeholder shows.
+// Names are in the catalogs as `encoding.<value>`.
+export const INPUT_ENCODINGS = Object.freeze([
+  { value: 'text', kind: 'text' },
+  { value: 'utf16le', kind: 'text' },
+  { value: 'latin1', kind: 'text' },
+  { value: 'hex', kind: 'bytes', placeholder: '61 62 63' },
+  { value: 'base64', kind: 'bytes', placeholder: 'YWJj' },
+  { value: 'binary', kind: 'bytes', placeholder: '01100001 01100010 01100011' },
+  { value: 'carray', kind: 'bytes', placeholder: '{ 0x61, 0x62, 0x63 }' },
+]);
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function getInputEncoding(value) {
+  return INPUT_ENCODINGS.find((encoding) => encoding.value === value) ?? null;
+}
+
+export function isInputEncoding(value) {
+  return getInputEncoding(value) !== null;
+}
+
+// How the main message is read in input `mode`: the mode itself for plain
+// input, `messageEncoding` for HMAC, extension and compare input, and null for
+// files and saved traces, which have no typed message.
+export function getActiveEncoding(mode, messageEncoding) {
+  if (isInputEncoding(mode)) {
+    return mode;
+  }
+
+  return ['hmac', 'extension', 'compare'].includes(mode) ? messageEncoding : null;
+}
+
+function toBase64(bytes) {
+  let output = '';
+
+  for (let index = 0; index < bytes.length; index += 3) {
+    const chunk = (bytes[index] << 16) | ((bytes[index + 1] ?? 0) << 8) | (bytes[index + 2] ?? 0);
+    const available = Math.min(3, bytes.length - index);
+
+    for (let digit = 0; digit < 4; digit += 1) {
+      output += digit <= available ? BASE64_ALPHABET[(chunk >>> (18 - digit * 6)) & 0x3f] : '=';
+    }
+  }
+
+  return output;
+}
+
+// Writes `bytes` in the given encoding, so that parseInputBytes gives the same
+// bytes back. Throws when a text encoding cannot represent them.
+export function formatInputBytes(bytes, encoding) {
+  const list = Array.from(bytes);
+
+  if (encoding === 'hex') {
+    return list.map((byte) => byte.toString(16).padStart(2, '0')).join(' ');
+  }
+
+  if (encoding === 'base64') {
+    return toBase64(list);
+  }
+
+  if (encoding === 'binary') {
+    return list.map((byte) => byte.toString(2).padStart(8, '0')).join(' ');
+  }
+
+  if (encoding === 'carray') {
+    return list.length > 0 ? `{ ${list.map((byte) => `0x${byte.toString(16).padStart(2, '0')}`).join(', ')} }` : '{ }';
+  }
+
+  if (encoding === 'latin1') {
+    return list.map((byte) => String.fromCharCode(byte)).join('');
+  }
+
+  if (encoding === 'utf16le') {
+    if (list.length % 2 !== 0) {
+      throw new MessageError('conversion.error.utf16le', { count: list.length });
+    }
+
+    let text = '';
+    for (let index = 0; index < list.length; index += 2) {
+      text += String.fromCharCode(list[index] | (list[index + 1] << 8));
+    }
+    return text;
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(list));
+  } catch {
+    throw new MessageError('conversion.error.utf8');
+  }
+}
+
+function describeOption(compute) {
+  try {
+    const { value, bytes } = compute();
+    return { value, byteLength: bytes.length, digest: createMd5Hasher().update(bytes).hexDigest(), error: '' };
+  } catch (error) {
+    return { value: null, byteLength: 0, digest: '', error };
+  }
+}
+
+// The two ways to switch `value` from one encoding to another: convert it so
+// the bytes (and the digest) stay the same, or keep the characters as typed
+// and let the new encoding read them differently.
+export function previewConversion(value, from, to) {
+  return {
+    convert: describeOption(() => {
+      const bytes = parseInputBytes(value, from);
+      return { value: formatInputBytes(bytes, to), bytes };
+    }),
+    keep: describeOption(() => ({ value, bytes: parseInputBytes(value, to) })),
+  };
+}
+
+// parseInputBytes for one field of the form: the diagnostics of a failure
+// are tagged with `field` and its message is prefixed with `label`, the
+// catalog key of the field's name.
+export function readInputField(value, encoding, { label = '', field = '' } = {}) {
+  try {
+    return parseInputBytes(value, encoding);
+  } catch (error) {
+    if (error instanceof InputError) {
+      throw new InputError(
+        error.diagnostics.map((diagnostic) => ({ ...diagnostic, field })),
+        label,
+      );
+    }
+    throw error;
+  }
+}
+
+export function convertInput(value, from, to) {
+  return formatInputBytes(parseInputBytes(value, from), to);
+}
+
+// The first `limit` characters of a text-encoded message with the bytes each
+// one becomes, e.g. "é" -> c3 a9 in UTF-8 but e9 in Latin-1.
+export function describeCharacterBytes(value, encoding, limit = 24) {
+  const characters = [];
+
+  for (const char of value) {
+    if (characters.length >= limit) {
+      break;
+    }
+
+    let bytes;
+    try {
+      bytes = Array.from(parseInputBytes(char, encoding));
+    } catch {
+      bytes = null;
+    }
+    characters.push({ char, bytes });
+  }
+
+  return characters;
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import {
+  convertInput,
+  describeCharacterBytes,
+  formatInputBytes,
+  getActiveEncoding,
+  INPUT_ENCODINGS,
+  previewConversion,
+} from './inputEncodings';
+import { parseInputBytes } from './md5';
+
+describe('input encodings', () => {
+  const bytes = [0x00, 0x61, 0x62, 0xc3, 0xa9, 0xfe, 0xff];
+
+  it.each(INPUT_ENCODINGS.filter((encoding) => encoding.kind === 'bytes').map((encoding) => encoding.value))(
+    'formats bytes as %s and parses them back',
+    (encoding) => {
+      for (let length = 0; length <= bytes.length; length += 1) {
+        const slice = bytes.slice(0, length);
+        expect(Array.from(parseInputBytes(formatInputBytes(slice, encoding), encoding))).toEqual(slice);
+      }
+    },
+  );
+
+  it('formats bytes as text only when the encoding can represent them', () => {
+    expect(formatInputBytes([0x63, 0x61, 0x66, 0xc3, 0xa9], 'text')).toBe('café');
+    expect(formatInputBytes([0x63, 0x61, 0x66, 0xc3, 0xa9], 'latin1')).toBe('cafÃ©');
+    expect(() => formatInputBytes([0xff], 'text')).toThrow('not valid UTF-8');
+    expect(() => formatInputBytes([0x61], 'utf16le')).toThrow('2 bytes per code unit');
+  });
+
+  it('previews converting and reinterpreting a message', () => {
+    const preview = previewConversion('abc', 'text', 'hex');
+
+    expect(preview.convert).toMatchObject({ value: '61 62 63', byteLength: 3, digest: '900150983cd24fb0d6963f7d28e17f72' });
+    expect(preview.keep.error.message).toBe('Hex input must contain an even number of digits; the last digit "c" has no partner.');
+    expect(previewConversion('61', 'hex', 'latin1').keep).toMatchObject({ value: '61', byteLength: 2 });
+    expect(convertInput('YWJj', 'base64', 'binary')).toBe('01100001 01100010 01100011');
+  });
+
+  it('reads the message of HMAC mode in its message encoding, also when leaving it', () => {
+    const from = getActiveEncoding('hmac', 'hex');
+    const to = getActiveEncoding('text', 'hex');
+
+    expect([from, to]).toEqual(['hex', 'text']);
+    expect(previewConversion('61 62 63', from, to).convert.value).toBe('abc');
+    expect(getActiveEncoding('compare', 'base64')).toBe('base64');
+    expect(getActiveEncoding('file', 'hex')).toBeNull();
+  });
+
+  it('lists the bytes of each character', () => {
+    expect(describeCharacterBytes('aé€', 'latin1')).toEqual([
+      { char: 'a', bytes: [0x61] },
+      { char: 'é', bytes: [0xe9] },
+      { char: '€', bytes: null },
+    ]);
+    expect(describeCharacterBytes('aé', 'text')[1]).toEqual({ char: 'é', bytes: [0xc3, 0xa9] });
+  });
+});
@@ -0,0 +1,87 @@
+// The step shortcuts, in the order the help overlay lists them; `message`
+// is the catalog key of the description (see i18n.js).
+export const SHORTCUTS = Object.freeze([
+  { keys: ['←', '→'], message: 'shortcuts.step' },
+  { keys: ['Shift + ←', 'Shift + →'], message: 'shortcuts.jump' },
+  { keys: ['Home', 'End'], message: 'shortcuts.ends' },
+  { keys: ['Space'], message: 'shortcuts.play' },
+  { keys: ['[', ']'], message: 'shortcuts.section' },
+  { keys: ['?'], message: 'shortcuts.help' },
+  { keys: ['Esc'], message: 'shortcuts.closeHelp' },
+]);
+
+function isEditableTarget(target) {
+  if (!target || typeof target.closest !== 'function') {
+    return false;
+  }
+
+  return Boolean(target.isContentEditable || target.closest('input, textarea, select, [contenteditable="true"]'));
+}
+
+// Maps a keydown event to `{ type, amount? }`, or null when the key is not a
+// shortcut. Keys typed into form fields are left alone, as are arrows and
+// Space on buttons and links, which already mean something there.
+export function getShortcutAction(keyEvent) {
+  if (keyEvent.ctrlKey || keyEvent.metaKey || keyEvent.altKey || isEditableTarget(keyEvent.target)) {
+    return null;
+  }
+
+  const onControl = Boolean(keyEvent.target?.closest?.('button, a'));
+
+  switch (keyEvent.key) {
+    case 'ArrowLeft':
+      return { type: 'step', amount: keyEvent.shiftKey ? -10 : -1 };
+    case 'ArrowRight':
+      return { type: 'step', amount: keyEvent.shiftKey ? 10 : 1 };
+    case 'Home':
+      return { type: 'first' };
+    case 'End':
+      return { type: 'last' };
+    case ' ':
+      return onControl ? null : { type: 'toggle-play' };
+    case '[':
+      return { type: 'section', amount: -1 };
+    case ']':
+      return { type: 'section', amount: 1 };
+    case '?':
+      return { type: 'toggle-help' };
+    case 'Escape':
+      return { type: 'close-help' };
+    default:
+      return null;
+  }
+}
+
+// A section starts at every event that is not a round, and at every round
+// whose function differs from the one before it: the start of a chunk, of
+// each round family, its end, and the phases of HMAC and extension traces.
+export function isSectionStart(trace, step) {
+  const event = trace.getEvent(step);
+  if (!event && trace.getChunkIndex && step > 0 && step < trace.length - 1) {
+    // A file chunk that has not been read yet has no events; its sections
+    // follow from the chunk layout, with round families of 16.
+    const offset = step - trace.getChunkStartStep(trace.getChunkIndex(step));
+    return offset === 0 || offset > trace.roundCount || (offset - 1) % 16 === 0;
+  }
+
+  if (event?.type !== 'round') {
+    return true;
+  }
+
+  const previous = trace.getEvent(step - 1);
+  return previous?.type !== 'round' || previous.functionName !== event.functionName;
+}
+
+// The nearest section start before (direction -1) or after (direction 1)
+// `step`, or the first or last step when there is none.
+export function findSectionStep(trace, step, direction) {
+  const lastStep = trace.length - 1;
+
+  for (let next = step + direction; next > 0 && next < lastStep; next += direction) {
+    if (isSectionStart(trace, next)) {
+      return next;
+    }
+  }
+
+  return direction < 0 ? 0 : lastStep;
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { findSectionStep, getShortcutAction } from './keyboardShortcuts';
+import { buildMd5Trace, createMd5Trace } from './md5';
+
+describe('keyboard shortcuts', () => {
+  const key = (init, target = { closest: () => null }) => ({
+    shiftKey: false,
+    target,
+    ...init,
+  });
+
+  it('maps keys to step actions', () => {
+    expect(getShortcutAction(key({ key: 'ArrowRight' }))).toEqual({
+      type: 'step',
+      amount: 1,
+    });
+    expect(getShortcutAction(key({ key: 'ArrowLeft', shiftKey: true }))).toEqual({ type: 'step', amount: -10 });
+    expect(getShortcutAction(key({ key: ']' }))).toEqual({
+      type: 'section',
+      amount: 1,
+    });
+    expect(getShortcutAction(key({ key: ' ' }))).toEqual({
+      type: 'toggle-play',
+    });
+    expect(getShortcutAction(key({ key: 'a' }))).toBeNull();
+    expect(getShortcutAction(key({ key: 'ArrowRight', ctrlKey: true }))).toBeNull();
+  });
+
+  it('leaves keys typed into form fields alone', () => {
+    const field = {
+      closest: (selector) => (selector.includes('textarea') ? {} : null),
+    };
+    const button = {
+      closest: (selector) => (selector.includes('button') ? {} : null),
+    };
+
+    expect(getShortcutAction(key({ key: 'ArrowLeft' }, field))).toBeNull();
+    expect(getShortcutAction(key({ key: ' ' }, button))).toBeNull();
+    expect(getShortcutAction(key({ key: 'ArrowLeft' }, button))).toEqual({
+      type: 'step',
+      amount: -1,
+    });
+  });
+
+  it('jumps between chunks and round families', () => {
+    const trace = buildMd5Trace('x'.repeat(70), 'text');
+    const starts = [];
+    for (let step = 0; step < trace.length - 1; step = findSectionStep(trace, step, 1)) {
+      starts.push(step);
+    }
+
+    // preprocess, then per chunk: chunk-start, four families, chunk-end.
+    expect(starts).toEqual([0, 1, 2, 18, 34, 50, 66, 67, 68, 84, 100, 116, 132]);
+    expect(findSectionStep(trace, 25, -1)).toBe(18);
+    expect(findSectionStep(trace, 18, -1)).toBe(2);
+    expect(findSectionStep(trace, 1, -1)).toBe(0);
+  });
+
+  it('finds the sections of file chunks that have not been read yet', () => {
+    const bytes = Uint8Array.from({ length: 64 * 4 }, (_, index) => index & 0xff);
+    const full = createMd5Trace(bytes);
+    // Chunks 1 and 2 are not loaded.
+    const source = {
+      length: bytes.length,
+      read: (start, end) => (start < 64 || start >= 192 ? bytes.subarray(start, end) : null),
+    };
+    const partial = createMd5Trace(source, { chunkStates: full.chunkStates });
+    const sections = (trace) => {
+      const starts = [];
+      for (let step = 0; step < trace.length - 1; step = findSectionStep(trace, step, 1)) {
+        starts.push(step);
+      }
+      return starts;
+    };
+
+    expect(partial.getEvent(full.getChunkStartStep(1) + 5)).toBeNull();
+    expect(sections(partial)).toEqual(sections(full));
+  });
+});
@@ -0,0 +1,95 @@
+import { MessageError } from './i18n';
+import { createMd5Trace, getPaddingBytes, stateFromDigest } from './md5';
+import { createSegmentedTrace } from './traceSegments';
+
+function concatBytes(...parts) {
+  const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+// Forges MD5(secret || msg || glue || suffix) knowing only MD5(secret || msg)
+// and the length of secret || msg. The digest is the full internal state after
+// the glue padding, so compression simply resumes from it over the suffix.
+// When the original message is supplied the forgery is checked by hashing the
+// whole reconstructed message from the standard IV.
+export function buildLengthExtensionTrace({ knownDigest, originalLength, suffixBytes, originalBytes = null }) {
+  if (!Number.isSafeInteger(originalLength) || originalLength < 0) {
+    throw new MessageError('input.error.originalLength');
+  }
+
+  const state = stateFromDigest(knownDigest);
+  const glue = getPaddingBytes(originalLength);
+  const resumedLength = originalLength + glue.length;
+  const suffix = Uint8Array.from(suffixBytes);
+
+  const forgedTrace = createMd5Trace(suffix, {
+    inputType: 'extension',
+    initialHash: state,
+    processedLength: resumedLength,
+  });
+
+  const segments = [
+    {
+      phase: 'forge',
+      phaseLabel: 'Setup',
+      trace: forgedTrace,
+      event: {
+        type: 'extension-setup',
+        knownDigest: knownDigest.replace(/\s+/g, '').toLowerCase(),
+        stateWords: state,
+        originalLengthBytes: originalLength,
+        glueBytes: glue,
+        resumedLengthBytes: resumedLength,
+        suffixLengthBytes: suffix.length,
+        forgedLengthBytes: resumedLength + suffix.length,
+        digestPreview: knownDigest.replace(/\s+/g, '').toLowerCase(),
+      },
+    },
+    { phase: 'forge', phaseLabel: 'Forged hash', trace: forgedTrace },
+  ];
+
+  let verifyTrace = null;
+  let originalDigestMatches = null;
+
+  if (originalBytes) {
+    const original = Uint8Array.from(originalBytes);
+    if (original.length !== originalLength) {
+      throw new MessageError('input.error.originalMismatch', { bytes: original.length, length: originalLength });
+    }
+
+    originalDigestMatches = createMd5Trace(original).digest === segments[0].event.knownDigest;
+    verifyTrace = createMd5Trace(concatBytes(original, glue, suffix), { inputType: 'extension-verify' });
+    segments.push({ phase: 'verify', phaseLabel: 'Verification', trace: verifyTrace });
+  }
+
+  segments.push({
+    phase: verifyTrace ? 'verify' : 'forge',
+    phaseLabel: 'Result',
+    trace: verifyTrace ?? forgedTrace,
+    event: {
+      type: 'extension-done',
+      forgedDigest: forgedTrace.digest,
+      verifiedDigest: verifyTrace?.digest ?? null,
+      originalDigestMatches,
+      forgeryHolds: verifyTrace ? verifyTrace.digest === forgedTrace.digest : null,
+      digest: forgedTrace.digest,
+      digestPreview: forgedTrace.digest,
+    },
+  });
+
+  return createSegmentedTrace(segments, {
+    inputType: 'extension',
+    inputBytes: suffix,
+    glueBytes: glue,
+    forgedMessageBytes: verifyTrace?.inputBytes ?? null,
+    digest: forgedTrace.digest,
+    constants: forgedTrace.constants,
+    shifts: forgedTrace.shifts,
+    initialHash: state,
+  });
+}
@@ -0,0 +1,66 @@
+import { createHash } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { buildLengthExtensionTrace } from './lengthExtension';
+import { getPaddingBytes } from './md5';
+
+const text = (value) => new TextEncoder().encode(value);
+const nodeMd5 = (...parts) =>
+  parts.reduce((hash, part) => hash.update(Uint8Array.from(part)), createHash('md5')).digest('hex');
+
+describe('length-extension attack', () => {
+  const original = text('secret-key|user=alice&role=reader');
+  const suffix = text('&role=admin');
+  const knownDigest = nodeMd5(original);
+
+  it('predicts the digest of the extended message from the known digest alone', () => {
+    const trace = buildLengthExtensionTrace({ knownDigest, originalLength: original.length, suffixBytes: suffix });
+    const forgedDigest = nodeMd5(original, getPaddingBytes(original.length), suffix);
+
+    expect(trace.digest).toBe(forgedDigest);
+    expect(trace.getEvent(0)).toMatchObject({
+      type: 'extension-setup',
+      originalLengthBytes: original.length,
+      resumedLengthBytes: 64,
+      forgedLengthBytes: 64 + suffix.length,
+    });
+    expect(trace.getEvent(trace.length - 1)).toMatchObject({
+      type: 'extension-done',
+      forgedDigest,
+      forgeryHolds: null,
+    });
+  });
+
+  it('checks the forgery against the whole message when the original is given', () => {
+    const trace = buildLengthExtensionTrace({
+      knownDigest,
+      originalLength: original.length,
+      suffixBytes: suffix,
+      originalBytes: original,
+    });
+
+    expect(trace.getEvent(trace.length - 1)).toMatchObject({
+      originalDigestMatches: true,
+      verifiedDigest: trace.digest,
+      forgeryHolds: true,
+    });
+    expect(Array.from(trace.forgedMessageBytes.subarray(0, original.length))).toEqual(Array.from(original));
+  });
+
+  it('resumes after originals that fill several blocks', () => {
+    const long = text('x'.repeat(130));
+    const trace = buildLengthExtensionTrace({
+      knownDigest: nodeMd5(long),
+      originalLength: long.length,
+      suffixBytes: suffix,
+    });
+
+    expect(trace.digest).toBe(nodeMd5(long, getPaddingBytes(long.length), suffix));
+  });
+
+  it('rejects lengths that do not fit the original', () => {
+    expect(() => buildLengthExtensionTrace({ knownDigest, originalLength: -1, suffixBytes: suffix })).toThrow();
+    expect(() =>
+      buildLengthExtensionTrace({ knownDigest, originalLength: 3, suffixBytes: suffix, originalBytes: original }),
+    ).toThrow();
+  });
+});
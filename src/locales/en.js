@@ -0,0 +1,474 @@
+// English messages, the reference catalog: every other locale has the same
+// keys. Placeholders are named ({chunk}); objects hold plural forms.
+export default {
+  'app.documentTitle': 'MD5 Algorithm Explained Step by Step',
+  'app.title': 'MD5 algorithm explained online step by step visually',
+  'app.intro': 'This website will help you understand how a md5 hash is calculated from start to finish.',
+  'app.language': 'Language',
+  'app.openVivgrid': 'Open vivgrid.com',
+  'app.openGithub': 'Open GitHub repository',
+
+  'phase.key-hash': 'Key hash',
+  'phase.key': 'Key',
+  'phase.inner-hash': 'Inner hash',
+  'phase.outer-hash': 'Outer hash',
+  'phase.hmac': 'HMAC',
+  'phase.setup': 'Setup',
+  'phase.forged-hash': 'Forged hash',
+  'phase.verification': 'Verification',
+  'phase.result': 'Result',
+
+  'encoding.text': 'Text (UTF-8)',
+  'encoding.utf16le': 'Text (UTF-16LE)',
+  'encoding.latin1': 'Text (Latin-1)',
+  'encoding.hex': 'Hex bytes',
+  'encoding.base64': 'Base64',
+  'encoding.binary': 'Binary bits',
+  'encoding.carray': 'C byte array',
+
+  'input.mode': 'Input mode',
+  'input.mode.file': 'Local file',
+  'input.mode.hmac': 'HMAC-MD5',
+  'input.mode.extension': 'Length extension attack',
+  'input.mode.compare': 'Compare two messages',
+  'input.mode.saved': 'Saved trace (JSON)',
+  'input.file': 'File',
+  'input.savedTrace': 'Saved trace',
+  'input.savedSummary': { one: '{count} step, saved digest', other: '{count} steps, saved digest' },
+  'input.savedVerified': 'Verified: recomputing from the saved input gives the same digest.',
+  'input.savedMismatch': 'Not verified: recomputing from the saved input gives {digest}.',
+  'savedTrace.error.json': 'Saved trace: the file is not valid JSON.',
+  'savedTrace.error.format': 'Saved trace: the file is not an exported MD5 trace.',
+  'savedTrace.error.version': 'Saved trace: format version {version} is not supported.',
+  'savedTrace.error.events': 'Saved trace: the event stream or digest is missing.',
+  'savedTrace.error.hex': 'Saved trace: "{field}" must be a string of hex byte pairs.',
+  'savedTrace.error.kind': 'Saved trace: unknown source kind.',
+  'savedTrace.error.source': 'Saved trace: {error}.',
+  'savedTrace.error.length': 'Saved trace: it has {count} steps but its input produces {steps}.',
+  'savedTrace.error.tooLong': 'Trace has {count} steps; exports are limited to {limit}.',
+  'input.message': 'Message',
+  'input.messageA': 'Message A',
+  'input.messageB': 'Message B',
+  'input.suffix': 'Suffix to append',
+  'input.key': 'Key',
+  'input.input': 'Input',
+  'input.messagePlaceholder': 'Type any message...',
+  'input.keyPlaceholder': 'Secret key...',
+  'input.messageBPlaceholder': 'Change a single character...',
+  'input.keyMessageEncoding': 'Key / message encoding',
+  'input.keyEncoding': 'Key encoding',
+  'input.messageEncoding': 'Message encoding',
+  'input.keyEncodingOption': 'Key: {encoding}',
+  'input.messageEncodingOption': 'Message: {encoding}',
+  'input.bothEncoding': 'Encoding (both)',
+  'input.suffixEncoding': 'Suffix encoding',
+  'input.knownDigest': 'Known digest MD5(secret || msg)',
+  'input.originalLength': 'Original length (bytes)',
+  'input.originalMessage': 'Original secret || msg (optional, used only to verify)',
+  'input.takeFromOriginal': 'Take digest and length from original',
+  'input.jumpToChunk': 'Jump to chunk',
+  'input.chunk': 'Chunk',
+  'input.ofChunks': 'of {count}',
+  'input.error.labelled': '{label}: {message}.',
+  'input.error.more': { one: '{message} (and {count} more issue).', other: '{message} (and {count} more issues).' },
+  'input.error.hexCharacter': 'Hex input can only contain 0-9 and a-f; found "{text}".',
+  'input.error.hexPrefix': 'Hex input can only contain 0-9 and a-f; found a "0x" prefix.',
+  'input.error.hexGroup': 'Hex input must contain an even number of digits; "{group}" has {count}.',
+  'input.error.hexLastDigit':
+    'Hex input must contain an even number of digits; the last digit "{digit}" has no partner.',
+  'input.error.base64Character':
+    'Base64 input can only contain A-Z, a-z, 0-9, + and / (or - and _), with = padding at the end; found "{text}".',
+  'input.error.base64LastCharacter':
+    'Base64 input has the wrong length: it should be a multiple of 4 characters once padded; the last character does not complete a byte.',
+  'input.error.base64Length': 'Base64 input has the wrong length: it should be a multiple of 4 characters once padded.',
+  'input.error.binaryCharacter': 'Binary input can only contain 0 and 1; found "{text}".',
+  'input.error.binaryLength':
+    'Binary input must contain a multiple of 8 bits; the last {count} bits do not make a full byte.',
+  'input.error.carrayItem':
+    'C array item {item} ("{text}") is not a byte: use 0x00-0xff, 0-255 or a character like \'a\'.',
+  'input.error.latin1': 'Latin-1 input cannot encode "{character}" (U+{code}) at character {position}.',
+  'input.error.digest': 'An MD5 digest must be exactly 32 hex digits.',
+  'input.error.originalLength': 'Original length must be a non-negative whole number of bytes.',
+  'input.error.originalMismatch': 'The original message is {bytes} bytes but the original length is set to {length}.',
+  'input.fix.hexPrefix': 'Remove the 0x prefix, or switch to C byte array input.',
+  'input.fix.separator': 'Remove the separator; bytes may only be separated by spaces or line breaks.',
+  'input.fix.digit': 'Did you mean the digit {digit}?',
+  'input.fix.hexCharacter': 'Remove "{text}" or replace it with hex digits (0-9, a-f).',
+  'input.fix.hexDigit': 'Write it as "0{group}", or join it with its neighbour.',
+  'input.fix.hexGroup': 'Add a leading 0 or remove a digit.',
+  'input.fix.hexLastDigit': 'Add the missing digit or remove this one.',
+  'input.fix.base64Padding': 'Padding "=" may only appear at the end.',
+  'input.fix.base64LastCharacter': 'Remove it, or check that the copied text was not cut off.',
+  'input.fix.base64NoPadding': 'Remove the = padding.',
+  'input.fix.base64PaddingCount': 'Use {count} "=" for this length.',
+  'input.fix.remove': 'Remove "{text}".',
+  'input.fix.binaryCharacter': 'Remove "{text}"; only 0, 1, spaces and line breaks are allowed.',
+  'input.fix.binaryLength': 'Add {missing} more bits or remove these {count}.',
+  'input.fix.carrayComma': 'Remove the extra comma.',
+  'input.fix.carrayLarge': '{text} is larger than one byte; split it into bytes of at most 0xff (255).',
+  'input.fix.carrayItem': "Write it as 0x00-0xff, a number from 0 to 255, or a quoted character like 'a'.",
+  'input.fix.latin1': 'Latin-1 only covers U+0000 to U+00FF; use UTF-8 or UTF-16LE text for this character.',
+
+  'conversion.title': 'Switch from {from} to {to}',
+  'conversion.cancel': 'Cancel',
+  'conversion.keepBytes': 'Keep the bytes',
+  'conversion.keepCharacters': 'Keep the characters',
+  'conversion.convert': 'Convert',
+  'conversion.reinterpret': 'Reinterpret',
+  'conversion.summary': '{count} bytes, MD5',
+  'conversion.error.utf16le': '{count} bytes cannot be UTF-16LE text, which uses 2 bytes per code unit.',
+  'conversion.error.utf8': 'These bytes are not valid UTF-8 text.',
+
+  'file.prompt': 'Drop a file here or click to choose one.',
+  'file.hashing': 'Hashing {name}: {percent}% ({read} of {size})',
+  'file.ready': { one: '{name} ({size}, {count} chunk)', other: '{name} ({size}, {count} chunks)' },
+  'file.size.mib': '{size} MiB',
+  'file.size.kib': '{size} KiB',
+  'file.size.bytes': '{size} B',
+  'file.error.changed': 'File changed while it was being read.',
+
+  'controls.play': 'Play',
+  'controls.pause': 'Pause',
+  'controls.speed': 'Speed',
+  'controls.speedValue': '{speed}ms',
+  'controls.algorithm': 'Algorithm',
+  'controls.lab': 'MD5 lab',
+  'controls.labUnavailable': 'The lab edits MD5 parameters for plain hashing only',
+  'controls.practice': 'Practice',
+  'controls.copyLink': 'Copy link',
+  'controls.copyLinkTitle': 'Copy a link to this input and step',
+  'controls.copyLinkUnavailable': 'Files and saved traces cannot be shared as a link',
+  'controls.copyLinkTooLong': 'This input is too long to share as a link',
+  'link.error.tooLong': 'This link is too long to load ({length} characters, the limit is {limit}).',
+  'link.error.mode': 'This link could not be loaded: "{mode}" is not a mode that can be shared.',
+  'link.error.encoding': 'This link could not be loaded: "{encoding}" is not an input encoding.',
+  'link.error.keyEncoding': 'This link could not be loaded: "{encoding}" is not a key encoding.',
+  'link.error.value': 'This link could not be loaded: the {field} could not be decoded.',
+  'link.error.step': 'This link could not be loaded: the step is not a whole number.',
+  'link.error.speed': 'This link could not be loaded: the speed is out of range.',
+  'link.field.message': 'message',
+  'link.field.key': 'key',
+  'link.field.secondMessage': 'second message',
+  'controls.search': 'Search',
+  'controls.searchWithBreakpoints': {
+    one: 'Search ({count} breakpoint)',
+    other: 'Search ({count} breakpoints)',
+  },
+  'controls.batch': 'Batch',
+  'controls.keys': 'Keys',
+  'controls.keysTitle': 'Keyboard shortcuts (?)',
+  'controls.step': 'Step {step} / {maxStep}',
+  'controls.stepValue': 'Step {step}: {title}',
+  'controls.exportJson': 'Export JSON',
+  'controls.exportCsv': 'Export CSV',
+  'controls.importJson': 'Import JSON',
+  'controls.exportLimit': 'Exports are limited to {count} steps',
+  'controls.computing': 'Computing trace…',
+  'controls.computingProgress': '{done} / {count} chunks',
+  'controls.loadingChunk': 'Reading this part of the file…',
+  'controls.readSavedTraceFailed': 'Unable to read the saved trace.',
+  'controls.readFileFailed': 'Unable to read file.',
+  'controls.parseFailed': 'Unable to parse input.',
+
+  'issues.place': '{field}, character {position}',
+  'issues.more': 'and {count} more',
+
+  'timeline.label': 'Trace timeline',
+  'timeline.preprocess': 'Preprocess',
+  'timeline.chunkBounds': 'Chunk start / end',
+  'timeline.sparklines': 'Sparklines:',
+  'timeline.value': 'Value',
+  'timeline.weight': 'Hamming weight',
+
+  'search.label': 'Search the trace',
+  'search.previous': 'Previous',
+  'search.next': 'Next',
+  'search.listAll': 'List all',
+  'search.addBreakpoint': 'Add breakpoint',
+  'search.noneAfter': 'No {query} after step {step}.',
+  'search.noneBefore': 'No {query} before step {step}.',
+  'search.unread': 'No {query} up to step {step}, where the file has not been read yet. It is being read now; search again to go on.',
+  'search.stopped': 'Stopped at step {step}: {query}.',
+  'search.breakpoints': 'Breakpoints',
+  'search.remove': 'Remove',
+  'search.removeBreakpoint': 'Remove breakpoint {query}',
+  'search.matches': { one: '{count} match for {query}', other: '{count} matches for {query}' },
+  'search.matchesAtLeast': '{count}+ matches for {query}',
+  'search.noMatches': 'No matches for {query}',
+  'search.listLimit': '(listing stops at {count} matches or {steps} steps)',
+  'search.listUnread': '(parts of the file that have not been read yet were skipped)',
+  'search.previousMatch': 'Previous match',
+  'search.nextMatch': 'Next match',
+  'search.stepMatch': 'Step {step}: {description}',
+  'search.roundStep': 'chunk {chunk}, i = {round} ({functionName})',
+  'search.chunkStep': 'chunk {chunk}, {type}',
+  'search.query.chunkStart': 'start of chunk {chunk}',
+  'search.query.chunkRound': 'chunk {chunk} round {round}',
+  'search.query.round': 'round {round}',
+  'search.query.function': 'rounds using {functionName}',
+  'search.query.equals': '{field} = {value}',
+  'search.query.contains': '{field} contains {digits}',
+  'search.query.bitSet': 'bit {bit} of {field} set',
+  'search.query.bitClear': 'bit {bit} of {field} clear',
+  'search.error.chunk': 'Chunks are numbered from 1.',
+  'search.error.unknownValue': 'Unknown value "{name}"; use A, B, C, D, sum, f, rotated, K or M.',
+  'search.error.hexPattern': '"{pattern}" is not a hex pattern; use up to 8 digits 0-9, a-f, with ? for any digit.',
+  'search.error.bit': 'Bits are numbered 0 (low) to 31 (top).',
+  'search.error.unknown': 'Unknown search "{query}". Try {examples}.',
+
+  'quiz.title': 'Practice',
+  'quiz.score': 'Score',
+  'quiz.streak': 'Streak {count}',
+  'quiz.best': 'Best {count}',
+  'quiz.resetScore': 'Reset score',
+  'quiz.question': 'Round {round} ({functionName}): what is {quantity}?',
+  'quiz.check': 'Check',
+  'quiz.hint': 'Hint ({shown}/{count})',
+  'quiz.showAnswer': 'Show answer',
+  'quiz.nextRound': 'Next round',
+  'quiz.correct': 'Correct: {answer}.',
+  'quiz.wrongWithHints': 'Not quite. Try again, or take a hint.',
+  'quiz.wrong': 'Not quite. Try again.',
+  'quiz.answer': 'The answer is {answer}.',
+  'quiz.askAbout': 'Ask about',
+  'quiz.pickQuantity': 'Pick at least one quantity to practice.',
+  'quiz.roundStepsOnly': 'Questions are asked on round steps.',
+  'quiz.narration': 'Practice: round {round}, compute {quantity}.',
+  'quiz.quantity.g': 'g, the message word index',
+  'quiz.quantity.functionResult': 'f, the boolean function output',
+  'quiz.quantity.sum': 'sum',
+  'quiz.quantity.rotated': 'rotate(sum, s[i])',
+  'quiz.quantity.nextB': 'the new B',
+  'quiz.hint.wordIndex': 'Round family {functionName} picks the word with {formula}.',
+  'quiz.error.wordIndex': 'g is a word index: enter a whole number from 0 to 15.',
+  'quiz.error.word': 'Enter a 32-bit value as up to 8 hex digits, e.g. 0x1a2b3c4d.',
+
+  'compare.title': 'Avalanche comparison',
+  'compare.finalDistance': 'Final digests differ in {count} of 128 bits',
+  'compare.shapeMismatch':
+    'The messages pad to different chunk counts, so only the steps both traces share line up round by round.',
+  'compare.xor': 'XOR',
+  'compare.bits': 'Bits',
+  'compare.stateAfterRound': 'Working state after this round',
+  'compare.moveToRound': 'Move to a round step to compare the registers of both messages.',
+  'compare.chartTitle': 'Differing state bits per round, chunk {chunk}',
+  'compare.chartLabel': 'Differing state bits after each round',
+  'compare.barTitle': 'Round {round}: {count} of 128 bits differ',
+  'compare.noChunk': 'Message B has no chunk {chunk} to compare against.',
+  'compare.chartNote': 'The dashed line marks 64 bits, what two unrelated 128-bit states differ in on average.',
+  'compare.cancelTitle': 'Rounds {start}–{end}: the difference has cancelled out',
+  'compare.cancelNote': 'Shaded rounds are where a difference that had entered the state cancelled out again.',
+
+  'collision.load': 'Known collision',
+  'collision.none': 'Choose a pair...',
+  'collision.wang-2004': 'Wang et al. 2004 (two blocks)',
+  'collision.stevens-2012': 'Stevens 2012 (one block)',
+  'collision.wang-2004-suffix': 'Wang et al. 2004 + shared suffix',
+  'collision.source': 'Source: {source}',
+  'collision.banner': {
+    one: 'Collision: the messages differ in {count} byte, yet both hash to {digest}.',
+    other: 'Collision: the messages differ in {count} bytes, yet both hash to {digest}.',
+  },
+  'collision.offsets': 'Differing byte offsets: {offsets}',
+  'collision.chainTitle': 'Chaining value per chunk',
+  'collision.chunk': 'Chunk',
+  'collision.words': 'Differing words',
+  'collision.bitsIn': 'Bits differing in',
+  'collision.bitsOut': 'Bits differing out',
+  'collision.wordsNone': 'none',
+  'collision.cancelled': 'Cancelled at the feed-forward',
+  'collision.jumpToChunkEnd': 'Go to the end of chunk {chunk}',
+  'collision.chainNote':
+    'A difference still in the working state after the last round can vanish when the chunk result is added to the chaining value; from there on both messages hash alike.',
+
+  'batch.title': 'Batch check',
+  'batch.encoding': 'Read inputs as',
+  'batch.inputs': 'Inputs to hash',
+  'batch.placeholder': 'One input per line, or md5sum output',
+  'batch.hint':
+    'Each line is an input. Lines in md5sum format ("<digest>  <name>" or "MD5 (<name>) = <digest>") are checked against their digest, but no file is opened: the text in the name column is hashed as the input itself. Click a row to step through it.',
+  'batch.summary.pass': 'Passed {count}',
+  'batch.summary.fail': 'Failed {count}',
+  'batch.summary.unchecked': 'No expected digest {count}',
+  'batch.summary.error': 'Unreadable {count}',
+  'batch.line': 'Line',
+  'batch.input': 'Input',
+  'batch.length': 'Bytes',
+  'batch.chunks': 'Chunks',
+  'batch.computed': 'Computed MD5',
+  'batch.expected': 'Expected',
+  'batch.result': 'Result',
+  'batch.status.pass': 'Pass',
+  'batch.status.fail': 'Fail',
+  'batch.status.unchecked': '-',
+  'batch.status.error': 'Error',
+  'batch.open': 'Open in the step-by-step viewer',
+  'batch.more': { one: '{count} more row is not listed.', other: '{count} more rows are not listed.' },
+  'batch.tooLong': 'Only up to {limit} characters are checked; this list has {count}.',
+
+  'lab.standard': 'Standard parameters: digest is MD5',
+  'lab.custom': 'Non-standard parameters: digest is not MD5',
+  'lab.preset': 'Preset',
+  'lab.loadPreset': 'Load a preset...',
+  'lab.roundCount': 'Rounds per chunk: {count}',
+  'lab.preset.standard': 'Standard MD5',
+  'lab.preset.zero-iv': 'Zero IV',
+  'lab.preset.zero-k': 'Zeroed K constants',
+  'lab.preset.no-rotation': 'No rotations (s = 0)',
+  'lab.preset.rounds-16': '16 rounds (F only)',
+  'lab.preset.rounds-32': '32 rounds (F and G)',
+  'lab.error.word': 'MD5 lab: {field} entry "{token}" is not a 32-bit hex word.',
+  'lab.error.shift': 'MD5 lab: shift "{token}" is not a whole number.',
+  'lab.error.params': 'MD5 lab: {error}.',
+  'lab.error.iv': 'The IV must be four 32-bit words.',
+  'lab.error.constants': 'K must contain 64 32-bit constants.',
+  'lab.error.shifts': 'The shift table must contain 64 rotation amounts between 0 and 31.',
+  'lab.error.roundCount': 'The round count must be between 1 and 64.',
+
+  'event.none': 'No step selected',
+  'event.withPhase': '{phase}: {title}',
+  'event.hmacKeyHashed': 'Key is {bytes} bytes, longer than a block: use MD5(key) and zero-pad to 64 bytes',
+  'event.hmacKeyPadded': 'Zero-pad the {bytes}-byte key to one 64-byte block',
+  'event.hmacXor': 'XOR the padded key with {pad} (0x{byte} repeated)',
+  'event.hmacDone': 'HMAC = MD5((K ^ opad) || MD5((K ^ ipad) || message))',
+  'event.extensionSetup':
+    'Turn the known digest into A, B, C, D and rebuild the {bytes}-byte glue padding',
+  'event.extensionDone': 'Forged digest computed without knowing the secret',
+  'event.extensionConfirmed': 'Forgery confirmed: the normal MD5 of the reconstructed message matches',
+  'event.extensionFailed': 'Forgery failed: the normal MD5 of the reconstructed message differs',
+  'event.preprocess': 'Preprocess input and apply {algorithm} padding',
+  'event.chunkStart': 'Chunk {chunk}: load M[0..15] and initialize A, B, C, D',
+  'event.round': 'Chunk {chunk} round {round}/{roundCount} using function {functionName}',
+  'event.chunkEnd': 'Chunk {chunk}: add working registers back into hash state',
+  'event.done': 'Final digest assembled from A, B, C, D',
+
+  'explainer.title': 'Step explainer',
+  'explainer.inputLength': 'Input length',
+  'explainer.bytesAndBits': '{bytes} bytes ({bits} bits)',
+  'explainer.bytes': { one: '{count} byte', other: '{count} bytes' },
+  'explainer.paddingAdded': 'Padding added',
+  'explainer.paddedLength': 'Padded message length',
+  'explainer.chunkCount': 'Chunk count',
+  'explainer.resumedAfter': 'Resumed after',
+  'explainer.resumedValue': '{bytes} bytes, so the length field holds {bits} bits',
+  'explainer.knownDigest': 'Known digest',
+  'explainer.originalLength': 'Original length',
+  'explainer.gluePadding': 'Glue padding',
+  'explainer.forgedMessage': 'Forged message',
+  'explainer.forgedMessageValue': 'secret || msg || glue ({resumed} bytes) || suffix ({suffix} bytes)',
+  'explainer.extensionHint':
+    'The digest is the whole MD5 state after the original message and its padding, so hashing can simply continue from it over the suffix.',
+  'explainer.forgedDigest': 'Forged digest',
+  'explainer.reconstructedDigest': 'MD5 of reconstructed message',
+  'explainer.originalMismatch': 'The known digest is not the MD5 of the original message given.',
+  'explainer.enterOriginal': 'Enter the original secret || msg to verify the forgery on the normal path.',
+  'explainer.roundFamily': 'Round family',
+  'explainer.booleanFunction': 'Boolean function',
+  'explainer.wordIndexRule': 'Word index rule',
+  'explainer.selectedWord': 'Selected message word',
+  'explainer.chunkEndHint':
+    'At the end of a chunk, {algorithm} adds the working registers back into the running hash state (mod 2^32).',
+  'explainer.doneHint': 'Digest complete. The output is the little-endian concatenation of A, B, C, and D.',
+  'explainer.keyLength': 'Key length',
+  'explainer.keyLengthValue': '{bytes} bytes (block size {blockSize})',
+  'explainer.zeroBytesAdded': 'Zero bytes added',
+  'explainer.normalizedKey': 'Normalized key K',
+  'explainer.innerHint': 'The inner hash runs over K ^ ipad followed by the {bytes}-byte message.',
+  'explainer.outerHint': 'The outer hash runs over K ^ opad followed by the {bytes}-byte inner digest.',
+  'explainer.innerDigest': 'Inner digest',
+  'explainer.currentDigest': 'Current digest',
+  'explainer.notMd5': 'not MD5',
+  'explainer.previewHint': 'Preview value for this round. The final digest is at the last step.',
+  'explainer.empty': '(empty)',
+  'explainer.digestPending': '(pending)',
+
+  'message.title': 'Message and chunks',
+  'message.glueHex': 'Glue padding (hex)',
+  'message.hmacKeyHex': 'HMAC key (hex)',
+  'message.readAs': 'Message read as',
+  'message.originalHex': 'Original bytes (hex)',
+  'message.phaseInputHex': '{phase} input (hex)',
+  'message.hashInputHex': 'Hash input (hex)',
+  'message.paddedHex': 'Padded bytes (hex)',
+  'message.activeChunk': 'Active chunk',
+  'message.characterBytes': 'Characters as {encoding} bytes',
+  'message.notEncodable': 'n/a',
+  'message.chunkBytes': 'Chunk bytes',
+  'message.words': 'M[0..15] little-endian words',
+
+  'round.title': 'Round math',
+  'round.diagram': 'Diagram',
+  'round.hideDiagram': 'Hide diagram',
+  'round.bitView': 'Bit view',
+  'round.hideBits': 'Hide bits',
+  'round.functionOutput': 'Function output',
+  'round.constantsAround': 'Constants around i',
+  'round.moveToRound': 'Move to a round step to inspect the boolean function, constants, shifts, and arithmetic.',
+
+  'registers.title': 'Registers and hash state',
+  'registers.beforeRound': 'Registers before round',
+  'registers.afterRound': 'Registers after round',
+  'registers.hiddenForQuiz': 'Registers after this round are hidden until the practice question is answered.',
+  'registers.hashBeforeChunk': 'Hash before chunk',
+  'registers.initialized': 'Working registers initialized',
+  'registers.afterRounds': 'Working registers after {count} rounds',
+  'registers.hashBeforeAdd': 'Hash before add',
+  'registers.hashAfterAdd': 'Hash after add',
+  'registers.resumed': 'State resumed from digest',
+  'registers.initial': 'Initial {algorithm} state',
+  'registers.finalWords': 'Final state words',
+  'registers.finalDigest': 'Final digest',
+  'registers.final': 'Final {algorithm}',
+  'registers.fromDigest': 'State taken from the digest',
+  'registers.forged': 'Forged MD5',
+  'registers.finalHmac': 'Final HMAC-MD5',
+
+  'dataflow.title': 'Step dataflow',
+  'dataflow.newRegister': 'new {register}',
+  'dataflow.label':
+    'Round {round}: {functionName}, adds M[{g}] and {constant}, rotates by {shift}; new B is {nextB}',
+
+  'bits.title': 'Bit view',
+  'bits.bit': 'bit {bit}',
+  'bits.bitFrom': 'bit {bit}, taken from {source}',
+  'bits.carry': 'carry',
+  'bits.carryInto': 'carry into bit {bit}',
+  'bits.coloredBySource': 'Colored by source:',
+
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.close': 'Close',
+  'shortcuts.step': 'Previous / next step',
+  'shortcuts.jump': 'Back / forward 10 steps',
+  'shortcuts.ends': 'First / last step',
+  'shortcuts.play': 'Play / pause',
+  'shortcuts.section': 'Previous / next chunk or round family (F, G, H, I)',
+  'shortcuts.help': 'Show or hide this help',
+  'shortcuts.closeHelp': 'Close this help',
+  'shortcuts.hint':
+    'Shortcuts work anywhere outside the text fields. Each step is also read out as a sentence for screen readers.',
+
+  'narration.withPhase': '{phase}: {sentence}',
+  'narration.registers': 'A = {a}, B = {b}, C = {c}, D = {d}',
+  'narration.paddingBytes': { one: '{count} padding byte', other: '{count} padding bytes' },
+  'narration.chunks': { one: '{count} chunk', other: '{count} chunks' },
+  'narration.bytes': { one: '{count} byte', other: '{count} bytes' },
+  'narration.zeroBytes': { one: '{count} zero byte', other: '{count} zero bytes' },
+  'narration.preprocess':
+    '{algorithm} preprocessing: the {bytes}-byte message gets {padding}, ending with its length of {bits} bits, and is split into {chunks} of 64 bytes.',
+  'narration.chunkStart': 'Chunk {chunk} starts: its bytes become the words M[0] to M[15], and the registers start at {registers}.',
+  'narration.round':
+    'Round {round} of {roundCount} uses {functionName}; g = {g}; it adds M[{g}] = {word} and the constant {constant}, rotates left by {shift}; B becomes {nextB}, and A, C, D take the old D, B, C.',
+  'narration.chunkEnd': 'Chunk {chunk} ends: the registers are added to the hash state, which is now {registers}.',
+  'narration.done': 'Done: the {algorithm} digest is {digest}.',
+  'narration.hmacKeyHashed':
+    'The key is {bytes}, longer than a block, so it is replaced by its MD5 and padded with zeros to 64 bytes.',
+  'narration.hmacKeyPadded': 'The {bytes}-byte key is padded with {zeros} to 64 bytes.',
+  'narration.hmacXor':
+    'The padded key is XORed with {pad}, the byte 0x{byte} repeated, and {bytes} are appended before hashing.',
+  'narration.hmacDone': 'Done: the inner hash is {inner} and the HMAC is {digest}.',
+  'narration.extensionSetup':
+    'The known digest becomes the registers {registers}, after {bytes} of glue padding rebuilt from the original length.',
+  'narration.extensionDone': 'Done: the forged digest is {digest}, computed without knowing the secret.',
+  'narration.extensionConfirmed': 'Done: the forged digest {digest} matches the normal MD5 of the full message.',
+  'narration.extensionFailed': 'Done: the forged digest {digest} does not match the normal MD5 {verified}.',
+};
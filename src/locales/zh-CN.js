@@ -0,0 +1,454 @@
+// Simplified Chinese. Chinese has no plural forms, so every message is a
+// plain string.
+export default {
+  'app.documentTitle': 'MD5 算法分步图解',
+  'app.title': 'MD5 算法在线分步可视化讲解',
+  'app.intro': '本网站将帮助你从头到尾理解 MD5 哈希是如何计算出来的。',
+  'app.language': '语言',
+  'app.openVivgrid': '打开 vivgrid.com',
+  'app.openGithub': '打开 GitHub 仓库',
+
+  'phase.key-hash': '密钥哈希',
+  'phase.key': '密钥',
+  'phase.inner-hash': '内层哈希',
+  'phase.outer-hash': '外层哈希',
+  'phase.hmac': 'HMAC',
+  'phase.setup': '准备',
+  'phase.forged-hash': '伪造哈希',
+  'phase.verification': '验证',
+  'phase.result': '结果',
+
+  'encoding.text': '文本（UTF-8）',
+  'encoding.utf16le': '文本（UTF-16LE）',
+  'encoding.latin1': '文本（Latin-1）',
+  'encoding.hex': '十六进制字节',
+  'encoding.base64': 'Base64',
+  'encoding.binary': '二进制位',
+  'encoding.carray': 'C 字节数组',
+
+  'input.mode': '输入方式',
+  'input.mode.file': '本地文件',
+  'input.mode.hmac': 'HMAC-MD5',
+  'input.mode.extension': '长度扩展攻击',
+  'input.mode.compare': '比较两条消息',
+  'input.mode.saved': '已保存的轨迹（JSON）',
+  'input.file': '文件',
+  'input.savedTrace': '已保存的轨迹',
+  'input.savedSummary': '{count} 步，保存的摘要',
+  'input.savedVerified': '已验证：根据保存的输入重新计算，得到相同的摘要。',
+  'input.savedMismatch': '未通过验证：根据保存的输入重新计算，得到 {digest}。',
+  'savedTrace.error.json': '已保存的轨迹：文件不是有效的 JSON。',
+  'savedTrace.error.format': '已保存的轨迹：文件不是导出的 MD5 轨迹。',
+  'savedTrace.error.version': '已保存的轨迹：不支持格式版本 {version}。',
+  'savedTrace.error.events': '已保存的轨迹：缺少事件流或摘要。',
+  'savedTrace.error.hex': '已保存的轨迹：“{field}”必须是由十六进制字节对组成的字符串。',
+  'savedTrace.error.kind': '已保存的轨迹：未知的来源类型。',
+  'savedTrace.error.source': '已保存的轨迹：{error}。',
+  'savedTrace.error.length': '已保存的轨迹：它有 {count} 步，但其输入产生 {steps} 步。',
+  'savedTrace.error.tooLong': '轨迹有 {count} 步；导出最多 {limit} 步。',
+  'input.message': '消息',
+  'input.messageA': '消息 A',
+  'input.messageB': '消息 B',
+  'input.suffix': '要追加的后缀',
+  'input.key': '密钥',
+  'input.input': '输入',
+  'input.messagePlaceholder': '输入任意消息……',
+  'input.keyPlaceholder': '密钥……',
+  'input.messageBPlaceholder': '只改动一个字符……',
+  'input.keyMessageEncoding': '密钥 / 消息编码',
+  'input.keyEncoding': '密钥编码',
+  'input.messageEncoding': '消息编码',
+  'input.keyEncodingOption': '密钥：{encoding}',
+  'input.messageEncodingOption': '消息：{encoding}',
+  'input.bothEncoding': '编码（两条消息）',
+  'input.suffixEncoding': '后缀编码',
+  'input.knownDigest': '已知摘要 MD5(secret || msg)',
+  'input.originalLength': '原始长度（字节）',
+  'input.originalMessage': '原始 secret || msg（可选，仅用于验证）',
+  'input.takeFromOriginal': '从原始消息计算摘要和长度',
+  'input.jumpToChunk': '跳到分块',
+  'input.chunk': '分块',
+  'input.ofChunks': '共 {count} 块',
+  'input.error.labelled': '{label}：{message}。',
+  'input.error.more': '{message}（另有 {count} 处问题）。',
+  'input.error.hexCharacter': '十六进制输入只能包含 0-9 和 a-f；发现了“{text}”。',
+  'input.error.hexPrefix': '十六进制输入只能包含 0-9 和 a-f；发现了“0x”前缀。',
+  'input.error.hexGroup': '十六进制输入的位数必须是偶数；“{group}”有 {count} 位。',
+  'input.error.hexLastDigit': '十六进制输入的位数必须是偶数；最后一位“{digit}”没有配对。',
+  'input.error.base64Character':
+    'Base64 输入只能包含 A-Z、a-z、0-9、+ 和 /（或 - 和 _），末尾可有 = 填充；发现了“{text}”。',
+  'input.error.base64LastCharacter': 'Base64 输入长度不对：补齐填充后应为 4 的倍数个字符；最后一个字符凑不成一个字节。',
+  'input.error.base64Length': 'Base64 输入长度不对：补齐填充后应为 4 的倍数个字符。',
+  'input.error.binaryCharacter': '二进制输入只能包含 0 和 1；发现了“{text}”。',
+  'input.error.binaryLength': '二进制输入的位数必须是 8 的倍数；最后 {count} 位凑不成一个字节。',
+  'input.error.carrayItem': "C 数组第 {item} 项（“{text}”）不是字节：请用 0x00-0xff、0-255 或 'a' 这样的字符。",
+  'input.error.latin1': 'Latin-1 无法编码第 {position} 个字符“{character}”（U+{code}）。',
+  'input.error.digest': 'MD5 摘要必须正好是 32 个十六进制数字。',
+  'input.error.originalLength': '原始长度必须是非负整数字节数。',
+  'input.error.originalMismatch': '原始消息有 {bytes} 字节，但原始长度设为 {length}。',
+  'input.fix.hexPrefix': '去掉 0x 前缀，或改用 C 字节数组输入。',
+  'input.fix.separator': '去掉分隔符；字节之间只能用空格或换行分隔。',
+  'input.fix.digit': '是不是想输入数字 {digit}？',
+  'input.fix.hexCharacter': '删除“{text}”，或换成十六进制数字（0-9、a-f）。',
+  'input.fix.hexDigit': '写成“0{group}”，或与相邻的数字合并。',
+  'input.fix.hexGroup': '补一个前导 0，或删除一位。',
+  'input.fix.hexLastDigit': '补上缺少的一位，或删除这一位。',
+  'input.fix.base64Padding': '填充符“=”只能出现在末尾。',
+  'input.fix.base64LastCharacter': '删除它，或检查复制的文本是否被截断。',
+  'input.fix.base64NoPadding': '删除 = 填充。',
+  'input.fix.base64PaddingCount': '这个长度应使用 {count} 个“=”。',
+  'input.fix.remove': '删除“{text}”。',
+  'input.fix.binaryCharacter': '删除“{text}”；只允许 0、1、空格和换行。',
+  'input.fix.binaryLength': '再补 {missing} 位，或删除这 {count} 位。',
+  'input.fix.carrayComma': '删除多余的逗号。',
+  'input.fix.carrayLarge': '{text} 超过一个字节；请拆成不大于 0xff（255）的字节。',
+  'input.fix.carrayItem': "写成 0x00-0xff、0 到 255 的数字，或 'a' 这样带引号的字符。",
+  'input.fix.latin1': 'Latin-1 只覆盖 U+0000 到 U+00FF；这个字符请用 UTF-8 或 UTF-16LE 文本。',
+
+  'conversion.title': '从 {from} 切换到 {to}',
+  'conversion.cancel': '取消',
+  'conversion.keepBytes': '保留字节',
+  'conversion.keepCharacters': '保留字符',
+  'conversion.convert': '转换',
+  'conversion.reinterpret': '重新解读',
+  'conversion.summary': '{count} 字节，MD5',
+  'conversion.error.utf16le': '{count} 个字节不能作为 UTF-16LE 文本，它每个码元占 2 个字节。',
+  'conversion.error.utf8': '这些字节不是有效的 UTF-8 文本。',
+
+  'file.prompt': '把文件拖到这里，或点击选择文件。',
+  'file.hashing': '正在计算 {name} 的哈希：{percent}%（{read} / {size}）',
+  'file.ready': '{name}（{size}，{count} 块）',
+  'file.size.mib': '{size} MiB',
+  'file.size.kib': '{size} KiB',
+  'file.size.bytes': '{size} B',
+  'file.error.changed': '读取过程中文件发生了变化。',
+
+  'controls.play': '播放',
+  'controls.pause': '暂停',
+  'controls.speed': '速度',
+  'controls.speedValue': '{speed} 毫秒',
+  'controls.algorithm': '算法',
+  'controls.lab': 'MD5 实验室',
+  'controls.labUnavailable': '实验室只能修改普通哈希的 MD5 参数',
+  'controls.practice': '练习',
+  'controls.copyLink': '复制链接',
+  'controls.copyLinkTitle': '复制指向当前输入和步骤的链接',
+  'controls.copyLinkUnavailable': '文件和已保存的轨迹无法通过链接分享',
+  'controls.copyLinkTooLong': '当前输入太长，无法通过链接分享',
+  'link.error.tooLong': '这个链接太长，无法加载（{length} 个字符，上限为 {limit}）。',
+  'link.error.mode': '无法加载这个链接：“{mode}”不是可以分享的模式。',
+  'link.error.encoding': '无法加载这个链接：“{encoding}”不是输入编码。',
+  'link.error.keyEncoding': '无法加载这个链接：“{encoding}”不是密钥编码。',
+  'link.error.value': '无法加载这个链接：{field}无法解码。',
+  'link.error.step': '无法加载这个链接：步骤不是整数。',
+  'link.error.speed': '无法加载这个链接：速度超出范围。',
+  'link.field.message': '消息',
+  'link.field.key': '密钥',
+  'link.field.secondMessage': '第二条消息',
+  'controls.search': '搜索',
+  'controls.searchWithBreakpoints': '搜索（{count} 个断点）',
+  'controls.batch': '批量',
+  'controls.keys': '快捷键',
+  'controls.keysTitle': '键盘快捷键（?）',
+  'controls.step': '第 {step} / {maxStep} 步',
+  'controls.stepValue': '第 {step} 步：{title}',
+  'controls.exportJson': '导出 JSON',
+  'controls.exportCsv': '导出 CSV',
+  'controls.importJson': '导入 JSON',
+  'controls.exportLimit': '导出最多支持 {count} 步',
+  'controls.computing': '正在计算轨迹…',
+  'controls.computingProgress': '{done} / {count} 块',
+  'controls.loadingChunk': '正在读取文件的这一部分…',
+  'controls.readSavedTraceFailed': '无法读取已保存的轨迹。',
+  'controls.readFileFailed': '无法读取文件。',
+  'controls.parseFailed': '无法解析输入。',
+
+  'issues.place': '{field}，第 {position} 个字符',
+  'issues.more': '另有 {count} 处',
+
+  'timeline.label': '轨迹时间线',
+  'timeline.preprocess': '预处理',
+  'timeline.chunkBounds': '分块开始 / 结束',
+  'timeline.sparklines': '迷你折线：',
+  'timeline.value': '数值',
+  'timeline.weight': '汉明重量',
+
+  'search.label': '搜索轨迹',
+  'search.previous': '上一个',
+  'search.next': '下一个',
+  'search.listAll': '列出全部',
+  'search.addBreakpoint': '添加断点',
+  'search.noneAfter': '第 {step} 步之后没有 {query}。',
+  'search.noneBefore': '第 {step} 步之前没有 {query}。',
+  'search.unread': '到第 {step} 步为止没有 {query}，文件从那里起还未读取。现在正在读取，请再次搜索以继续。',
+  'search.stopped': '停在第 {step} 步：{query}。',
+  'search.breakpoints': '断点',
+  'search.remove': '移除',
+  'search.removeBreakpoint': '移除断点 {query}',
+  'search.matches': '{query} 共有 {count} 处匹配',
+  'search.matchesAtLeast': '{query} 至少有 {count} 处匹配',
+  'search.noMatches': '{query} 没有匹配',
+  'search.listLimit': '（列表最多 {count} 处匹配，最多扫描 {steps} 步）',
+  'search.listUnread': '（已跳过文件中尚未读取的部分）',
+  'search.previousMatch': '上一处匹配',
+  'search.nextMatch': '下一处匹配',
+  'search.stepMatch': '第 {step} 步：{description}',
+  'search.roundStep': '第 {chunk} 块，i = {round}（{functionName}）',
+  'search.chunkStep': '第 {chunk} 块，{type}',
+  'search.query.chunkStart': '第 {chunk} 块的开始',
+  'search.query.chunkRound': '第 {chunk} 块第 {round} 轮',
+  'search.query.round': '第 {round} 轮',
+  'search.query.function': '使用 {functionName} 的轮次',
+  'search.query.equals': '{field} = {value}',
+  'search.query.contains': '{field} 包含 {digits}',
+  'search.query.bitSet': '{field} 的第 {bit} 位为 1',
+  'search.query.bitClear': '{field} 的第 {bit} 位为 0',
+  'search.error.chunk': '块从 1 开始编号。',
+  'search.error.unknownValue': '未知的值“{name}”；请使用 A、B、C、D、sum、f、rotated、K 或 M。',
+  'search.error.hexPattern': '“{pattern}”不是十六进制模式；请使用最多 8 位 0-9、a-f，用 ? 表示任意一位。',
+  'search.error.bit': '位编号从 0（最低位）到 31（最高位）。',
+  'search.error.unknown': '未知的搜索“{query}”。可以试试 {examples}。',
+
+  'quiz.title': '练习',
+  'quiz.score': '得分',
+  'quiz.streak': '连对 {count}',
+  'quiz.best': '最佳 {count}',
+  'quiz.resetScore': '重置得分',
+  'quiz.question': '第 {round} 轮（{functionName}）：{quantity} 是多少？',
+  'quiz.check': '检查',
+  'quiz.hint': '提示（{shown}/{count}）',
+  'quiz.showAnswer': '显示答案',
+  'quiz.nextRound': '下一轮',
+  'quiz.correct': '正确：{answer}。',
+  'quiz.wrongWithHints': '不对。再试一次，或者看一条提示。',
+  'quiz.wrong': '不对。再试一次。',
+  'quiz.answer': '答案是 {answer}。',
+  'quiz.askAbout': '练习内容',
+  'quiz.pickQuantity': '请至少选择一个要练习的量。',
+  'quiz.roundStepsOnly': '只在轮次步骤上出题。',
+  'quiz.narration': '练习：第 {round} 轮，计算 {quantity}。',
+  'quiz.quantity.g': 'g，消息字的下标',
+  'quiz.quantity.functionResult': 'f，布尔函数的输出',
+  'quiz.quantity.sum': 'sum',
+  'quiz.quantity.rotated': 'rotate(sum, s[i])',
+  'quiz.quantity.nextB': '新的 B',
+  'quiz.hint.wordIndex': '{functionName} 轮按 {formula} 选取消息字。',
+  'quiz.error.wordIndex': 'g 是字的下标：请输入 0 到 15 之间的整数。',
+  'quiz.error.word': '请输入最多 8 位十六进制数表示的 32 位值，例如 0x1a2b3c4d。',
+
+  'compare.title': '雪崩效应对比',
+  'compare.finalDistance': '最终摘要在 128 位中有 {count} 位不同',
+  'compare.shapeMismatch': '两条消息填充后的分块数不同，只有两条轨迹共有的步骤能逐轮对齐。',
+  'compare.xor': 'XOR',
+  'compare.bits': '位数',
+  'compare.stateAfterRound': '本轮之后的工作状态',
+  'compare.moveToRound': '移动到某个轮次步骤，即可比较两条消息的寄存器。',
+  'compare.chartTitle': '第 {chunk} 块每轮不同的状态位数',
+  'compare.chartLabel': '每轮之后不同的状态位数',
+  'compare.barTitle': '第 {round} 轮：128 位中有 {count} 位不同',
+  'compare.noChunk': '消息 B 没有第 {chunk} 块可供比较。',
+  'compare.chartNote': '虚线标出 64 位，即两个无关的 128 位状态平均相差的位数。',
+  'compare.cancelTitle': '第 {start}–{end} 轮：差异已相互抵消',
+  'compare.cancelNote': '阴影标出的轮次里，已进入状态的差异又相互抵消了。',
+
+  'collision.load': '已知碰撞',
+  'collision.none': '选择一对消息……',
+  'collision.wang-2004': 'Wang 等人 2004（两个分块）',
+  'collision.stevens-2012': 'Stevens 2012（单个分块）',
+  'collision.wang-2004-suffix': 'Wang 等人 2004 + 相同后缀',
+  'collision.source': '来源：{source}',
+  'collision.banner': '碰撞：两条消息有 {count} 个字节不同，摘要却都是 {digest}。',
+  'collision.offsets': '不同字节的偏移：{offsets}',
+  'collision.chainTitle': '各分块的链接值',
+  'collision.chunk': '分块',
+  'collision.words': '不同的字',
+  'collision.bitsIn': '输入差异位',
+  'collision.bitsOut': '输出差异位',
+  'collision.wordsNone': '无',
+  'collision.cancelled': '在前馈相加时抵消',
+  'collision.jumpToChunkEnd': '跳到第 {chunk} 块末尾',
+  'collision.chainNote': '最后一轮之后仍留在工作状态里的差异，可能在分块结果加到链接值上时消失；此后两条消息的哈希完全相同。',
+
+  'batch.title': '批量校验',
+  'batch.encoding': '输入读作',
+  'batch.inputs': '要计算哈希的输入',
+  'batch.placeholder': '每行一个输入，或粘贴 md5sum 的输出',
+  'batch.hint':
+    '每行是一个输入。md5sum 格式的行（"<摘要>  <名称>" 或 "MD5 (<名称>) = <摘要>"）会与其中的摘要比对，但不会打开任何文件：名称一栏的文字本身就是被哈希的输入。点击某一行即可逐步查看它的计算过程。',
+  'batch.summary.pass': '通过 {count}',
+  'batch.summary.fail': '失败 {count}',
+  'batch.summary.unchecked': '无预期摘要 {count}',
+  'batch.summary.error': '无法读取 {count}',
+  'batch.line': '行',
+  'batch.input': '输入',
+  'batch.length': '字节',
+  'batch.chunks': '分块',
+  'batch.computed': '计算出的 MD5',
+  'batch.expected': '预期',
+  'batch.result': '结果',
+  'batch.status.pass': '通过',
+  'batch.status.fail': '失败',
+  'batch.status.unchecked': '-',
+  'batch.status.error': '错误',
+  'batch.open': '在逐步查看器中打开',
+  'batch.more': '另有 {count} 行未列出。',
+  'batch.tooLong': '最多只检查 {limit} 个字符；这份列表有 {count} 个。',
+
+  'lab.standard': '标准参数：摘要就是 MD5',
+  'lab.custom': '非标准参数：摘要不是 MD5',
+  'lab.preset': '预设',
+  'lab.loadPreset': '载入预设……',
+  'lab.roundCount': '每块轮数：{count}',
+  'lab.preset.standard': '标准 MD5',
+  'lab.preset.zero-iv': '全零 IV',
+  'lab.preset.zero-k': 'K 常量全部置零',
+  'lab.preset.no-rotation': '不循环移位（s = 0）',
+  'lab.preset.rounds-16': '16 轮（仅 F）',
+  'lab.preset.rounds-32': '32 轮（F 和 G）',
+  'lab.error.word': 'MD5 实验室：{field} 中的“{token}”不是 32 位十六进制字。',
+  'lab.error.shift': 'MD5 实验室：移位量“{token}”不是整数。',
+  'lab.error.params': 'MD5 实验室：{error}。',
+  'lab.error.iv': 'IV 必须是四个 32 位字。',
+  'lab.error.constants': 'K 必须包含 64 个 32 位常量。',
+  'lab.error.shifts': '移位表必须包含 64 个 0 到 31 之间的循环移位量。',
+  'lab.error.roundCount': '轮数必须在 1 到 64 之间。',
+
+  'event.none': '未选择步骤',
+  'event.withPhase': '{phase}：{title}',
+  'event.hmacKeyHashed': '密钥长 {bytes} 字节，超过一个分块：改用 MD5(key)，并补零到 64 字节',
+  'event.hmacKeyPadded': '把 {bytes} 字节的密钥补零成一个 64 字节的分块',
+  'event.hmacXor': '将填充后的密钥与 {pad}（重复的 0x{byte}）异或',
+  'event.hmacDone': 'HMAC = MD5((K ^ opad) || MD5((K ^ ipad) || message))',
+  'event.extensionSetup': '把已知摘要还原为 A、B、C、D，并重建 {bytes} 字节的衔接填充',
+  'event.extensionDone': '在不知道密钥的情况下算出了伪造摘要',
+  'event.extensionConfirmed': '伪造成功：重建消息的普通 MD5 与之相同',
+  'event.extensionFailed': '伪造失败：重建消息的普通 MD5 与之不同',
+  'event.preprocess': '预处理输入并进行 {algorithm} 填充',
+  'event.chunkStart': '第 {chunk} 块：载入 M[0..15] 并初始化 A、B、C、D',
+  'event.round': '第 {chunk} 块 第 {round}/{roundCount} 轮，使用函数 {functionName}',
+  'event.chunkEnd': '第 {chunk} 块：把工作寄存器加回哈希状态',
+  'event.done': '由 A、B、C、D 组成最终摘要',
+
+  'explainer.title': '步骤讲解',
+  'explainer.inputLength': '输入长度',
+  'explainer.bytesAndBits': '{bytes} 字节（{bits} 位）',
+  'explainer.bytes': '{count} 字节',
+  'explainer.paddingAdded': '添加的填充',
+  'explainer.paddedLength': '填充后的消息长度',
+  'explainer.chunkCount': '分块数',
+  'explainer.resumedAfter': '接续位置',
+  'explainer.resumedValue': '{bytes} 字节之后，因此长度字段为 {bits} 位',
+  'explainer.knownDigest': '已知摘要',
+  'explainer.originalLength': '原始长度',
+  'explainer.gluePadding': '衔接填充',
+  'explainer.forgedMessage': '伪造的消息',
+  'explainer.forgedMessageValue': 'secret || msg || glue（{resumed} 字节）|| suffix（{suffix} 字节）',
+  'explainer.extensionHint': '摘要就是原始消息及其填充处理完后的完整 MD5 状态，因此可以直接从它开始继续对后缀做哈希。',
+  'explainer.forgedDigest': '伪造的摘要',
+  'explainer.reconstructedDigest': '重建消息的 MD5',
+  'explainer.originalMismatch': '已知摘要不是所给原始消息的 MD5。',
+  'explainer.enterOriginal': '输入原始的 secret || msg，即可按普通流程验证伪造结果。',
+  'explainer.roundFamily': '轮函数族',
+  'explainer.booleanFunction': '布尔函数',
+  'explainer.wordIndexRule': '消息字下标规则',
+  'explainer.selectedWord': '选中的消息字',
+  'explainer.chunkEndHint': '每个分块结束时，{algorithm} 会把工作寄存器加回当前的哈希状态（模 2^32）。',
+  'explainer.doneHint': '摘要计算完成。输出是 A、B、C、D 按小端序依次拼接的结果。',
+  'explainer.keyLength': '密钥长度',
+  'explainer.keyLengthValue': '{bytes} 字节（分块大小 {blockSize}）',
+  'explainer.zeroBytesAdded': '补充的零字节',
+  'explainer.normalizedKey': '规范化密钥 K',
+  'explainer.innerHint': '内层哈希的输入是 K ^ ipad，后接 {bytes} 字节的消息。',
+  'explainer.outerHint': '外层哈希的输入是 K ^ opad，后接 {bytes} 字节的内层摘要。',
+  'explainer.innerDigest': '内层摘要',
+  'explainer.currentDigest': '当前摘要',
+  'explainer.notMd5': '不是 MD5',
+  'explainer.previewHint': '这是本轮的预览值，最终摘要在最后一步。',
+  'explainer.empty': '（空）',
+  'explainer.digestPending': '（待计算）',
+
+  'message.title': '消息与分块',
+  'message.glueHex': '衔接填充（十六进制）',
+  'message.hmacKeyHex': 'HMAC 密钥（十六进制）',
+  'message.readAs': '消息解读为',
+  'message.originalHex': '原始字节（十六进制）',
+  'message.phaseInputHex': '{phase}输入（十六进制）',
+  'message.hashInputHex': '哈希输入（十六进制）',
+  'message.paddedHex': '填充后的字节（十六进制）',
+  'message.activeChunk': '当前分块',
+  'message.characterBytes': '按 {encoding} 编码的字符字节',
+  'message.notEncodable': '无法编码',
+  'message.chunkBytes': '分块字节',
+  'message.words': 'M[0..15] 小端序字',
+
+  'round.title': '轮次运算',
+  'round.diagram': '数据流图',
+  'round.hideDiagram': '隐藏数据流图',
+  'round.bitView': '位视图',
+  'round.hideBits': '隐藏位视图',
+  'round.functionOutput': '函数输出',
+  'round.constantsAround': 'i 附近的常量',
+  'round.moveToRound': '移动到某个轮次步骤，即可查看布尔函数、常量、移位量和算术运算。',
+
+  'registers.title': '寄存器与哈希状态',
+  'registers.beforeRound': '本轮之前的寄存器',
+  'registers.afterRound': '本轮之后的寄存器',
+  'registers.hiddenForQuiz': '回答练习题之前，本轮之后的寄存器会被隐藏。',
+  'registers.hashBeforeChunk': '分块之前的哈希',
+  'registers.initialized': '初始化的工作寄存器',
+  'registers.afterRounds': '{count} 轮之后的工作寄存器',
+  'registers.hashBeforeAdd': '相加之前的哈希',
+  'registers.hashAfterAdd': '相加之后的哈希',
+  'registers.resumed': '从摘要恢复的状态',
+  'registers.initial': '{algorithm} 初始状态',
+  'registers.finalWords': '最终状态字',
+  'registers.finalDigest': '最终摘要',
+  'registers.final': '最终 {algorithm}',
+  'registers.fromDigest': '从摘要取出的状态',
+  'registers.forged': '伪造的 MD5',
+  'registers.finalHmac': '最终 HMAC-MD5',
+
+  'dataflow.title': '单步数据流',
+  'dataflow.newRegister': '新 {register}',
+  'dataflow.label': '第 {round} 轮：{functionName}，加上 M[{g}] 和 {constant}，循环左移 {shift} 位；新的 B 为 {nextB}',
+
+  'bits.title': '位视图',
+  'bits.bit': '第 {bit} 位',
+  'bits.bitFrom': '第 {bit} 位，取自 {source}',
+  'bits.carry': '进位',
+  'bits.carryInto': '进位到第 {bit} 位',
+  'bits.coloredBySource': '按来源着色：',
+
+  'shortcuts.title': '键盘快捷键',
+  'shortcuts.close': '关闭',
+  'shortcuts.step': '上一步 / 下一步',
+  'shortcuts.jump': '后退 / 前进 10 步',
+  'shortcuts.ends': '第一步 / 最后一步',
+  'shortcuts.play': '播放 / 暂停',
+  'shortcuts.section': '上一个 / 下一个分块或轮函数族（F、G、H、I）',
+  'shortcuts.help': '显示或隐藏本帮助',
+  'shortcuts.closeHelp': '关闭本帮助',
+  'shortcuts.hint': '在文本框之外的任何位置都可以使用快捷键。每一步还会以一句话的形式读给屏幕阅读器。',
+
+  'narration.withPhase': '{phase}：{sentence}',
+  'narration.registers': 'A = {a}，B = {b}，C = {c}，D = {d}',
+  'narration.paddingBytes': '{count} 个填充字节',
+  'narration.chunks': '{count} 个',
+  'narration.bytes': '{count} 字节',
+  'narration.zeroBytes': '{count} 个零字节',
+  'narration.preprocess':
+    '{algorithm} 预处理：{bytes} 字节的消息加上 {padding}，末尾是它的长度 {bits} 位，然后被切分成 {chunks} 64 字节的分块。',
+  'narration.chunkStart': '第 {chunk} 块开始：它的字节组成字 M[0] 到 M[15]，寄存器的初始值为 {registers}。',
+  'narration.round':
+    '第 {round} 轮（共 {roundCount} 轮）使用 {functionName}；g = {g}；加上 M[{g}] = {word} 和常量 {constant}，循环左移 {shift} 位；B 变为 {nextB}，A、C、D 分别取原来的 D、B、C。',
+  'narration.chunkEnd': '第 {chunk} 块结束：寄存器加回哈希状态，现在为 {registers}。',
+  'narration.done': '完成：{algorithm} 摘要为 {digest}。',
+  'narration.hmacKeyHashed': '密钥长 {bytes}，超过一个分块，因此用它的 MD5 代替，并补零到 64 字节。',
+  'narration.hmacKeyPadded': '{bytes} 字节的密钥补上 {zeros}，达到 64 字节。',
+  'narration.hmacXor': '填充后的密钥与 {pad}（重复的字节 0x{byte}）异或，再接上 {bytes} 后进行哈希。',
+  'narration.hmacDone': '完成：内层哈希为 {inner}，HMAC 为 {digest}。',
+  'narration.extensionSetup': '已知摘要变为寄存器 {registers}，之前是根据原始长度重建的 {bytes} 衔接填充。',
+  'narration.extensionDone': '完成：伪造摘要为 {digest}，全程无需知道密钥。',
+  'narration.extensionConfirmed': '完成：伪造摘要 {digest} 与完整消息的普通 MD5 相同。',
+  'narration.extensionFailed': '完成：伪造摘要 {digest} 与普通 MD5 {verified} 不同。',
+};
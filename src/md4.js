@@ -0,0 +1,109 @@
+import { INITIAL_HASH, createBlockTrace, leftRotate, parseInputBytes } from './md5';
+
+// MD4 (RFC 1320) uses the same IV, padding and register rotation as MD5, but
+// only 48 rounds, three boolean functions, one additive constant per round
+// family instead of K[i], and no "+ B" after the rotation.
+const ROUND_CONSTANTS = Object.freeze({
+  F: 0x00000000,
+  G: 0x5a827999,
+  H: 0x6ed9eba1,
+});
+
+const SHIFT_AMOUNTS = Object.freeze([
+  3, 7, 11, 19, 3, 7, 11, 19, 3, 7, 11, 19, 3, 7, 11, 19,
+  3, 5, 9, 13, 3, 5, 9, 13, 3, 5, 9, 13, 3, 5, 9, 13,
+  3, 9, 11, 15, 3, 9, 11, 15, 3, 9, 11, 15, 3, 9, 11, 15,
+]);
+
+const MESSAGE_ORDER = Object.freeze([
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  0, 4, 8, 12, 1, 5, 9, 13, 2, 6, 10, 14, 3, 7, 11, 15,
+  0, 8, 4, 12, 2, 10, 6, 14, 1, 9, 5, 13, 3, 11, 7, 15,
+]);
+
+const ROUND_FORMULAS = Object.freeze({
+  F: '(B & C) | (~B & D)',
+  G: '(B & C) | (B & D) | (C & D)',
+  H: 'B ^ C ^ D',
+});
+
+const INDEX_FORMULAS = Object.freeze({
+  F: 'g = i',
+  G: 'g = 4·(j mod 4) + ⌊j / 4⌋, j = i − 16',
+  H: 'g = bit-reverse₄(i − 32)',
+});
+
+const CONSTANTS = Object.freeze(
+  Array.from({ length: 48 }, (_, index) => ROUND_CONSTANTS[getRoundFunction(index)]),
+);
+
+function getRoundFunction(i) {
+  if (i < 16) {
+    return 'F';
+  }
+
+  if (i < 32) {
+    return 'G';
+  }
+
+  return 'H';
+}
+
+function applyRoundFunction(functionName, b, c, d) {
+  if (functionName === 'F') {
+    return ((b & c) | (~b & d)) >>> 0;
+  }
+
+  if (functionName === 'G') {
+    return ((b & c) | (b & d) | (c & d)) >>> 0;
+  }
+
+  return (b ^ c ^ d) >>> 0;
+}
+
+function runMd4Round(i, registers, words) {
+  const [a, b, c, d] = registers;
+  const functionName = getRoundFunction(i);
+  const functionResult = applyRoundFunction(functionName, b, c, d);
+  const g = MESSAGE_ORDER[i];
+  const sum = (a + functionResult + words[g] + CONSTANTS[i]) >>> 0;
+  const rotated = leftRotate(sum, SHIFT_AMOUNTS[i]);
+
+  return {
+    functionName,
+    functionFormula: ROUND_FORMULAS[functionName],
+    indexFormula: INDEX_FORMULAS[functionName],
+    g,
+    shift: SHIFT_AMOUNTS[i],
+    constant: CONSTANTS[i],
+    functionResult,
+    sum,
+    rotated,
+    nextB: rotated,
+  };
+}
+
+export const MD4_ALGORITHM = Object.freeze({
+  name: 'MD4',
+  params: null,
+  isStandard: true,
+  roundCount: 48,
+  initialHash: INITIAL_HASH,
+  constants: CONSTANTS,
+  shifts: SHIFT_AMOUNTS,
+  constantLabel: 'K',
+  sumFormula: 'A + f + M[g] + K',
+  nextBFormula: 'rotate(sum, s[i])',
+  addsB: false,
+  runRound: runMd4Round,
+});
+
+// Same event schema as createMd5Trace, so the viewer can step through MD4
+// with the same panels.
+export function createMd4Trace(bytes, options = {}) {
+  return createBlockTrace(bytes, MD4_ALGORITHM, options);
+}
+
+export function buildMd4Trace(inputValue, inputType = 'text') {
+  return createMd4Trace(parseInputBytes(inputValue, inputType), { inputType });
+}
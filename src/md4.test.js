@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { buildMd4Trace } from './md4';
+import { getPaddedChunkCount } from './md5';
+
+// The test suite of RFC 1320, appendix A.5.
+const RFC_1320_VECTORS = [
+  ['', '31d6cfe0d16ae931b73c59d7e0c089c0'],
+  ['a', 'bde52cb31de33e46245e05fbdbd6fb24'],
+  ['abc', 'a448017aaf21d8525fc10ae87aa6729d'],
+  ['message digest', 'd9130a8164549fe818874806e1c7014b'],
+  ['abcdefghijklmnopqrstuvwxyz', 'd79e1c308aa5bbcdeea8ed63df412da9'],
+  ['ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', '043f8582f241db351ce627e153e7f0e4'],
+  ['1234567890'.repeat(8), 'e33b4ddc9c38f2199c3e7b164fcc0536'],
+];
+
+describe('MD4', () => {
+  it.each(RFC_1320_VECTORS)('hashes %j to the RFC 1320 digest', (input, digest) => {
+    expect(buildMd4Trace(input).digest).toBe(digest);
+  });
+
+  it('steps through 48 rounds per chunk without adding B', () => {
+    const input = '1234567890'.repeat(8);
+    const trace = buildMd4Trace(input);
+    const chunkCount = getPaddedChunkCount(input.length);
+    const firstRound = trace.getEvent(trace.getChunkStartStep(0) + 1);
+
+    expect(chunkCount).toBe(2);
+    expect(trace.length).toBe(chunkCount * 50 + 2);
+    expect(firstRound).toMatchObject({ type: 'round', roundIndex: 0, addsB: false });
+    expect(firstRound.registersAfter[1]).toBe(firstRound.rotated);
+  });
+});
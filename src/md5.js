@@ -1,4 +1,8 @@
-const INITIAL_HASH = Object.freeze([
+// The import spells out `.js` because the command line (see cli.js) loads
+// this module in plain Node.
+import { englishTranslator, MessageError } from './i18n.js';
+
+export const INITIAL_HASH = Object.freeze([
   0x67452301,
   0xefcdab89,
   0x98badcfe,
@@ -18,6 +22,15 @@ const TABLE_K = Object.freeze(
   ),
 );
 
+// The parameters a trace or compression runs with. The lab mode swaps in
+// edited copies; anything other than these values is no longer MD5.
+export const STANDARD_MD5_PARAMS = Object.freeze({
+  initialHash: INITIAL_HASH,
+  constants: TABLE_K,
+  shifts: SHIFT_AMOUNTS,
+  roundCount: 64,
+});
+
 const ROUND_FORMULAS = Object.freeze({
   F: '(B & C) | (~B & D)',
   G: '(D & B) | (~D & C)',
@@ -32,7 +45,53 @@ const INDEX_FORMULAS = Object.freeze({
   I: 'g = (7i) mod 16',
 });
 
-function leftRotate(value, amount) {
+function isWordList(values, length) {
+  return (
+    Array.isArray(values) &&
+    values.length === length &&
+    values.every((value) => Number.isInteger(value) && value >= 0 && value <= 0xffffffff)
+  );
+}
+
+// Fills in missing fields from the standard parameters and rejects values the
+// compression function cannot run with.
+export function normalizeMd5Params(params = {}) {
+  const merged = { ...STANDARD_MD5_PARAMS, ...params };
+  const initialHash = Array.from(merged.initialHash);
+  const constants = Array.from(merged.constants);
+  const shifts = Array.from(merged.shifts);
+
+  if (!isWordList(initialHash, 4)) {
+    throw new MessageError('lab.error.iv');
+  }
+
+  if (!isWordList(constants, 64)) {
+    throw new MessageError('lab.error.constants');
+  }
+
+  if (shifts.length !== 64 || !shifts.every((shift) => Number.isInteger(shift) && shift >= 0 && shift < 32)) {
+    throw new MessageError('lab.error.shifts');
+  }
+
+  if (!Number.isInteger(merged.roundCount) || merged.roundCount < 1 || merged.roundCount > 64) {
+    throw new MessageError('lab.error.roundCount');
+  }
+
+  return { initialHash, constants, shifts, roundCount: merged.roundCount };
+}
+
+export function isStandardMd5Params(params) {
+  const sameList = (left, right) => left.length === right.length && left.every((value, index) => value === right[index]);
+
+  return (
+    params.roundCount === STANDARD_MD5_PARAMS.roundCount &&
+    sameList(params.initialHash, STANDARD_MD5_PARAMS.initialHash) &&
+    sameList(params.constants, STANDARD_MD5_PARAMS.constants) &&
+    sameList(params.shifts, STANDARD_MD5_PARAMS.shifts)
+  );
+}
+
+export function leftRotate(value, amount) {
   return ((value << amount) | (value >>> (32 - amount))) >>> 0;
 }
 
@@ -65,39 +124,423 @@ export function formatWord(value) {
   return `0x${toHex32(value)}`;
 }
 
+// Thrown by parseInputBytes. `diagnostics` lists every problem found, each as
+// `{ start, end, text, key, params, message, fixKey, fixParams, fix }` where
+// start/end are string offsets into the input, `text` is the offending part
+// and the problem and its fix are catalog messages (see MessageError), with
+// their English text in `message` and `fix`. The error's message is the first
+// one, after `label`, the catalog key of the field, when there is one.
+export class InputError extends MessageError {
+  constructor(diagnostics, label = '') {
+    const others = diagnostics.length - 1;
+    const first = { key: diagnostics[0].key, params: diagnostics[0].params };
+    const message = others > 0 ? { key: 'input.error.more', params: { message: first, count: others } } : first;
+    super(label ? 'input.error.labelled' : message.key, label ? { label: { key: label }, message } : message.params);
+    this.name = 'InputError';
+    this.diagnostics = diagnostics;
+  }
+}
+
+function createDiagnostic(value, start, end, [key, params = {}], [fixKey, fixParams = {}]) {
+  return {
+    start,
+    end,
+    text: value.slice(start, end),
+    key,
+    params,
+    message: englishTranslator(key, params),
+    fixKey,
+    fixParams,
+    fix: englishTranslator(fixKey, fixParams),
+  };
+}
+
+const WHITESPACE = /\s/;
+const HEX_DIGIT = /[0-9a-f]/i;
+const SEPARATORS = /^[,;:|_-]+$/;
+
+// Scans `value` for characters outside `isValid` (whitespace is always
+// allowed) and reports each run of them. Returns the offsets of the valid
+// characters; `describe(start, end)` builds the diagnostic for a bad run.
+function scanCharacters(value, isValid, diagnostics, describe) {
+  const positions = [];
+  let index = 0;
+
+  while (index < value.length) {
+    if (isValid(value[index])) {
+      positions.push(index);
+      index += 1;
+    } else if (WHITESPACE.test(value[index])) {
+      index += 1;
+    } else {
+      let end = index + 1;
+      while (end < value.length && !isValid(value[end]) && !WHITESPACE.test(value[end])) {
+        end += 1;
+      }
+      diagnostics.push(describe(index, end, positions));
+      index = end;
+    }
+  }
+
+  return positions;
+}
+
+function describeBadHex(value, start, end, positions) {
+  const text = value.slice(start, end);
+  const message = ['input.error.hexCharacter', { text }];
+
+  // "0x12": the 0 was taken as a digit, so it joins the reported span.
+  if (/^x/i.test(text) && value[start - 1] === '0' && (start < 2 || !HEX_DIGIT.test(value[start - 2]))) {
+    positions.pop();
+    return createDiagnostic(value, start - 1, start + 1, ['input.error.hexPrefix'], ['input.fix.hexPrefix']);
+  }
+
+  if (SEPARATORS.test(text)) {
+    return createDiagnostic(value, start, end, message, ['input.fix.separator']);
+  }
+
+  if (/^[oO]$/.test(text)) {
+    return createDiagnostic(value, start, end, message, ['input.fix.digit', { digit: '0' }]);
+  }
+
+  if (/^[lI]$/.test(text)) {
+    return createDiagnostic(value, start, end, message, ['input.fix.digit', { digit: '1' }]);
+  }
+
+  return createDiagnostic(value, start, end, message, ['input.fix.hexCharacter', { text }]);
+}
+
+function describeOddHex(value, positions) {
+  const groups = [...value.matchAll(/\S+/g)];
+  const oddGroup = groups.length > 1 ? groups.find((group) => group[0].length % 2 !== 0) : null;
+
+  if (oddGroup) {
+    const group = oddGroup[0];
+    return createDiagnostic(
+      value,
+      oddGroup.index,
+      oddGroup.index + group.length,
+      ['input.error.hexGroup', { group, count: group.length }],
+      group.length === 1 ? ['input.fix.hexDigit', { group }] : ['input.fix.hexGroup'],
+    );
+  }
+
+  const last = positions[positions.length - 1];
+  return createDiagnostic(
+    value,
+    last,
+    last + 1,
+    ['input.error.hexLastDigit', { digit: value[last] }],
+    ['input.fix.hexLastDigit'],
+  );
+}
+
 function parseHexInput(value) {
-  const clean = value.replace(/\s+/g, '').toLowerCase();
-  if (clean.length === 0) {
-    return [];
+  const diagnostics = [];
+  const positions = scanCharacters(value, (char) => HEX_DIGIT.test(char), diagnostics, (start, end, found) =>
+    describeBadHex(value, start, end, found),
+  );
+
+  // Removing bad characters changes the digit count, so parity is only
+  // checked once the rest is clean.
+  if (diagnostics.length === 0 && positions.length % 2 !== 0) {
+    diagnostics.push(describeOddHex(value, positions));
+  }
+
+  if (diagnostics.length > 0) {
+    throw new InputError(diagnostics);
+  }
+
+  const bytes = [];
+  for (let index = 0; index < positions.length; index += 2) {
+    bytes.push(parseInt(value[positions[index]] + value[positions[index + 1]], 16));
+  }
+
+  return bytes;
+}
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64_DIGIT = /[A-Za-z0-9+/_-]/;
+
+// Standard or URL-safe alphabet, padding optional, whitespace ignored.
+function parseBase64Input(value) {
+  const diagnostics = [];
+  const padding = /=[=\s]*$/.exec(value);
+  const body = padding ? value.slice(0, padding.index) : value;
+  const positions = scanCharacters(body, (char) => BASE64_DIGIT.test(char), diagnostics, (start, end) => {
+    const text = value.slice(start, end);
+    return createDiagnostic(
+      value,
+      start,
+      end,
+      ['input.error.base64Character', { text }],
+      text.includes('=') ? ['input.fix.base64Padding'] : ['input.fix.remove', { text }],
+    );
+  });
+
+  if (diagnostics.length === 0) {
+    const padCount = padding ? padding[0].replace(/\s+/g, '').length : 0;
+    const neededPadding = (4 - (positions.length % 4)) % 4;
+
+    if (positions.length % 4 === 1) {
+      const last = positions[positions.length - 1];
+      diagnostics.push(
+        createDiagnostic(value, last, last + 1, ['input.error.base64LastCharacter'], ['input.fix.base64LastCharacter']),
+      );
+    } else if (padCount > 0 && padCount !== neededPadding) {
+      diagnostics.push(
+        createDiagnostic(
+          value,
+          padding.index,
+          value.length,
+          ['input.error.base64Length'],
+          neededPadding === 0
+            ? ['input.fix.base64NoPadding']
+            : ['input.fix.base64PaddingCount', { count: neededPadding }],
+        ),
+      );
+    }
+  }
+
+  if (diagnostics.length > 0) {
+    throw new InputError(diagnostics);
+  }
+
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const position of positions) {
+    const char = value[position] === '-' ? '+' : value[position] === '_' ? '/' : value[position];
+    buffer = ((buffer << 6) | BASE64_ALPHABET.indexOf(char)) & 0xffff;
+    bits += 6;
+
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >>> bits) & 0xff);
+    }
+  }
+
+  return bytes;
+}
+
+function parseBinaryInput(value) {
+  const diagnostics = [];
+  const positions = scanCharacters(value, (char) => char === '0' || char === '1', diagnostics, (start, end) => {
+    const text = value.slice(start, end);
+    return createDiagnostic(
+      value,
+      start,
+      end,
+      ['input.error.binaryCharacter', { text }],
+      ['input.fix.binaryCharacter', { text }],
+    );
+  });
+
+  const extra = positions.length % 8;
+  if (diagnostics.length === 0 && extra !== 0) {
+    diagnostics.push(
+      createDiagnostic(
+        value,
+        positions[positions.length - extra],
+        positions[positions.length - 1] + 1,
+        ['input.error.binaryLength', { count: extra }],
+        ['input.fix.binaryLength', { missing: 8 - extra, count: extra }],
+      ),
+    );
+  }
+
+  if (diagnostics.length > 0) {
+    throw new InputError(diagnostics);
+  }
+
+  const bytes = [];
+  for (let index = 0; index < positions.length; index += 8) {
+    let byte = 0;
+    for (let bit = 0; bit < 8; bit += 1) {
+      byte = (byte << 1) | Number(value[positions[index + bit]]);
+    }
+    bytes.push(byte);
+  }
+
+  return bytes;
+}
+
+const C_ESCAPES = Object.freeze({ 0: 0, n: 10, r: 13, t: 9 });
+
+// Splits the body of a C initializer on commas, skipping commas inside
+// character literals. Items keep their offsets in `value`.
+function splitCArrayItems(value, start, end) {
+  const items = [];
+  let itemStart = start;
+  let quoted = false;
+
+  for (let index = start; index <= end; index += 1) {
+    const char = value[index];
+
+    if (index < end && char === "'" && value[index - 1] !== '\\') {
+      quoted = !quoted;
+    } else if (index === end || (char === ',' && !quoted)) {
+      const raw = value.slice(itemStart, index);
+      const offset = itemStart + (raw.length - raw.trimStart().length);
+      items.push({ text: raw.trim(), start: offset, end: offset + raw.trim().length, separator: index });
+      itemStart = index + 1;
+    }
   }
 
-  if (clean.length % 2 !== 0) {
-    throw new Error('Hex input must contain an even number of digits.');
+  return items;
+}
+
+function readCArrayItem(text) {
+  if (/^0x[0-9a-f]{1,2}$/i.test(text)) {
+    return parseInt(text.slice(2), 16);
+  }
+
+  if (/^\d{1,3}$/.test(text)) {
+    return Number(text);
+  }
+
+  if (/^'(\\?.)'$/.test(text)) {
+    const char = text.slice(1, -1);
+    return char.length === 1 ? char.charCodeAt(0) : (C_ESCAPES[char[1]] ?? char.charCodeAt(1));
+  }
+
+  return NaN;
+}
+
+function suggestCArrayFix(text) {
+  if (text === '') {
+    return ['input.fix.carrayComma'];
   }
 
-  if (/[^0-9a-f]/.test(clean)) {
-    throw new Error('Hex input can only contain 0-9 and a-f.');
+  if (/^(0x[0-9a-f]+|\d+)$/i.test(text)) {
+    return ['input.fix.carrayLarge', { text }];
   }
 
+  return ['input.fix.carrayItem'];
+}
+
+// Accepts the initializer of a C byte array, with or without the declaration
+// around it: `unsigned char data[] = { 0x12, 34, 'a' };`.
+function parseCArrayInput(value) {
+  const open = value.indexOf('{');
+  const close = value.lastIndexOf('}');
+  const hasBraces = open >= 0 && close > open;
+  const items = splitCArrayItems(value, hasBraces ? open + 1 : 0, hasBraces ? close : value.length);
+
+  // A trailing comma (or an empty initializer) leaves one empty item at the end.
+  if (items.length > 0 && items[items.length - 1].text === '') {
+    items.pop();
+  }
+
+  const diagnostics = [];
+  const bytes = items.map((item, index) => {
+    const byte = readCArrayItem(item.text);
+
+    if (!(byte >= 0 && byte <= 0xff)) {
+      const [start, end] = item.text === '' ? [item.separator, item.separator + 1] : [item.start, item.end];
+      diagnostics.push(
+        createDiagnostic(
+          value,
+          start,
+          end,
+          ['input.error.carrayItem', { item: index + 1, text: item.text }],
+          suggestCArrayFix(item.text),
+        ),
+      );
+    }
+
+    return byte;
+  });
+
+  if (diagnostics.length > 0) {
+    throw new InputError(diagnostics);
+  }
+
+  return bytes;
+}
+
+function encodeUtf16le(value) {
+  const bytes = [];
+  for (let index = 0; index < value.length; index += 1) {
+    const unit = value.charCodeAt(index);
+    bytes.push(unit & 0xff, unit >>> 8);
+  }
+  return bytes;
+}
+
+function encodeLatin1(value) {
   const bytes = [];
-  for (let index = 0; index < clean.length; index += 2) {
-    bytes.push(parseInt(clean.slice(index, index + 2), 16));
+  const diagnostics = [];
+  let position = 0;
+  let offset = 0;
+
+  for (const char of value) {
+    position += 1;
+    const codePoint = char.codePointAt(0);
+
+    if (codePoint > 0xff) {
+      const code = codePoint.toString(16).toUpperCase().padStart(4, '0');
+      diagnostics.push(
+        createDiagnostic(
+          value,
+          offset,
+          offset + char.length,
+          ['input.error.latin1', { character: char, code, position }],
+          ['input.fix.latin1'],
+        ),
+      );
+    }
+
+    bytes.push(codePoint);
+    offset += char.length;
+  }
+
+  if (diagnostics.length > 0) {
+    throw new InputError(diagnostics);
   }
 
   return bytes;
 }
 
-function parseInputBytes(value, inputType) {
+export function parseInputBytes(value, inputType) {
   if (inputType === 'hex') {
     return parseHexInput(value);
   }
 
-  return Array.from(new TextEncoder().encode(value));
+  if (inputType === 'base64') {
+    return parseBase64Input(value);
+  }
+
+  if (inputType === 'binary') {
+    return parseBinaryInput(value);
+  }
+
+  if (inputType === 'carray') {
+    return parseCArrayInput(value);
+  }
+
+  if (inputType === 'utf16le') {
+    return encodeUtf16le(value);
+  }
+
+  if (inputType === 'latin1') {
+    return encodeLatin1(value);
+  }
+
+  return new TextEncoder().encode(value);
+}
+
+export function getPaddedChunkCount(byteLength) {
+  return Math.floor((byteLength + 8) / 64) + 1;
 }
 
-function padBytes(bytes) {
-  const bitLength = BigInt(bytes.length) * 8n;
-  const padded = [...bytes, 0x80];
+// Pads the bytes left over after the last full 64-byte block of a message
+// that is `totalLength` bytes long. Used when the message is consumed as a
+// stream and never exists as one array.
+export function padTail(tailBytes, totalLength) {
+  const bitLength = BigInt(totalLength) * 8n;
+  const padded = [...tailBytes, 0x80];
 
   while (padded.length % 64 !== 56) {
     padded.push(0);
@@ -110,162 +553,555 @@ function padBytes(bytes) {
   return padded;
 }
 
+// The bytes MD5 appends to a message of `length` bytes: 0x80, zeros up to
+// 56 mod 64, then the 64-bit little-endian bit length.
+export function getPaddingBytes(length) {
+  const tailLength = length % 64;
+  return padTail(new Uint8Array(tailLength), length).slice(tailLength);
+}
+
 function digestFromState(state) {
-  return state.map((word) => wordToHexLittleEndian(word)).join('');
-}
-
-function chunkBytes(bytes) {
-  const chunks = [];
-  for (let offset = 0; offset < bytes.length; offset += 64) {
-    const block = bytes.slice(offset, offset + 64);
-    chunks.push({
-      index: offset / 64,
-      bytes: block,
-      words: Array.from({ length: 16 }, (_, wordIndex) =>
-        bytesToWordLittleEndian(block, wordIndex * 4),
-      ),
-    });
+  return Array.from(state, (word) => wordToHexLittleEndian(word)).join('');
+}
+
+// Inverse of the digest encoding: splits 32 hex digits back into the four
+// little-endian state words A, B, C, D.
+export function stateFromDigest(digest) {
+  const clean = digest.replace(/\s+/g, '').toLowerCase();
+  if (!/^[0-9a-f]{32}$/.test(clean)) {
+    throw new MessageError('input.error.digest');
   }
-  return chunks;
+
+  return Array.from({ length: 4 }, (_, index) => {
+    const word = clean.slice(index * 8, index * 8 + 8);
+    return parseInt(word.match(/../g).reverse().join(''), 16) >>> 0;
+  });
 }
 
-export function buildMd5Trace(inputValue, inputType = 'text') {
-  const inputBytes = parseInputBytes(inputValue, inputType);
-  const paddedBytes = padBytes(inputBytes);
-  const chunks = chunkBytes(paddedBytes);
+function getRoundFunction(i) {
+  if (i < 16) {
+    return 'F';
+  }
 
-  const events = [
-    {
-      type: 'preprocess',
-      inputType,
-      inputLengthBytes: inputBytes.length,
-      inputLengthBits: Number(BigInt(inputBytes.length) * 8n),
-      paddedLengthBytes: paddedBytes.length,
-      paddedLengthBits: paddedBytes.length * 8,
-      addedBytes: paddedBytes.length - inputBytes.length,
-      chunkCount: chunks.length,
-      digestPreview: digestFromState(INITIAL_HASH),
-    },
+  if (i < 32) {
+    return 'G';
+  }
+
+  if (i < 48) {
+    return 'H';
+  }
+
+  return 'I';
+}
+
+function applyRoundFunction(functionName, b, c, d) {
+  if (functionName === 'F') {
+    return ((b & c) | (~b & d)) >>> 0;
+  }
+
+  if (functionName === 'G') {
+    return ((d & b) | (~d & c)) >>> 0;
+  }
+
+  if (functionName === 'H') {
+    return (b ^ c ^ d) >>> 0;
+  }
+
+  return (c ^ (b | ~d)) >>> 0;
+}
+
+function getMessageIndex(i) {
+  if (i < 16) {
+    return i;
+  }
+
+  if (i < 32) {
+    return (5 * i + 1) % 16;
+  }
+
+  if (i < 48) {
+    return (3 * i + 5) % 16;
+  }
+
+  return (7 * i) % 16;
+}
+
+function addState(hash, registers) {
+  return [
+    (hash[0] + registers[0]) >>> 0,
+    (hash[1] + registers[1]) >>> 0,
+    (hash[2] + registers[2]) >>> 0,
+    (hash[3] + registers[3]) >>> 0,
   ];
+}
 
-  let hash = [...INITIAL_HASH];
+// Runs the rounds over one 64-byte block without recording anything and
+// returns the hash state after the block.
+export function compressBlock(hash, bytes, offset = 0, params = STANDARD_MD5_PARAMS) {
+  const { constants, shifts, roundCount } = params;
+  const words = Array.from({ length: 16 }, (_, wordIndex) =>
+    bytesToWordLittleEndian(bytes, offset + wordIndex * 4),
+  );
+  let [a, b, c, d] = hash;
 
-  for (const chunk of chunks) {
-    const hashBefore = [...hash];
-    let [a, b, c, d] = hash;
+  for (let i = 0; i < roundCount; i += 1) {
+    const f = applyRoundFunction(getRoundFunction(i), b, c, d);
+    const sum = (a + f + constants[i] + words[getMessageIndex(i)]) >>> 0;
+    a = d;
+    d = c;
+    c = b;
+    b = (b + leftRotate(sum, shifts[i])) >>> 0;
+  }
 
-    events.push({
+  return addState(hash, [a, b, c, d]);
+}
+
+function createChunk(index, block) {
+  return {
+    index,
+    bytes: block,
+    words: Array.from({ length: 16 }, (_, wordIndex) =>
+      bytesToWordLittleEndian(block, wordIndex * 4),
+    ),
+  };
+}
+
+function buildPreprocessEvent(algorithm, inputType, inputLength, chunkCount, initialHash, processedLength) {
+  const paddedLength = chunkCount * 64;
+
+  return {
+    type: 'preprocess',
+    algorithm,
+    inputType,
+    inputLengthBytes: inputLength,
+    inputLengthBits: Number(BigInt(inputLength) * 8n),
+    paddedLengthBytes: paddedLength,
+    paddedLengthBits: paddedLength * 8,
+    addedBytes: paddedLength - inputLength,
+    chunkCount,
+    processedLengthBytes: processedLength,
+    lengthFieldBits: Number(BigInt(processedLength + inputLength) * 8n),
+    digestPreview: digestFromState(initialHash),
+  };
+}
+
+function runMd5Round(params, i, registers, words) {
+  const [a, b, c, d] = registers;
+  const functionName = getRoundFunction(i);
+  const functionResult = applyRoundFunction(functionName, b, c, d);
+  const g = getMessageIndex(i);
+  const sum = (a + functionResult + params.constants[i] + words[g]) >>> 0;
+  const rotated = leftRotate(sum, params.shifts[i]);
+
+  return {
+    functionName,
+    functionFormula: ROUND_FORMULAS[functionName],
+    indexFormula: INDEX_FORMULAS[functionName],
+    g,
+    shift: params.shifts[i],
+    constant: params.constants[i],
+    functionResult,
+    sum,
+    rotated,
+    nextB: (b + rotated) >>> 0,
+  };
+}
+
+function createMd5Algorithm(params) {
+  return {
+    name: 'MD5',
+    params,
+    isStandard: params === STANDARD_MD5_PARAMS || isStandardMd5Params(params),
+    roundCount: params.roundCount,
+    initialHash: params.initialHash,
+    constants: params.constants,
+    shifts: params.shifts,
+    constantLabel: 'K[i]',
+    sumFormula: 'A + f + K[i] + M[g]',
+    nextBFormula: 'B + rotate(sum, s[i])',
+    addsB: true,
+    runRound: (i, registers, words) => runMd5Round(params, i, registers, words),
+    compressBlock: (hash, bytes, offset) => compressBlock(hash, bytes, offset, params),
+  };
+}
+
+// Fallback compression for algorithms that only describe their rounds.
+function compressWithRounds(algorithm, hash, bytes, offset) {
+  const words = Array.from({ length: 16 }, (_, wordIndex) =>
+    bytesToWordLittleEndian(bytes, offset + wordIndex * 4),
+  );
+  let registers = [...hash];
+
+  for (let i = 0; i < algorithm.roundCount; i += 1) {
+    const [, b, c, d] = registers;
+    registers = [d, algorithm.runRound(i, registers, words).nextB, b, c];
+  }
+
+  return addState(hash, registers);
+}
+
+function buildChunkEvents(chunk, hashBefore, algorithm) {
+  const { roundCount } = algorithm;
+  let [a, b, c, d] = hashBefore;
+
+  const events = [
+    {
       type: 'chunk-start',
       chunkIndex: chunk.index,
       chunkWords: [...chunk.words],
-      hashBefore,
+      hashBefore: [...hashBefore],
       registersBefore: [a, b, c, d],
       digestPreview: digestFromState(hashBefore),
-    });
-
-    for (let i = 0; i < 64; i += 1) {
-      const aBefore = a >>> 0;
-      const bBefore = b >>> 0;
-      const cBefore = c >>> 0;
-      const dBefore = d >>> 0;
-
-      let functionName = 'F';
-      let f = 0;
-      let g = 0;
-
-      if (i < 16) {
-        functionName = 'F';
-        f = (bBefore & cBefore) | (~bBefore & dBefore);
-        g = i;
-      } else if (i < 32) {
-        functionName = 'G';
-        f = (dBefore & bBefore) | (~dBefore & cBefore);
-        g = (5 * i + 1) % 16;
-      } else if (i < 48) {
-        functionName = 'H';
-        f = bBefore ^ cBefore ^ dBefore;
-        g = (3 * i + 5) % 16;
-      } else {
-        functionName = 'I';
-        f = cBefore ^ (bBefore | ~dBefore);
-        g = (7 * i) % 16;
-      }
+    },
+  ];
 
-      const functionResult = f >>> 0;
-      const sum = (aBefore + functionResult + TABLE_K[i] + chunk.words[g]) >>> 0;
-      const rotated = leftRotate(sum, SHIFT_AMOUNTS[i]);
-      const nextB = (bBefore + rotated) >>> 0;
-
-      a = dBefore;
-      d = cBefore;
-      c = bBefore;
-      b = nextB;
-
-      const previewHash = [
-        (hashBefore[0] + a) >>> 0,
-        (hashBefore[1] + b) >>> 0,
-        (hashBefore[2] + c) >>> 0,
-        (hashBefore[3] + d) >>> 0,
-      ];
-
-      events.push({
-        type: 'round',
-        chunkIndex: chunk.index,
-        roundIndex: i,
-        stepWithinChunk: i + 1,
-        functionName,
-        functionFormula: ROUND_FORMULAS[functionName],
-        indexFormula: INDEX_FORMULAS[functionName],
-        g,
-        shift: SHIFT_AMOUNTS[i],
-        constant: TABLE_K[i],
-        messageWord: chunk.words[g],
-        functionResult,
-        sum,
-        rotated,
-        registersBefore: [aBefore, bBefore, cBefore, dBefore],
-        registersAfter: [a, b, c, d],
-        digestPreview: digestFromState(previewHash),
-      });
-    }
+  for (let i = 0; i < roundCount; i += 1) {
+    const registersBefore = [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+    const round = algorithm.runRound(i, registersBefore, chunk.words);
 
-    hash = [
-      (hash[0] + a) >>> 0,
-      (hash[1] + b) >>> 0,
-      (hash[2] + c) >>> 0,
-      (hash[3] + d) >>> 0,
-    ];
+    a = registersBefore[3];
+    d = registersBefore[2];
+    c = registersBefore[1];
+    b = round.nextB;
 
     events.push({
-      type: 'chunk-end',
+      type: 'round',
+      algorithm: algorithm.name,
       chunkIndex: chunk.index,
-      hashBefore,
-      registersBeforeAdd: [a >>> 0, b >>> 0, c >>> 0, d >>> 0],
-      hashAfter: [...hash],
-      digestAfterChunk: digestFromState(hash),
-      digestPreview: digestFromState(hash),
+      roundIndex: i,
+      stepWithinChunk: i + 1,
+      roundCount,
+      functionName: round.functionName,
+      functionFormula: round.functionFormula,
+      indexFormula: round.indexFormula,
+      constantLabel: algorithm.constantLabel,
+      sumFormula: algorithm.sumFormula,
+      nextBFormula: algorithm.nextBFormula,
+      addsB: algorithm.addsB,
+      g: round.g,
+      shift: round.shift,
+      constant: round.constant,
+      messageWord: chunk.words[round.g],
+      functionResult: round.functionResult,
+      sum: round.sum,
+      rotated: round.rotated,
+      registersBefore,
+      registersAfter: [a, b, c, d],
+      digestPreview: digestFromState(addState(hashBefore, [a, b, c, d])),
     });
   }
 
-  const digest = digestFromState(hash);
+  const hashAfter = addState(hashBefore, [a, b, c, d]);
 
   events.push({
+    type: 'chunk-end',
+    chunkIndex: chunk.index,
+    hashBefore: [...hashBefore],
+    roundCount,
+    registersBeforeAdd: [a >>> 0, b >>> 0, c >>> 0, d >>> 0],
+    hashAfter,
+    digestAfterChunk: digestFromState(hashAfter),
+    digestPreview: digestFromState(hashAfter),
+  });
+
+  return { events, hashAfter };
+}
+
+function buildDoneEvent(algorithm, hash, chunkCount) {
+  const digest = digestFromState(hash);
+
+  return {
     type: 'done',
+    algorithm,
     hash: [...hash],
     digest,
-    chunkCount: chunks.length,
+    chunkCount,
     digestPreview: digest,
-  });
+  };
+}
+
+function toByteArray(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  if (Array.isArray(data)) {
+    return Uint8Array.from(data);
+  }
+
+  throw new TypeError('MD5 input must be a string, an ArrayBuffer, a typed array or an array of bytes.');
+}
+
+function createHasherFromState(initialHash, initialBuffer, initialBufferLength, initialTotalLength) {
+  let hash = [...initialHash];
+  const buffer = new Uint8Array(64);
+  buffer.set(initialBuffer.subarray(0, initialBufferLength));
+  let bufferLength = initialBufferLength;
+  let totalLength = initialTotalLength;
+
+  const finalState = () => {
+    let state = hash;
+    const tail = padTail(buffer.subarray(0, bufferLength), totalLength);
+    for (let offset = 0; offset < tail.length; offset += 64) {
+      state = compressBlock(state, tail, offset);
+    }
+    return state;
+  };
+
+  const hasher = {
+    update(data) {
+      const bytes = toByteArray(data);
+      let offset = 0;
+      totalLength += bytes.length;
+
+      if (bufferLength > 0) {
+        const take = Math.min(64 - bufferLength, bytes.length);
+        buffer.set(bytes.subarray(0, take), bufferLength);
+        bufferLength += take;
+        offset = take;
+
+        if (bufferLength < 64) {
+          return hasher;
+        }
+
+        hash = compressBlock(hash, buffer, 0);
+        bufferLength = 0;
+      }
+
+      for (; offset + 64 <= bytes.length; offset += 64) {
+        hash = compressBlock(hash, bytes, offset);
+      }
+
+      buffer.set(bytes.subarray(offset), 0);
+      bufferLength = bytes.length - offset;
+      return hasher;
+    },
+    digest() {
+      const bytes = new Uint8Array(16);
+      finalState().forEach((word, index) => {
+        bytes[index * 4] = word & 0xff;
+        bytes[index * 4 + 1] = (word >>> 8) & 0xff;
+        bytes[index * 4 + 2] = (word >>> 16) & 0xff;
+        bytes[index * 4 + 3] = (word >>> 24) & 0xff;
+      });
+      return bytes;
+    },
+    hexDigest() {
+      return digestFromState(finalState());
+    },
+    clone() {
+      return createHasherFromState(hash, buffer, bufferLength, totalLength);
+    },
+  };
+
+  return hasher;
+}
+
+// Plain incremental MD5 without any tracing. `update` accepts strings (hashed
+// as UTF-8) or bytes and can be called with input split anywhere; `digest`
+// and `hexDigest` do not finalize the hasher, so more data can follow.
+export function createMd5Hasher() {
+  return createHasherFromState(INITIAL_HASH, new Uint8Array(0), 0, 0);
+}
+
+function computeChunkStates(bytes, tail, chunkCount, initialHash, compress, onChunk) {
+  const fullChunks = Math.floor(bytes.length / 64);
+  const chunkStates = new Uint32Array((chunkCount + 1) * 4);
+  let hash = [...initialHash];
+  chunkStates.set(hash, 0);
+
+  for (let index = 0; index < chunkCount; index += 1) {
+    hash =
+      index < fullChunks
+        ? compress(hash, bytes, index * 64)
+        : compress(hash, tail, (index - fullChunks) * 64);
+    chunkStates.set(hash, (index + 1) * 4);
+    onChunk?.(index + 1, chunkCount);
+  }
+
+  return chunkStates;
+}
+
+// Compresses one 64-byte block of `bytes` at `offset` into `hash`, with the
+// algorithm's own compression function when it has one.
+export function getBlockCompressor(algorithm) {
+  return algorithm.compressBlock ?? ((hash, bytes, offset) => compressWithRounds(algorithm, hash, bytes, offset));
+}
+
+function isByteSource(bytes) {
+  return typeof bytes?.read === 'function';
+}
+
+// Creates a random-access trace over `bytes` for any MD4-family algorithm
+// (MD5 padding, 16-word little-endian blocks, four 32-bit registers). Only the
+// hash state at each chunk boundary is kept; the events of a chunk are
+// recomputed from that state when one of them is requested, and the most
+// recent chunk is cached so stepping through it stays cheap. Pass
+// `chunkStates` when the boundaries were already computed, e.g. while
+// streaming a file; otherwise `onChunk(chunksDone, chunkCount)` is called as
+// each boundary is computed.
+//
+// `bytes` may also be a byte source `{ length, read(start, end) }` for input
+// too large to hold, such as a file (see createFileSource). Its chunk states
+// must be given, its partial last chunk must always be readable, and `read`
+// returns null for bytes that are not loaded; the events of such a chunk are
+// then null until a source with those bytes replaces this one.
+//
+// `initialHash` and `processedLength` resume hashing from the state reached
+// after `processedLength` bytes (a multiple of 64) had already been
+// compressed; the final length field then counts those bytes too.
+export function createBlockTrace(
+  bytes,
+  algorithm,
+  { inputType = 'hex', chunkStates, initialHash: resumeHash, processedLength = 0, onChunk } = {},
+) {
+  if (processedLength % 64 !== 0) {
+    throw new Error('Hashing can only resume after a whole number of 64-byte chunks.');
+  }
+
+  const source = isByteSource(bytes) ? bytes : null;
+  if (source && !chunkStates) {
+    throw new Error('Tracing a byte source needs its chunk states.');
+  }
+
+  const initialHash = resumeHash ?? algorithm.initialHash;
+  const compress = getBlockCompressor(algorithm);
+  // Events each chunk contributes: chunk-start, the rounds, chunk-end.
+  const eventsPerChunk = algorithm.roundCount + 2;
+
+  const inputBytes = source ? null : bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+  const inputLength = source ? source.length : inputBytes.length;
+  const readInputBytes = (start, end) => {
+    const from = Math.max(0, start);
+    const to = Math.min(end, inputLength);
+    return source ? source.read(from, to) : inputBytes.subarray(from, to);
+  };
+  const chunkCount = getPaddedChunkCount(inputLength);
+  const fullChunks = Math.floor(inputLength / 64);
+  const tail = padTail(readInputBytes(fullChunks * 64, inputLength), processedLength + inputLength);
+  const states = chunkStates ?? computeChunkStates(inputBytes, tail, chunkCount, initialHash, compress, onChunk);
+  const readState = (index) => Array.from(states.subarray(index * 4, index * 4 + 4));
+
+  const preprocessEvent = buildPreprocessEvent(
+    algorithm.name,
+    inputType,
+    inputLength,
+    chunkCount,
+    initialHash,
+    processedLength,
+  );
+  const doneEvent = buildDoneEvent(algorithm.name, readState(chunkCount), chunkCount);
+  const length = chunkCount * eventsPerChunk + 2;
+  let cachedChunk = null;
+
+  // Null when part of the range is not loaded.
+  const readPaddedBytes = (start, end) => {
+    const from = Math.max(0, start);
+    const to = Math.min(end, chunkCount * 64);
+    const inputEnd = Math.min(to, fullChunks * 64);
+    const input = from < inputEnd ? readInputBytes(from, inputEnd) : [];
+
+    if (!input) {
+      return null;
+    }
+
+    const result = Array.from(input);
+    for (let offset = Math.max(from, fullChunks * 64); offset < to; offset += 1) {
+      result.push(tail[offset - fullChunks * 64]);
+    }
+
+    return result;
+  };
+
+  const getChunk = (index) => {
+    const block = readPaddedBytes(index * 64, index * 64 + 64);
+    return block && createChunk(index, block);
+  };
+
+  const getChunkEvents = (index) => {
+    if (cachedChunk?.index !== index) {
+      const chunk = getChunk(index);
+      if (!chunk) {
+        return null;
+      }
+
+      cachedChunk = {
+        index,
+        events: buildChunkEvents(chunk, readState(index), algorithm).events,
+      };
+    }
+
+    return cachedChunk.events;
+  };
+
+  const getChunkIndex = (step) => Math.min(Math.max(Math.floor((step - 1) / eventsPerChunk), 0), chunkCount - 1);
+
+  const getEvent = (step) => {
+    if (!Number.isInteger(step) || step < 0 || step >= length) {
+      return null;
+    }
+
+    if (step === 0) {
+      return preprocessEvent;
+    }
+
+    if (step === length - 1) {
+      return doneEvent;
+    }
+
+    return getChunkEvents(getChunkIndex(step))?.[(step - 1) % eventsPerChunk] ?? null;
+  };
 
   return {
+    algorithm: algorithm.name,
     inputType,
     inputBytes,
-    paddedBytes,
-    chunks,
-    events,
-    digest,
-    constants: TABLE_K,
-    shifts: SHIFT_AMOUNTS,
-    initialHash: [...INITIAL_HASH],
+    inputLength,
+    chunkCount,
+    length,
+    getEvent,
+    getChunk,
+    getChunkIndex,
+    getChunkStartStep: (index) => 1 + index * eventsPerChunk,
+    readInputBytes,
+    readPaddedBytes,
+    chunkStates: states,
+    digest: doneEvent.digest,
+    constants: algorithm.constants,
+    shifts: algorithm.shifts,
+    roundCount: algorithm.roundCount,
+    params: algorithm.params,
+    isStandard: algorithm.isStandard,
+    initialHash: [...initialHash],
+    processedLength,
   };
 }
+
+// MD5 trace over `bytes`; see createBlockTrace for the options. `params`
+// overrides the IV, K, shifts or round count (see normalizeMd5Params), and
+// `isStandard` on the trace tells whether the result is still MD5.
+export function createMd5Trace(bytes, { params, ...options } = {}) {
+  return createBlockTrace(bytes, getMd5Algorithm(params), options);
+}
+
+// The algorithm createMd5Trace runs for `params`, for callers that compress
+// blocks themselves (see getBlockCompressor).
+export function getMd5Algorithm(params) {
+  return createMd5Algorithm(params ? normalizeMd5Params(params) : STANDARD_MD5_PARAMS);
+}
+
+export function buildMd5Trace(inputValue, inputType = 'text', params) {
+  return createMd5Trace(parseInputBytes(inputValue, inputType), { inputType, params });
+}
@@ -0,0 +1,263 @@
+import { createHash } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import {
+  buildMd5Trace,
+  createMd5Hasher,
+  createMd5Trace,
+  getPaddedChunkCount,
+  InputError,
+  parseInputBytes,
+} from './md5';
+
+function nodeMd5(bytes) {
+  return createHash('md5').update(bytes).digest('hex');
+}
+
+// Small seeded generator so a failing random case can be replayed.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function collectEvents(trace) {
+  return Array.from({ length: trace.length }, (_, step) => trace.getEvent(step));
+}
+
+describe('RFC 1321 test suite', () => {
+  const vectors = [
+    ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+    ['a', '0cc175b9c0f1b6a831c399e269772661'],
+    ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+    ['message digest', 'f96b697d7cb7938d525a2f31aaf161d0'],
+    ['abcdefghijklmnopqrstuvwxyz', 'c3fcd3d76192e4007dfb496cca67e13b'],
+    ['ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 'd174ab98d277d9f5a5611c2c9f419d9f'],
+    [
+      '12345678901234567890123456789012345678901234567890123456789012345678901234567890',
+      '57edf4a22be3c955ac49da2e2107b67a',
+    ],
+  ];
+
+  it.each(vectors)('MD5("%s")', (input, digest) => {
+    expect(buildMd5Trace(input, 'text').digest).toBe(digest);
+    expect(createMd5Hasher().update(parseInputBytes(input, 'text')).hexDigest()).toBe(digest);
+  });
+});
+
+describe('padding boundaries', () => {
+  it.each([0, 1, 55, 56, 57, 63, 64, 65, 119, 120, 127, 128])('%i bytes', (length) => {
+    const bytes = Uint8Array.from({ length }, (_, index) => (index * 37 + 11) & 0xff);
+    const trace = createMd5Trace(bytes);
+
+    expect(trace.digest).toBe(nodeMd5(bytes));
+    expect(trace.chunkCount).toBe(getPaddedChunkCount(length));
+    // 0x80, zeros, then the 64-bit length must fit after the message.
+    expect(trace.chunkCount * 64).toBeGreaterThanOrEqual(length + 9);
+    expect(trace.chunkCount * 64 - 64).toBeLessThan(length + 9);
+  });
+
+  it('places the 0x80 marker and the bit length', () => {
+    const trace = createMd5Trace(new Uint8Array(56));
+    const padded = trace.readPaddedBytes(0, trace.chunkCount * 64);
+
+    expect(trace.chunkCount).toBe(2);
+    expect(padded[56]).toBe(0x80);
+    expect(padded.slice(57, 120).every((byte) => byte === 0)).toBe(true);
+    expect(padded.slice(120)).toEqual([0xc0, 0x01, 0, 0, 0, 0, 0, 0]);
+  });
+});
+
+describe('text input', () => {
+  it.each(['héllo wörld', '你好，世界', 'emoji 🙂🚀', 'mixed ß 中 🙂 a'])('hashes %s as UTF-8', (text) => {
+    const bytes = new TextEncoder().encode(text);
+    const trace = buildMd5Trace(text, 'text');
+
+    expect(Array.from(trace.inputBytes)).toEqual(Array.from(bytes));
+    expect(trace.digest).toBe(nodeMd5(bytes));
+  });
+});
+
+describe('hex input', () => {
+  it('accepts whitespace and either case', () => {
+    expect(parseInputBytes('61 62\n63', 'hex')).toEqual([0x61, 0x62, 0x63]);
+    expect(parseInputBytes('DeadBEEF', 'hex')).toEqual([0xde, 0xad, 0xbe, 0xef]);
+    expect(parseInputBytes('  ', 'hex')).toEqual([]);
+  });
+
+  it.each([
+    ['abc', 'even number of digits'],
+    ['6 1 6', 'even number of digits'],
+    ['zz', 'only contain 0-9 and a-f'],
+    ['0x61', 'only contain 0-9 and a-f'],
+    ['61-626', 'only contain 0-9 and a-f'],
+  ])('rejects %j', (value, message) => {
+    expect(() => parseInputBytes(value, 'hex')).toThrow(message);
+    expect(() => buildMd5Trace(value, 'hex')).toThrow(message);
+  });
+});
+
+describe('other input encodings', () => {
+  it.each([
+    ['base64', 'YWJj', [0x61, 0x62, 0x63]],
+    ['base64', 'YW Jj\nZA==', [0x61, 0x62, 0x63, 0x64]],
+    ['base64', '-_8', [0xfb, 0xff]],
+    ['binary', '01100001 0110001001100011', [0x61, 0x62, 0x63]],
+    ['carray', 'unsigned char m[] = { 0x61, 98, \'c\', \'\\n\', };', [0x61, 0x62, 0x63, 0x0a]],
+    ['carray', '{}', []],
+    ['utf16le', 'aé', [0x61, 0x00, 0xe9, 0x00]],
+    ['utf16le', '🙂', [0x3d, 0xd8, 0x42, 0xde]],
+    ['latin1', 'aé', [0x61, 0xe9]],
+  ])('decodes %s %j', (encoding, value, bytes) => {
+    expect(Array.from(parseInputBytes(value, encoding))).toEqual(bytes);
+  });
+
+  it.each([
+    ['base64', 'YW*j', 'can only contain'],
+    ['base64', 'YWJjZ', 'wrong length'],
+    ['base64', 'YQ=', 'wrong length'],
+    ['binary', '0110002', 'only contain 0 and 1'],
+    ['binary', '0110000', 'multiple of 8 bits'],
+    ['carray', '{ 0x61, 0x100 }', 'item 2 ("0x100") is not a byte'],
+    ['carray', '{ 0x61,, 0x62 }', 'item 2 ("") is not a byte'],
+    ['latin1', 'price: 5€', '"€" (U+20AC) at character 9'],
+  ])('rejects %s %j', (encoding, value, message) => {
+    expect(() => parseInputBytes(value, encoding)).toThrow(message);
+  });
+
+  it('gives different digests for the same text in different encodings', () => {
+    const digests = ['text', 'utf16le', 'latin1'].map((encoding) => buildMd5Trace('café', encoding).digest);
+
+    expect(new Set(digests).size).toBe(3);
+    expect(digests[1]).toBe(nodeMd5(new Uint8Array([0x63, 0, 0x61, 0, 0x66, 0, 0xe9, 0])));
+  });
+});
+
+describe('input diagnostics', () => {
+  function diagnose(value, encoding) {
+    try {
+      parseInputBytes(value, encoding);
+    } catch (error) {
+      expect(error).toBeInstanceOf(InputError);
+      return error.diagnostics.map(({ start, end, text, fix }) => ({ start, end, text, fix }));
+    }
+    throw new Error('expected the input to be rejected');
+  }
+
+  it('reports every bad run in hex input with its offsets', () => {
+    expect(diagnose('0x61, 0x6g\nzz O1', 'hex')).toEqual([
+      { start: 0, end: 2, text: '0x', fix: 'Remove the 0x prefix, or switch to C byte array input.' },
+      {
+        start: 4,
+        end: 5,
+        text: ',',
+        fix: 'Remove the separator; bytes may only be separated by spaces or line breaks.',
+      },
+      { start: 6, end: 8, text: '0x', fix: 'Remove the 0x prefix, or switch to C byte array input.' },
+      { start: 9, end: 10, text: 'g', fix: 'Remove "g" or replace it with hex digits (0-9, a-f).' },
+      { start: 11, end: 13, text: 'zz', fix: 'Remove "zz" or replace it with hex digits (0-9, a-f).' },
+      { start: 14, end: 15, text: 'O', fix: 'Did you mean the digit 0?' },
+    ]);
+  });
+
+  it('points at the group that breaks hex digit pairs', () => {
+    expect(diagnose('61 6 63', 'hex')).toEqual([
+      { start: 3, end: 4, text: '6', fix: 'Write it as "06", or join it with its neighbour.' },
+    ]);
+    expect(diagnose('616', 'hex')[0]).toMatchObject({ start: 2, end: 3, text: '6' });
+  });
+
+  it('reports bad characters and lengths in other encodings', () => {
+    expect(diagnose('01100001 0110 001x', 'binary')).toMatchObject([{ start: 17, end: 18, text: 'x' }]);
+    expect(diagnose('01100001 0110', 'binary')).toMatchObject([{ start: 9, end: 13, text: '0110' }]);
+    expect(diagnose('YW=J*', 'base64')).toMatchObject([
+      { start: 2, end: 3, text: '=', fix: 'Padding "=" may only appear at the end.' },
+      { start: 4, end: 5, text: '*' },
+    ]);
+    expect(diagnose('YWJjZA=', 'base64')).toMatchObject([{ start: 6, end: 7, fix: 'Use 2 "=" for this length.' }]);
+    expect(diagnose("{ 0x61, 0x1ff, ',', , 0x62 }", 'carray')).toMatchObject([
+      { start: 8, end: 13, text: '0x1ff' },
+      { start: 20, end: 21, text: ',', fix: 'Remove the extra comma.' },
+    ]);
+    expect(diagnose('a€b😀', 'latin1')).toMatchObject([
+      { start: 1, end: 2, text: '€' },
+      { start: 3, end: 5, text: '😀' },
+    ]);
+  });
+});
+
+describe('random inputs against node:crypto', () => {
+  const random = createRandom(0x5eed);
+
+  it('matches for 200 random messages', () => {
+    for (let run = 0; run < 200; run += 1) {
+      const length = Math.floor(random() * 300);
+      const bytes = Uint8Array.from({ length }, () => Math.floor(random() * 256));
+      expect(createMd5Trace(bytes).digest, `length ${length}`).toBe(nodeMd5(bytes));
+    }
+  });
+
+  it('matches when the hasher is fed in random pieces', () => {
+    for (let run = 0; run < 50; run += 1) {
+      const bytes = Uint8Array.from({ length: Math.floor(random() * 500) }, () => Math.floor(random() * 256));
+      const hasher = createMd5Hasher();
+      let offset = 0;
+
+      while (offset < bytes.length) {
+        const size = Math.floor(random() * 100);
+        hasher.update(bytes.subarray(offset, offset + size));
+        offset += size;
+      }
+
+      expect(hasher.hexDigest()).toBe(nodeMd5(bytes));
+    }
+  });
+});
+
+describe('event stream', () => {
+  it.each([0, 55, 64, 130])('is consistent for %i bytes', (length) => {
+    const trace = createMd5Trace(Uint8Array.from({ length }, (_, index) => index & 0xff));
+    const events = collectEvents(trace);
+
+    expect(events[0].type).toBe('preprocess');
+    expect(events.at(-1).type).toBe('done');
+    expect(events.at(-1).digest).toBe(trace.digest);
+    expect(events).toHaveLength(trace.chunkCount * 66 + 2);
+
+    let previousHashAfter = trace.initialHash;
+
+    for (let chunkIndex = 0; chunkIndex < trace.chunkCount; chunkIndex += 1) {
+      const start = trace.getChunkStartStep(chunkIndex);
+      const chunkStart = events[start];
+      const rounds = events.slice(start + 1, start + 65);
+      const chunkEnd = events[start + 65];
+
+      expect(chunkStart.type).toBe('chunk-start');
+      expect(chunkStart.hashBefore).toEqual(previousHashAfter);
+      expect(chunkStart.registersBefore).toEqual(chunkStart.hashBefore);
+
+      expect(rounds.map((event) => event.type)).toEqual(new Array(64).fill('round'));
+      expect(rounds.map((event) => event.roundIndex)).toEqual(Array.from({ length: 64 }, (_, i) => i));
+      expect(rounds[0].registersBefore).toEqual(chunkStart.registersBefore);
+
+      for (let i = 1; i < rounds.length; i += 1) {
+        expect(rounds[i].registersBefore).toEqual(rounds[i - 1].registersAfter);
+      }
+
+      expect(chunkEnd.type).toBe('chunk-end');
+      expect(chunkEnd.hashBefore).toEqual(chunkStart.hashBefore);
+      expect(chunkEnd.registersBeforeAdd).toEqual(rounds[63].registersAfter);
+      expect(chunkEnd.hashAfter).toEqual(
+        chunkEnd.hashBefore.map((value, index) => (value + chunkEnd.registersBeforeAdd[index]) >>> 0),
+      );
+
+      previousHashAfter = chunkEnd.hashAfter;
+    }
+
+    expect(events.at(-1).hash).toEqual(previousHashAfter);
+  });
+});
@@ -0,0 +1,67 @@
+import { MessageError } from './i18n';
+import { STANDARD_MD5_PARAMS, normalizeMd5Params, toHex32 } from './md5';
+
+function formatWordRows(words, perRow) {
+  const rows = [];
+  for (let index = 0; index < words.length; index += perRow) {
+    rows.push(words.slice(index, index + perRow).join(' '));
+  }
+  return rows.join('\n');
+}
+
+export function createLabDraft(params = STANDARD_MD5_PARAMS) {
+  return {
+    iv: Array.from(params.initialHash, toHex32).join(' '),
+    constants: formatWordRows(Array.from(params.constants, toHex32), 8),
+    shifts: formatWordRows(Array.from(params.shifts, String), 16),
+    roundCount: String(params.roundCount),
+  };
+}
+
+// Named in the catalogs as `lab.preset.<id>`.
+export const LAB_PRESETS = Object.freeze([
+  { id: 'standard', params: STANDARD_MD5_PARAMS },
+  { id: 'zero-iv', params: { ...STANDARD_MD5_PARAMS, initialHash: [0, 0, 0, 0] } },
+  { id: 'zero-k', params: { ...STANDARD_MD5_PARAMS, constants: new Array(64).fill(0) } },
+  { id: 'no-rotation', params: { ...STANDARD_MD5_PARAMS, shifts: new Array(64).fill(0) } },
+  { id: 'rounds-16', params: { ...STANDARD_MD5_PARAMS, roundCount: 16 } },
+  { id: 'rounds-32', params: { ...STANDARD_MD5_PARAMS, roundCount: 32 } },
+]);
+
+function parseHexWords(text, label) {
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+  return tokens.map((token) => {
+    const clean = token.replace(/^0x/i, '');
+    if (!/^[0-9a-f]{1,8}$/i.test(clean)) {
+      throw new MessageError('lab.error.word', { field: label, token });
+    }
+    return parseInt(clean, 16) >>> 0;
+  });
+}
+
+function parseShiftList(text) {
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+  return tokens.map((token) => {
+    if (!/^\d+$/.test(token)) {
+      throw new MessageError('lab.error.shift', { token });
+    }
+    return Number(token);
+  });
+}
+
+// Turns the editable text fields into trace parameters, or throws a
+// MessageError naming the field that is wrong.
+export function parseLabDraft(draft) {
+  const params = {
+    initialHash: parseHexWords(draft.iv, 'IV'),
+    constants: parseHexWords(draft.constants, 'K'),
+    shifts: parseShiftList(draft.shifts),
+    roundCount: Number(draft.roundCount),
+  };
+
+  try {
+    return normalizeMd5Params(params);
+  } catch (error) {
+    throw new MessageError('lab.error.params', { error });
+  }
+}
@@ -0,0 +1,41 @@
+import { createHash } from 'node:crypto';
+import { describe, expect, it } from 'vitest';
+import { buildMd5Trace } from './md5';
+import { createLabDraft, LAB_PRESETS, parseLabDraft } from './md5Lab';
+
+const nodeMd5 = (value) => createHash('md5').update(value).digest('hex');
+
+describe('MD5 lab', () => {
+  it('reproduces MD5 from the default draft', () => {
+    const params = parseLabDraft(createLabDraft());
+    const trace = buildMd5Trace('The quick brown fox', 'text', params);
+
+    expect(trace.isStandard).toBe(true);
+    expect(trace.digest).toBe(nodeMd5('The quick brown fox'));
+  });
+
+  it('steps through the changed number of rounds per chunk', () => {
+    const params = parseLabDraft({ ...createLabDraft(), roundCount: '20' });
+    const trace = buildMd5Trace('x'.repeat(100), 'text', params);
+    const chunkCount = 2;
+
+    expect(trace.roundCount).toBe(20);
+    expect(trace.isStandard).toBe(false);
+    expect(trace.length).toBe(chunkCount * 22 + 2);
+    expect(trace.getEvent(trace.getChunkStartStep(1) + 20)).toMatchObject({ chunkIndex: 1, roundIndex: 19 });
+    expect(trace.digest).not.toBe(nodeMd5('x'.repeat(100)));
+  });
+
+  it('round-trips every preset through its draft', () => {
+    for (const preset of LAB_PRESETS) {
+      const params = parseLabDraft(createLabDraft(preset.params));
+      expect(buildMd5Trace('abc', 'text', params).isStandard).toBe(preset.id === 'standard');
+    }
+  });
+
+  it('rejects words that are not 32-bit hex and shifts that are not whole numbers', () => {
+    expect(() => parseLabDraft({ ...createLabDraft(), iv: '67452301 efcdab89 98badcfe xyz' })).toThrow();
+    expect(() => parseLabDraft({ ...createLabDraft(), shifts: '7 12 -1' })).toThrow();
+    expect(() => parseLabDraft({ ...createLabDraft(), roundCount: '65' })).toThrow();
+  });
+});
@@ -0,0 +1,4 @@
+// Entry of the standalone element build: loading the script defines <md5-trace>.
+import { defineTraceElement } from './traceElement';
+
+defineTraceElement();
@@ -0,0 +1,83 @@
+import { englishTranslator, translatePhase } from './i18n';
+import { formatWord } from './md5';
+
+function listRegisters(values, t) {
+  const [a, b, c, d] = values.map(formatWord);
+  return t('narration.registers', { a, b, c, d });
+}
+
+function narrateStep(event, t) {
+  switch (event.type) {
+    case 'preprocess':
+      return t('narration.preprocess', {
+        algorithm: event.algorithm,
+        bytes: event.inputLengthBytes,
+        padding: t('narration.paddingBytes', { count: event.addedBytes }),
+        bits: event.lengthFieldBits,
+        chunks: t('narration.chunks', { count: event.chunkCount }),
+      });
+    case 'chunk-start':
+      return t('narration.chunkStart', {
+        chunk: event.chunkIndex + 1,
+        registers: listRegisters(event.registersBefore, t),
+      });
+    case 'round':
+      return t('narration.round', {
+        round: event.stepWithinChunk,
+        roundCount: event.roundCount,
+        functionName: event.functionName,
+        g: event.g,
+        word: formatWord(event.messageWord),
+        constant: formatWord(event.constant),
+        shift: event.shift,
+        nextB: formatWord(event.registersAfter[1]),
+      });
+    case 'chunk-end':
+      return t('narration.chunkEnd', { chunk: event.chunkIndex + 1, registers: listRegisters(event.hashAfter, t) });
+    case 'done':
+      return t('narration.done', { algorithm: event.algorithm, digest: event.digest });
+    case 'hmac-key':
+      return event.keyWasHashed
+        ? t('narration.hmacKeyHashed', { bytes: t('narration.bytes', { count: event.keyLengthBytes }) })
+        : t('narration.hmacKeyPadded', {
+            bytes: event.keyLengthBytes,
+            zeros: t('narration.zeroBytes', { count: event.zeroBytesAdded }),
+          });
+    case 'hmac-xor':
+      return t('narration.hmacXor', {
+        pad: event.pad,
+        byte: event.padByte.toString(16),
+        bytes: t('narration.bytes', { count: event.appendedLengthBytes }),
+      });
+    case 'hmac-done':
+      return t('narration.hmacDone', { inner: event.innerDigest, digest: event.digest });
+    case 'extension-setup':
+      return t('narration.extensionSetup', {
+        registers: listRegisters(event.stateWords, t),
+        bytes: t('narration.bytes', { count: event.glueBytes.length }),
+      });
+    case 'extension-done':
+      if (event.forgeryHolds === null) {
+        return t('narration.extensionDone', { digest: event.forgedDigest });
+      }
+      return event.forgeryHolds
+        ? t('narration.extensionConfirmed', { digest: event.forgedDigest })
+        : t('narration.extensionFailed', { digest: event.forgedDigest, verified: event.verifiedDigest });
+    default:
+      return '';
+  }
+}
+
+// One plain-language sentence per trace event, for the screen-reader live
+// region; it says what the visual panels show for the step. `t` (see
+// i18n.js) picks the language, English by default.
+export function narrateEvent(event, t = englishTranslator) {
+  if (!event) {
+    return '';
+  }
+
+  const sentence = narrateStep(event, t);
+  return event.phaseLabel
+    ? t('narration.withPhase', { phase: translatePhase(t, event.phaseLabel), sentence })
+    : sentence;
+}
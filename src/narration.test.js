@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { buildHmacMd5Trace } from './hmac';
+import { buildMd5Trace } from './md5';
+import { narrateEvent } from './narration';
+
+describe('step narration', () => {
+  const trace = buildMd5Trace('abc', 'text');
+
+  it('describes a round with its function, message index and new B', () => {
+    const event = trace.getEvent(18);
+
+    expect(event.roundIndex).toBe(16);
+    expect(narrateEvent(event)).toMatch(
+      /^Round 17 of 64 uses G; g = 1; it adds M\[1\] = 0x[0-9a-f]{8} and the constant 0xf61e2562, rotates left by 5; B becomes 0x[0-9a-f]{8}/,
+    );
+  });
+
+  it('has a sentence for every event, with the phase of composite traces', () => {
+    const hmac = buildHmacMd5Trace(new TextEncoder().encode('key'), new TextEncoder().encode('abc'));
+    const sentences = Array.from({ length: hmac.length }, (_, step) => narrateEvent(hmac.getEvent(step)));
+
+    expect(sentences.every((sentence) => sentence.length > 0)).toBe(true);
+    expect(sentences[0]).toMatch(/^Key: The 3-byte key is padded with 61 zero bytes/);
+    expect(sentences.at(-1)).toBe(
+      `HMAC: Done: the inner hash is ${hmac.getEvent(hmac.length - 1).innerDigest} and the HMAC is ${hmac.digest}.`,
+    );
+    expect(narrateEvent(trace.getEvent(0))).toBe(
+      'MD5 preprocessing: the 3-byte message gets 61 padding bytes, ending with its length of 24 bits, and is split into 1 chunk of 64 bytes.',
+    );
+    expect(narrateEvent(trace.getEvent(trace.length - 1))).toBe(`Done: the MD5 digest is ${trace.digest}.`);
+  });
+});
@@ -0,0 +1,144 @@
+import { englishTranslator } from './i18n';
+import { formatWord } from './md5';
+
+// What practice mode can ask about a round, named in the catalogs as
+// `quiz.quantity.<value>`. `hides` lists the quantities that would give the
+// answer away while the question is open.
+export const QUIZ_QUANTITIES = Object.freeze([
+  { value: 'g', hides: ['g'] },
+  { value: 'functionResult', hides: ['functionResult', 'sum', 'rotated', 'nextB'] },
+  { value: 'sum', hides: ['sum', 'rotated', 'nextB'] },
+  { value: 'rotated', hides: ['rotated', 'nextB'] },
+  { value: 'nextB', hides: ['nextB'] },
+]);
+
+export function getQuizQuantity(value) {
+  return QUIZ_QUANTITIES.find((quantity) => quantity.value === value) ?? null;
+}
+
+// Cycles through the quantities being practiced, so consecutive rounds ask
+// about different things.
+export function pickQuizQuantity(values, step) {
+  const enabled = QUIZ_QUANTITIES.filter((quantity) => values.includes(quantity.value));
+  return enabled.length > 0 ? enabled[step % enabled.length] : null;
+}
+
+export function getQuizAnswer(event, quantity) {
+  return quantity === 'nextB' ? event.registersAfter[1] : event[quantity];
+}
+
+// Reads an answer: g as a decimal index, the 32-bit values as hex with an
+// optional 0x prefix. Throws with a message for the learner otherwise, in
+// the language of `t`.
+export function parseQuizAnswer(text, quantity, t = englishTranslator) {
+  const value = text.trim().replace(/[\s_]/g, '');
+
+  if (quantity === 'g') {
+    if (!/^\d{1,2}$/.test(value) || Number(value) > 15) {
+      throw new Error(t('quiz.error.wordIndex'));
+    }
+    return Number(value);
+  }
+
+  const digits = value.replace(/^0x/i, '');
+  if (!/^[0-9a-f]{1,8}$/i.test(digits)) {
+    throw new Error(t('quiz.error.word'));
+  }
+  return Number.parseInt(digits, 16) >>> 0;
+}
+
+export function checkQuizAnswer(event, quantity, text, t = englishTranslator) {
+  const expected = getQuizAnswer(event, quantity);
+
+  try {
+    return { correct: parseQuizAnswer(text, quantity, t) === expected, error: '' };
+  } catch (error) {
+    return { correct: false, error: error.message };
+  }
+}
+
+export function formatQuizAnswer(event, quantity) {
+  const answer = getQuizAnswer(event, quantity);
+  return quantity === 'g' ? String(answer) : formatWord(answer);
+}
+
+// The terms of the formula for `quantity`, one hint each, in the order they
+// are revealed; `t` picks the language of the ones in words.
+export function getQuizHints(event, quantity, t = englishTranslator) {
+  const [a, b, c, d] = event.registersBefore;
+
+  switch (quantity) {
+    case 'g':
+      return [
+        t('quiz.hint.wordIndex', { functionName: event.functionName, formula: event.indexFormula }),
+        `i = ${event.roundIndex}.`,
+      ];
+    case 'functionResult':
+      return [
+        `${event.functionName}(B, C, D) = ${event.functionFormula}`,
+        `B = ${formatWord(b)}`,
+        `C = ${formatWord(c)}`,
+        `D = ${formatWord(d)}`,
+      ];
+    case 'sum':
+      return [
+        `sum = ${event.sumFormula} (mod 2^32)`,
+        `A = ${formatWord(a)}`,
+        `f = ${formatWord(event.functionResult)}`,
+        `${event.constantLabel} = ${formatWord(event.constant)} (i = ${event.roundIndex})`,
+        `M[g] = M[${event.g}] = ${formatWord(event.messageWord)}`,
+      ];
+    case 'rotated':
+      return [
+        'rotate(sum, s) = (sum << s) | (sum >>> (32 - s))',
+        `sum = ${formatWord(event.sum)}`,
+        `s[i] = ${event.shift} (i = ${event.roundIndex})`,
+      ];
+    default:
+      return [
+        `B' = ${event.nextBFormula} (mod 2^32)`,
+        `rotate(sum, s[i]) = ${formatWord(event.rotated)}`,
+        ...(event.addsB ? [`B = ${formatWord(b)}`] : []),
+      ];
+  }
+}
+
+export const EMPTY_QUIZ_SCORE = Object.freeze({ asked: 0, correct: 0, streak: 0, bestStreak: 0, byQuantity: {} });
+
+// Scores each question once, by its first answer (or by giving up).
+export function recordQuizResult(score, quantity, correct) {
+  const previous = score.byQuantity[quantity] ?? { asked: 0, correct: 0 };
+  const streak = correct ? score.streak + 1 : 0;
+
+  return {
+    asked: score.asked + 1,
+    correct: score.correct + (correct ? 1 : 0),
+    streak,
+    bestStreak: Math.max(score.bestStreak, streak),
+    byQuantity: {
+      ...score.byQuantity,
+      [quantity]: { asked: previous.asked + 1, correct: previous.correct + (correct ? 1 : 0) },
+    },
+  };
+}
+
+const SCORE_STORAGE_KEY = 'md5algorithm-quiz-score';
+
+// The score lasts for the browser session; storage may be unavailable (e.g.
+// sandboxed frames), in which case it lasts for the page.
+export function loadQuizScore() {
+  try {
+    const saved = JSON.parse(window.sessionStorage.getItem(SCORE_STORAGE_KEY));
+    return saved && Number.isInteger(saved.asked) ? { ...EMPTY_QUIZ_SCORE, ...saved } : EMPTY_QUIZ_SCORE;
+  } catch {
+    return EMPTY_QUIZ_SCORE;
+  }
+}
+
+export function saveQuizScore(score) {
+  try {
+    window.sessionStorage.setItem(SCORE_STORAGE_KEY, JSON.stringify(score));
+  } catch {
+    // Not persisted; the score still lives in memory.
+  }
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { createTranslator } from './i18n';
+import { buildMd4Trace } from './md4';
+import { buildMd5Trace } from './md5';
+import {
+  checkQuizAnswer,
+  EMPTY_QUIZ_SCORE,
+  getQuizHints,
+  parseQuizAnswer,
+  pickQuizQuantity,
+  recordQuizResult,
+} from './quiz';
+
+describe('practice questions', () => {
+  const trace = buildMd5Trace('abc', 'text');
+  const event = trace.getEvent(18);
+
+  it('checks answers against the round event', () => {
+    const hex = (value) => `0x${value.toString(16)}`;
+
+    expect(checkQuizAnswer(event, 'g', '1')).toEqual({ correct: true, error: '' });
+    expect(checkQuizAnswer(event, 'g', '2').correct).toBe(false);
+    expect(checkQuizAnswer(event, 'sum', hex(event.sum)).correct).toBe(true);
+    expect(checkQuizAnswer(event, 'rotated', event.rotated.toString(16).toUpperCase()).correct).toBe(true);
+    expect(checkQuizAnswer(event, 'nextB', `0x ${event.registersAfter[1].toString(16)}`).correct).toBe(true);
+    expect(checkQuizAnswer(event, 'functionResult', 'xyz')).toEqual({
+      correct: false,
+      error: 'Enter a 32-bit value as up to 8 hex digits, e.g. 0x1a2b3c4d.',
+    });
+    expect(() => parseQuizAnswer('16', 'g')).toThrow('from 0 to 15');
+    expect(() => parseQuizAnswer('16', 'g', createTranslator('zh-CN'))).toThrow('0 到 15');
+  });
+
+  it('gives one formula term per hint', () => {
+    expect(getQuizHints(event, 'g')).toEqual(['Round family G picks the word with g = (5i + 1) mod 16.', 'i = 16.']);
+    expect(getQuizHints(event, 'rotated')).toEqual([
+      'rotate(sum, s) = (sum << s) | (sum >>> (32 - s))',
+      `sum = 0x${event.sum.toString(16).padStart(8, '0')}`,
+      's[i] = 5 (i = 16)',
+    ]);
+    expect(getQuizHints(event, 'sum')[3]).toBe('K[i] = 0xf61e2562 (i = 16)');
+    expect(getQuizHints(event, 'g', createTranslator('zh-CN'))[0]).toBe('G 轮按 g = (5i + 1) mod 16 选取消息字。');
+
+    // MD4's new B is the rotated sum, so B itself is no hint there.
+    const md4Event = buildMd4Trace('abc', 'text').getEvent(5);
+    expect(getQuizHints(md4Event, 'nextB')).toHaveLength(2);
+    expect(getQuizHints(event, 'nextB')).toHaveLength(3);
+  });
+
+  it('cycles through the chosen quantities', () => {
+    expect(pickQuizQuantity(['sum', 'g'], 4).value).toBe('g');
+    expect(pickQuizQuantity(['sum', 'g'], 5).value).toBe('sum');
+    expect(pickQuizQuantity([], 5)).toBeNull();
+  });
+
+  it('keeps a score with streaks per quantity', () => {
+    const score = [true, true, false, true].reduce(
+      (current, correct, index) => recordQuizResult(current, index % 2 === 0 ? 'g' : 'sum', correct),
+      EMPTY_QUIZ_SCORE,
+    );
+
+    expect(score).toEqual({
+      asked: 4,
+      correct: 3,
+      streak: 1,
+      bestStreak: 2,
+      byQuantity: { g: { asked: 2, correct: 1 }, sum: { asked: 2, correct: 2 } },
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { popcount32 } from './compare';
+
+// The sparklines read at most this many steps, however long the trace is, so
+// their cost does not grow with the input.
+export const TIMELINE_SAMPLES = 480;
+
+// Every chunk is drawn as chunk-start, its round families and chunk-end up
+// to this many chunks per hash; past it a chunk is narrower than a pixel, so
+// the chunks are drawn as one band.
+const MAX_DETAILED_CHUNKS = 512;
+// Rounds come in families of 16 sharing a round function, F first.
+const FAMILY_SIZE = 16;
+const FAMILY_NAMES = ['F', 'G', 'H', 'I'];
+
+// The segments of a block trace (see createBlockTrace) starting at `offset`,
+// laid out from its chunk and round counts without reading any events.
+function blockSegments(trace, offset) {
+  const chunksEnd = offset + trace.length - 1;
+  const segments = [{ start: offset, end: offset + 1, kind: 'preprocess', family: null }];
+
+  if (trace.chunkCount > MAX_DETAILED_CHUNKS) {
+    segments.push({ start: offset + 1, end: chunksEnd, kind: 'round', family: null });
+  } else {
+    for (let chunkIndex = 0; chunkIndex < trace.chunkCount; chunkIndex += 1) {
+      const start = offset + trace.getChunkStartStep(chunkIndex);
+      const roundsEnd = start + 1 + trace.roundCount;
+      segments.push({ start, end: start + 1, kind: 'chunk-start', family: null });
+
+      for (let round = 0; round < trace.roundCount; round += FAMILY_SIZE) {
+        segments.push({
+          start: start + 1 + round,
+          end: Math.min(start + 1 + round + FAMILY_SIZE, roundsEnd),
+          kind: 'round',
+          family: FAMILY_NAMES[round / FAMILY_SIZE],
+        });
+      }
+
+      segments.push({ start: roundsEnd, end: roundsEnd + 1, kind: 'chunk-end', family: null });
+    }
+  }
+
+  segments.push({ start: chunksEnd, end: chunksEnd + 1, kind: 'done', family: null });
+  return segments;
+}
+
+// HMAC and length-extension traces are block traces with single phase steps
+// between them.
+function traceSegments(trace) {
+  if (!trace.getSegment) {
+    return blockSegments(trace, 0);
+  }
+
+  return trace.segmentStarts.flatMap((start) => {
+    const segment = trace.getSegment(start);
+    return segment.event
+      ? [{ start, end: start + 1, kind: 'phase', family: null }]
+      : blockSegments(segment.trace, start);
+  });
+}
+
+// A, B, C, D as the step leaves them, or null for steps without registers.
+function readRegisters(event) {
+  if (event?.type === 'round') {
+    return event.registersAfter;
+  }
+
+  if (event?.type === 'chunk-start') {
+    return event.registersBefore;
+  }
+
+  if (event?.type === 'chunk-end') {
+    return event.hashAfter;
+  }
+
+  if (event?.type === 'done') {
+    return event.hash;
+  }
+
+  return null;
+}
+
+// Evenly spaced step ranges covering the trace, one per sample.
+function sampleRanges(length, sampleCount) {
+  const count = Math.min(length, sampleCount);
+  return Array.from({ length: count }, (_, index) => ({
+    start: Math.floor((index * length) / count),
+    end: Math.floor(((index + 1) * length) / count),
+  }));
+}
+
+// Everything the timeline draws: `segments` ({ start, end, kind, family },
+// end exclusive) and, per sample, the registers for the sparklines.
+export function buildTimeline(trace, sampleCount = TIMELINE_SAMPLES) {
+  const samples = sampleRanges(trace.length, sampleCount).map((range) => ({
+    ...range,
+    registers: readRegisters(trace.getEvent(range.start)),
+  }));
+
+  // Steps without registers keep the previous values (or the first known).
+  const firstKnown = samples.find((sample) => sample.registers)?.registers ?? [0, 0, 0, 0];
+  let previous = firstKnown;
+  for (const sample of samples) {
+    sample.registers ??= previous;
+    previous = sample.registers;
+  }
+
+  return { length: trace.length, segments: traceSegments(trace), samples };
+}
+
+// Sparkline heights in 0..1 for register `index`: the unsigned value, or the
+// Hamming weight (number of set bits) out of 32.
+export function getSparkline(timeline, index, mode) {
+  return timeline.samples.map((sample) => {
+    const value = sample.registers[index] >>> 0;
+    return mode === 'weight' ? popcount32(value) / 32 : value / 0x100000000;
+  });
+}
+
+// The step under a pointer at `fraction` (0..1) of the timeline's width.
+export function getStepAtFraction(fraction, length) {
+  return Math.min(Math.max(Math.floor(fraction * length), 0), Math.max(length - 1, 0));
+}
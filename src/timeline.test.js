@@ -0,0 +1,79 @@
+import { describe, expect, it } from 'vitest';
+import { buildHmacMd5Trace } from './hmac';
+import { buildMd5Trace } from './md5';
+import { buildTimeline, getSparkline, getStepAtFraction } from './timeline';
+
+describe('timeline', () => {
+  it('splits a short trace into step-exact segments and family bands', () => {
+    const trace = buildMd5Trace('abc', 'text');
+    const { segments, samples } = buildTimeline(trace);
+
+    expect(samples).toHaveLength(trace.length);
+    expect(segments.map(({ start, end, kind, family }) => [start, end, kind, family])).toEqual([
+      [0, 1, 'preprocess', null],
+      [1, 2, 'chunk-start', null],
+      [2, 18, 'round', 'F'],
+      [18, 34, 'round', 'G'],
+      [34, 50, 'round', 'H'],
+      [50, 66, 'round', 'I'],
+      [66, 67, 'chunk-end', null],
+      [67, 68, 'done', null],
+    ]);
+  });
+
+  it('keeps every chunk boundary and family band of longer traces while sampling the registers', () => {
+    const trace = buildMd5Trace('x'.repeat(64 * 40), 'text');
+    const timeline = buildTimeline(trace, 100);
+    const chunkStarts = timeline.segments.filter((segment) => segment.kind === 'chunk-start');
+
+    expect(timeline.samples).toHaveLength(100);
+    expect(timeline.samples.at(-1).end).toBe(trace.length);
+    expect(chunkStarts.map((segment) => segment.start)).toEqual(
+      Array.from({ length: trace.chunkCount }, (_, index) => trace.getChunkStartStep(index)),
+    );
+    expect(timeline.segments.filter((segment) => segment.family === 'I')).toHaveLength(trace.chunkCount);
+    expect(timeline.segments.at(-1)).toEqual({
+      start: trace.length - 1,
+      end: trace.length,
+      kind: 'done',
+      family: null,
+    });
+  });
+
+  it('lays out shortened rounds and the phases of HMAC traces', () => {
+    const lab = buildTimeline(buildMd5Trace('abc', 'text', { roundCount: 20 }));
+    expect(
+      lab.segments.filter((segment) => segment.kind === 'round').map(({ start, end, family }) => [start, end, family]),
+    ).toEqual([
+      [2, 18, 'F'],
+      [18, 22, 'G'],
+    ]);
+
+    const hmac = buildHmacMd5Trace([0x6b, 0x65, 0x79], [0x61, 0x62, 0x63]);
+    const { segments } = buildTimeline(hmac);
+    expect(segments.filter((segment) => segment.kind === 'phase').map((segment) => segment.start)).toEqual(
+      hmac.segmentStarts.filter((start) => hmac.getSegment(start).event),
+    );
+    expect(segments.every((segment, index) => index === 0 || segment.start === segments[index - 1].end)).toBe(true);
+    expect(segments.at(-1).end).toBe(hmac.length);
+  });
+
+  it('plots register values and Hamming weights', () => {
+    const trace = buildMd5Trace('abc', 'text');
+    const timeline = buildTimeline(trace);
+    const values = getSparkline(timeline, 0, 'value');
+    const weights = getSparkline(timeline, 0, 'weight');
+
+    // The preprocess step has no registers and borrows the initial ones.
+    expect(values[0]).toBeCloseTo(0x67452301 / 2 ** 32);
+    expect(weights[0]).toBe(12 / 32);
+    expect(values.every((height) => height >= 0 && height < 1)).toBe(true);
+  });
+
+  it('maps pointer positions to steps', () => {
+    expect(getStepAtFraction(0, 68)).toBe(0);
+    expect(getStepAtFraction(0.5, 68)).toBe(34);
+    expect(getStepAtFraction(1, 68)).toBe(67);
+    expect(getStepAtFraction(-0.2, 68)).toBe(0);
+  });
+});
@@ -0,0 +1,94 @@
+import { createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import TraceViewer from './TraceViewer';
+import { TRACE_PANELS } from './traceView';
+import { TRACE_VIEWER_CSS } from './traceViewerStyles';
+
+const TRACE_ATTRIBUTES = ['input', 'input-type', 'algorithm', 'initial-step', 'panels', 'autoplay', 'speed', 'lang'];
+
+// TraceViewer props from the attributes of an <md5-trace> element; absent or
+// unusable attributes keep the defaults.
+// `panels` is a list such as "message round bits", `autoplay` a boolean
+// attribute and `lang` the UI language.
+export function readTraceAttributes(element) {
+  const getAttribute = (name) => element.getAttribute(name);
+  const props = {};
+  const number = (name) => {
+    const value = Number.parseInt(getAttribute(name) ?? '', 10);
+    return Number.isNaN(value) ? undefined : value;
+  };
+
+  if (getAttribute('input') !== null) {
+    props.input = getAttribute('input');
+  }
+  if (getAttribute('input-type')) {
+    props.inputType = getAttribute('input-type');
+  }
+  if (getAttribute('algorithm')) {
+    props.algorithm = getAttribute('algorithm').toLowerCase();
+  }
+  if (number('initial-step') !== undefined) {
+    props.initialStep = number('initial-step');
+  }
+  if (number('speed') !== undefined) {
+    props.speed = number('speed');
+  }
+  if (getAttribute('panels') !== null) {
+    const names = getAttribute('panels').split(/[\s,]+/);
+    props.panels = TRACE_PANELS.filter((panel) => names.includes(panel));
+  }
+  if (getAttribute('lang')) {
+    props.locale = getAttribute('lang');
+  }
+  props.autoplay = getAttribute('autoplay') !== null;
+
+  return props;
+}
+
+// Registers the viewer as a custom element, <md5-trace> unless named
+// otherwise. It renders into its own shadow root with the viewer styles, so
+// nothing leaks either way, re-renders as its attributes change, and
+// dispatches a `stepchange` event ({ detail: { step } }) for every step shown.
+export function defineTraceElement(tagName = 'md5-trace') {
+  const defined = customElements.get(tagName);
+  if (defined) {
+    return defined;
+  }
+
+  class TraceElement extends HTMLElement {
+    static get observedAttributes() {
+      return TRACE_ATTRIBUTES;
+    }
+
+    connectedCallback() {
+      const shadow = this.shadowRoot ?? this.attachShadow({ mode: 'open' });
+      const style = document.createElement('style');
+      const container = document.createElement('div');
+      style.textContent = TRACE_VIEWER_CSS;
+      shadow.replaceChildren(style, container);
+      this.root = createRoot(container);
+      this.renderViewer();
+    }
+
+    disconnectedCallback() {
+      this.root?.unmount();
+      this.root = null;
+    }
+
+    attributeChangedCallback() {
+      this.renderViewer();
+    }
+
+    renderViewer() {
+      this.root?.render(
+        createElement(TraceViewer, {
+          ...readTraceAttributes(this),
+          onStepChange: (step) => this.dispatchEvent(new CustomEvent('stepchange', { detail: { step } })),
+        }),
+      );
+    }
+  }
+
+  customElements.define(tagName, TraceElement);
+  return TraceElement;
+}
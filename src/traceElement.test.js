@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { readTraceAttributes } from './traceElement';
+
+function element(attributes) {
+  return { getAttribute: (name) => attributes[name] ?? null };
+}
+
+describe('<md5-trace> attributes', () => {
+  it('reads the viewer props', () => {
+    expect(
+      readTraceAttributes(
+        element({
+          input: '61 62',
+          'input-type': 'hex',
+          algorithm: 'MD4',
+          'initial-step': '3',
+          speed: '400',
+          panels: 'round, bits registers',
+          autoplay: '',
+          lang: 'zh-CN',
+        }),
+      ),
+    ).toEqual({
+      input: '61 62',
+      inputType: 'hex',
+      algorithm: 'md4',
+      initialStep: 3,
+      speed: 400,
+      panels: ['round', 'registers', 'bits'],
+      autoplay: true,
+      locale: 'zh-CN',
+    });
+  });
+
+  it('keeps the defaults for missing or unusable attributes', () => {
+    expect(readTraceAttributes(element({}))).toEqual({ autoplay: false });
+    expect(readTraceAttributes(element({ input: '', 'initial-step': 'soon', panels: 'nope' }))).toEqual({
+      input: '',
+      panels: [],
+      autoplay: false,
+    });
+  });
+});
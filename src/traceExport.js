@@ -0,0 +1,231 @@
+import { buildHmacMd5Trace } from './hmac';
+import { MessageError } from './i18n';
+import { buildLengthExtensionTrace } from './lengthExtension';
+import { createMd4Trace } from './md4';
+import { createMd5Trace, toHex32 } from './md5';
+
+export const TRACE_FORMAT = 'md5algorithm-trace';
+export const TRACE_FORMAT_VERSION = 1;
+// Every step is written out in full, so exports are capped well below what
+// the lazy trace can hold (about 300 chunks of MD5).
+export const MAX_EXPORT_STEPS = 20000;
+
+const REGISTER_NAMES = ['A', 'B', 'C', 'D'];
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexToBytes(hex, field) {
+  if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/.test(hex)) {
+    throw new MessageError('savedTrace.error.hex', { field });
+  }
+
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let index = 0; index < bytes.length; index += 1) {
+    bytes[index] = parseInt(hex.slice(index * 2, index * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+// What is needed to compute the trace again: the input bytes plus whatever
+// else the mode depends on (lab parameters, HMAC key, extension setup).
+function describeSource(trace) {
+  if (trace.inputType === 'hmac') {
+    return { kind: 'hmac', key: bytesToHex(trace.keyBytes), message: bytesToHex(trace.inputBytes) };
+  }
+
+  if (trace.inputType === 'extension') {
+    const setup = trace.getEvent(0);
+    return {
+      kind: 'extension',
+      knownDigest: setup.knownDigest,
+      originalLength: setup.originalLengthBytes,
+      suffix: bytesToHex(trace.inputBytes),
+      original: trace.forgedMessageBytes
+        ? bytesToHex(trace.forgedMessageBytes.subarray(0, setup.originalLengthBytes))
+        : null,
+    };
+  }
+
+  return {
+    kind: trace.algorithm === 'MD4' ? 'md4' : 'md5',
+    inputType: trace.inputType,
+    input: bytesToHex(trace.inputBytes ?? trace.readInputBytes(0, trace.inputLength)),
+    params: trace.isStandard ? null : trace.params,
+  };
+}
+
+function rebuildTrace(source) {
+  if (source?.kind === 'hmac') {
+    return buildHmacMd5Trace(hexToBytes(source.key, 'source.key'), hexToBytes(source.message, 'source.message'));
+  }
+
+  if (source?.kind === 'extension') {
+    return buildLengthExtensionTrace({
+      knownDigest: String(source.knownDigest),
+      originalLength: source.originalLength,
+      suffixBytes: hexToBytes(source.suffix, 'source.suffix'),
+      originalBytes: source.original === null ? null : hexToBytes(source.original, 'source.original'),
+    });
+  }
+
+  if (source?.kind === 'md4') {
+    return createMd4Trace(hexToBytes(source.input, 'source.input'), { inputType: source.inputType });
+  }
+
+  if (source?.kind === 'md5') {
+    return createMd5Trace(hexToBytes(source.input, 'source.input'), {
+      inputType: source.inputType,
+      params: source.params ?? undefined,
+    });
+  }
+
+  throw new MessageError('savedTrace.error.kind');
+}
+
+export function canExportTrace(trace) {
+  return Boolean(trace) && trace.length <= MAX_EXPORT_STEPS;
+}
+
+function assertExportable(trace) {
+  if (!canExportTrace(trace)) {
+    throw new MessageError('savedTrace.error.tooLong', { count: trace?.length ?? 0, limit: MAX_EXPORT_STEPS });
+  }
+}
+
+function collectEvents(trace) {
+  return Array.from({ length: trace.length }, (_, step) => trace.getEvent(step));
+}
+
+// Typed arrays (input bytes, glue padding, chunk states) become plain arrays.
+function jsonReplacer(_key, value) {
+  return ArrayBuffer.isView(value) ? Array.from(value) : value;
+}
+
+export function exportTraceJson(trace) {
+  assertExportable(trace);
+
+  const payload = {
+    format: TRACE_FORMAT,
+    version: TRACE_FORMAT_VERSION,
+    algorithm: trace.algorithm ?? 'MD5',
+    inputType: trace.inputType,
+    digest: trace.digest,
+    source: describeSource(trace),
+    initialHash: trace.initialHash,
+    constants: trace.constants,
+    shifts: trace.shifts,
+    chunks: trace.getChunk
+      ? Array.from({ length: trace.chunkCount }, (_, index) => {
+          const { words } = trace.getChunk(index);
+          return { index, words };
+        })
+      : null,
+    events: collectEvents(trace),
+  };
+
+  return JSON.stringify(payload, jsonReplacer, 2);
+}
+
+function csvCell(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per round event. Words are 8-digit hex; chunk and i count from 0
+// like the K[i] and s[i] tables. Composite traces get a leading phase column.
+export function exportTraceCsv(trace) {
+  assertExportable(trace);
+
+  const withPhase = Boolean(trace.getSegment);
+  const header = [
+    ...(withPhase ? ['phase'] : []),
+    'chunk',
+    'i',
+    'function',
+    'g',
+    'K',
+    's',
+    'f',
+    'sum',
+    'rotated',
+    ...REGISTER_NAMES.map((name) => `${name}_before`),
+    ...REGISTER_NAMES.map((name) => `${name}_after`),
+  ];
+  const rows = [header];
+
+  for (const event of collectEvents(trace)) {
+    if (event.type !== 'round') {
+      continue;
+    }
+
+    rows.push([
+      ...(withPhase ? [event.phaseLabel] : []),
+      event.chunkIndex,
+      event.roundIndex,
+      event.functionName,
+      event.g,
+      toHex32(event.constant),
+      event.shift,
+      toHex32(event.functionResult),
+      toHex32(event.sum),
+      toHex32(event.rotated),
+      ...event.registersBefore.map(toHex32),
+      ...event.registersAfter.map(toHex32),
+    ]);
+  }
+
+  return `${rows.map((row) => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+// Loads an exported trace for replay. The saved events are what the viewer
+// steps through; chunk data comes from recomputing the trace from the saved
+// source, and `verification` tells whether that recomputation reproduces the
+// saved digest.
+export function importTraceJson(text) {
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    throw new MessageError('savedTrace.error.json');
+  }
+
+  if (payload?.format !== TRACE_FORMAT) {
+    throw new MessageError('savedTrace.error.format');
+  }
+
+  if (!Number.isInteger(payload.version) || payload.version > TRACE_FORMAT_VERSION) {
+    throw new MessageError('savedTrace.error.version', { version: String(payload.version) });
+  }
+
+  if (!Array.isArray(payload.events) || typeof payload.digest !== 'string') {
+    throw new MessageError('savedTrace.error.events');
+  }
+
+  let rebuilt;
+  try {
+    rebuilt = rebuildTrace(payload.source);
+  } catch (error) {
+    throw error.key?.startsWith('savedTrace.') ? error : new MessageError('savedTrace.error.source', { error });
+  }
+
+  if (rebuilt.length !== payload.events.length) {
+    throw new MessageError('savedTrace.error.length', { count: payload.events.length, steps: rebuilt.length });
+  }
+
+  const events = payload.events;
+
+  return {
+    trace: {
+      ...rebuilt,
+      getEvent: (step) => events[step] ?? null,
+      digest: payload.digest,
+    },
+    verification: {
+      savedDigest: payload.digest,
+      recomputedDigest: rebuilt.digest,
+      matches: payload.digest === rebuilt.digest,
+    },
+  };
+}
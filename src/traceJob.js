@@ -0,0 +1,55 @@
+import { MessageError } from './i18n';
+import { readInputField } from './inputEncodings';
+import { createMd4Trace } from './md4';
+import { createMd5Trace, getPaddedChunkCount } from './md5';
+
+// A trace job describes the plain traces the viewer needs for text, hex and
+// compare input: `{ algorithm: 'md5' | 'md4', params, encoding, inputs }`,
+// where each input is `{ value, label?, field? }` (label is the catalog key
+// of the input's name, field names the form field its diagnostics point into). It is plain data so it can be posted to the
+// trace worker.
+function buildTrace(job, bytes, options) {
+  return job.algorithm === 'md4'
+    ? createMd4Trace(bytes, { inputType: job.encoding, ...options })
+    : createMd5Trace(bytes, { inputType: job.encoding, params: job.params, ...options });
+}
+
+// The expensive part of a job: parsing every input and compressing all of its
+// chunks. Returns the input bytes and chunk states of each trace, from which
+// createJobTraces rebuilds the traces without compressing anything again.
+export function runTraceJob(job, onProgress = () => {}) {
+  const inputs = job.inputs.map(({ value, label, field }) => readInputField(value, job.encoding, { label, field }));
+
+  const chunkCount = inputs.reduce((total, bytes) => total + getPaddedChunkCount(bytes.length), 0);
+  let chunksBefore = 0;
+
+  return inputs.map((bytes) => {
+    const trace = buildTrace(job, bytes, {
+      onChunk: (chunksDone) => onProgress(chunksBefore + chunksDone, chunkCount),
+    });
+    chunksBefore += trace.chunkCount;
+    return { bytes: trace.inputBytes, chunkStates: trace.chunkStates };
+  });
+}
+
+export function createJobTraces(job, parts) {
+  const [trace, compareTrace] = parts.map(({ bytes, chunkStates }) => buildTrace(job, bytes, { chunkStates }));
+  return compareTrace ? { trace, compareTrace } : { trace };
+}
+
+// A failed job's error as plain data, which survives postMessage: its English
+// message and, for a MessageError, the key and params t.error shows it from.
+export function describeJobError(error) {
+  const { message, key, params } = error instanceof Error ? error : new MessageError('controls.parseFailed');
+  return { message, key, params };
+}
+
+// Runs a job on the calling thread, with errors in the same shape the worker
+// reports them.
+export function runTraceJobNow(job) {
+  try {
+    return { ...createJobTraces(job, runTraceJob(job)), error: '', issues: [] };
+  } catch (error) {
+    return { trace: null, error: describeJobError(error), issues: error.diagnostics ?? [] };
+  }
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { buildMd4Trace } from './md4';
+import { buildMd5Trace } from './md5';
+import { createJobTraces, runTraceJob, runTraceJobNow } from './traceJob';
+
+describe('trace jobs', () => {
+  it('rebuilds the same traces from the computed chunk states', () => {
+    const job = { algorithm: 'md5', encoding: 'text', inputs: [{ value: 'x'.repeat(200) }] };
+    const { trace } = createJobTraces(job, runTraceJob(job));
+    const direct = buildMd5Trace('x'.repeat(200), 'text');
+
+    expect(trace.digest).toBe(direct.digest);
+    expect(trace.getEvent(100)).toEqual(direct.getEvent(100));
+  });
+
+  it('reports progress over every input of a compare job', () => {
+    const job = {
+      algorithm: 'md4',
+      encoding: 'hex',
+      inputs: [
+        { value: '00'.repeat(64), label: 'Message A' },
+        { value: '61', label: 'Message B' },
+      ],
+    };
+    const progress = [];
+    const { trace, compareTrace } = createJobTraces(job, runTraceJob(job, (...report) => progress.push(report)));
+
+    expect(progress).toEqual([
+      [1, 3],
+      [2, 3],
+      [3, 3],
+    ]);
+    expect(trace.digest).toBe(buildMd4Trace('00'.repeat(64), 'hex').digest);
+    expect(compareTrace.digest).toBe(buildMd4Trace('61', 'hex').digest);
+  });
+
+  it('returns parse errors with their diagnostics, labelled by input', () => {
+    expect(runTraceJobNow({ algorithm: 'md5', encoding: 'hex', inputs: [{ value: 'abc', field: 'inputValue' }] })).toEqual({
+      trace: null,
+      error: {
+        key: 'input.error.hexLastDigit',
+        params: { digit: 'c' },
+        message: 'Hex input must contain an even number of digits; the last digit "c" has no partner.',
+      },
+      issues: [
+        {
+          field: 'inputValue',
+          start: 2,
+          end: 3,
+          text: 'c',
+          key: 'input.error.hexLastDigit',
+          params: { digit: 'c' },
+          message: 'Hex input must contain an even number of digits; the last digit "c" has no partner.',
+          fixKey: 'input.fix.hexLastDigit',
+          fixParams: {},
+          fix: 'Add the missing digit or remove this one.',
+        },
+      ],
+    });
+
+    const result = runTraceJobNow({
+      algorithm: 'md5',
+      encoding: 'hex',
+      inputs: [
+        { value: '61', label: 'input.messageA', field: 'inputValue' },
+        { value: 'zz 61 q', label: 'input.messageB', field: 'compareValue' },
+      ],
+    });
+    expect(result.error.message).toBe(
+      'Message B: Hex input can only contain 0-9 and a-f; found "zz" (and 1 more issue).',
+    );
+    expect(result.issues.map(({ field, start, end }) => [field, start, end])).toEqual([
+      ['compareValue', 0, 2],
+      ['compareValue', 6, 7],
+    ]);
+  });
+});
@@ -0,0 +1,219 @@
+import { englishTranslator } from './i18n';
+import { toHex32 } from './md5';
+
+// The values a search can look at in a round event; registers are the ones
+// after the round.
+const ROUND_FIELDS = Object.freeze({
+  a: { label: 'A', read: (event) => event.registersAfter[0] },
+  b: { label: 'B', read: (event) => event.registersAfter[1] },
+  c: { label: 'C', read: (event) => event.registersAfter[2] },
+  d: { label: 'D', read: (event) => event.registersAfter[3] },
+  sum: { label: 'sum', read: (event) => event.sum },
+  f: { label: 'f', read: (event) => event.functionResult },
+  rotated: { label: 'rotated', read: (event) => event.rotated },
+  k: { label: 'K', read: (event) => event.constant },
+  m: { label: 'M[g]', read: (event) => event.messageWord },
+});
+
+export const SEARCH_EXAMPLES = Object.freeze([
+  'chunk 2 round 17',
+  'function G',
+  'B = 0x8???????',
+  'sum ~ ff00',
+  'top bit of B set',
+]);
+
+// Searches can scan lazily built traces of any size, so each one stops after
+// this many steps and says where it got to.
+export const MAX_SEARCH_STEPS = 200000;
+
+const isRound = (event) => event?.type === 'round';
+
+// The steps of round `roundIndex` (or the start, when it is null) of chunk
+// `chunkIndex` in every hash of `trace`, read off the chunk layout rather than
+// found by scanning. Chunk numbers restart in each hash of a composite trace.
+function locateInChunk(trace, chunkIndex, roundIndex) {
+  if (trace.segmentStarts) {
+    return trace.segmentStarts.flatMap((start) => {
+      const segment = trace.getSegment(start);
+      return segment.event ? [] : locateInChunk(segment.trace, chunkIndex, roundIndex).map((step) => start + step);
+    });
+  }
+
+  if (chunkIndex >= trace.chunkCount || (roundIndex !== null && roundIndex >= trace.roundCount)) {
+    return [];
+  }
+
+  return [trace.getChunkStartStep(chunkIndex) + (roundIndex === null ? 0 : roundIndex + 1)];
+}
+
+function readField(name, t) {
+  const field = ROUND_FIELDS[name.toLowerCase()];
+  if (!field) {
+    throw new Error(t('search.error.unknownValue', { name }));
+  }
+  return field;
+}
+
+// `=` matches all 8 hex digits (a shorter pattern is zero-padded on the
+// left), `~` matches the digits anywhere; `?` stands for any digit.
+function parseHexPattern(fieldName, operator, pattern, t) {
+  const field = readField(fieldName, t);
+  const digits = pattern.toLowerCase().replace(/^0x/, '');
+
+  if (!/^[0-9a-f?]{1,8}$/.test(digits)) {
+    throw new Error(t('search.error.hexPattern', { pattern }));
+  }
+
+  const source = digits.replace(/\?/g, '[0-9a-f]');
+  const regex = operator === '=' ? new RegExp(`^${source.padStart(8, '0')}$`) : new RegExp(source);
+
+  return {
+    label:
+      operator === '='
+        ? t('search.query.equals', { field: field.label, value: `0x${digits.padStart(8, '0')}` })
+        : t('search.query.contains', { field: field.label, digits }),
+    test: (event) => isRound(event) && regex.test(toHex32(field.read(event))),
+  };
+}
+
+function parseBitPredicate(position, fieldName, state, t) {
+  const field = readField(fieldName, t);
+  const bit = { top: 31, low: 0 }[position] ?? Number(position);
+
+  if (!Number.isInteger(bit) || bit > 31) {
+    throw new Error(t('search.error.bit'));
+  }
+
+  const wanted = state === 'set' ? 1 : 0;
+  return {
+    label: t(state === 'set' ? 'search.query.bitSet' : 'search.query.bitClear', { bit, field: field.label }),
+    test: (event) => isRound(event) && ((field.read(event) >>> bit) & 1) === wanted,
+  };
+}
+
+// Turns a search such as "chunk 2 round 17", "function G", "B = 0x8???????",
+// "sum ~ ff" or "top bit of B set" into `{ text, label, test(event) }`;
+// chunk searches also have `locate(trace)`, which lists their steps.
+// Chunks count from 1 and rounds from 0, as i does in the round panel. The
+// syntax is English in every language; labels and errors follow `t`.
+export function parseTraceQuery(text, t = englishTranslator) {
+  const query = text.trim().replace(/\s+/g, ' ');
+  let match;
+
+  if ((match = /^chunk (\d+)(?:,? round (\d+))?$/i.exec(query))) {
+    const chunkIndex = Number(match[1]) - 1;
+    if (chunkIndex < 0) {
+      throw new Error(t('search.error.chunk'));
+    }
+
+    if (match[2] === undefined) {
+      return {
+        text: query,
+        label: t('search.query.chunkStart', { chunk: chunkIndex + 1 }),
+        test: (event) => event?.type === 'chunk-start' && event.chunkIndex === chunkIndex,
+        locate: (trace) => locateInChunk(trace, chunkIndex, null),
+      };
+    }
+
+    const roundIndex = Number(match[2]);
+    return {
+      text: query,
+      label: t('search.query.chunkRound', { chunk: chunkIndex + 1, round: roundIndex }),
+      test: (event) => isRound(event) && event.chunkIndex === chunkIndex && event.roundIndex === roundIndex,
+      locate: (trace) => locateInChunk(trace, chunkIndex, roundIndex),
+    };
+  }
+
+  if ((match = /^round (\d+)$/i.exec(query))) {
+    const roundIndex = Number(match[1]);
+    return {
+      text: query,
+      label: t('search.query.round', { round: roundIndex }),
+      test: (event) => isRound(event) && event.roundIndex === roundIndex,
+    };
+  }
+
+  if ((match = /^(?:function|family) ([a-z])$/i.exec(query))) {
+    const functionName = match[1].toUpperCase();
+    return {
+      text: query,
+      label: t('search.query.function', { functionName }),
+      test: (event) => isRound(event) && event.functionName === functionName,
+    };
+  }
+
+  if ((match = /^(\w+) ?(=|~) ?(\S+)$/.exec(query))) {
+    return { text: query, ...parseHexPattern(match[1], match[2], match[3], t) };
+  }
+
+  if ((match = /^(?:(top|low) bit|bit (\d+)) of (\w+) (?:is )?(set|clear)$/i.exec(query))) {
+    return {
+      text: query,
+      ...parseBitPredicate((match[1] ?? match[2]).toLowerCase(), match[3], match[4].toLowerCase(), t),
+    };
+  }
+
+  throw new Error(
+    t('search.error.unknown', { query, examples: SEARCH_EXAMPLES.map((example) => `"${example}"`).join(', ') }),
+  );
+}
+
+// The nearest step after (direction 1) or before (direction -1) `fromStep`
+// whose event passes `query`, as `{ step, unreadStep }`: `step` is -1 when
+// there is none within the scan limit. The events of file chunks that have
+// not been read yet are unknown, so the scan stops at the first such step
+// and returns it as `unreadStep` (null otherwise).
+export function findNextMatch(trace, query, fromStep, direction = 1, maxSteps = MAX_SEARCH_STEPS) {
+  if (query.locate) {
+    const steps = query.locate(trace);
+    const step = direction > 0 ? steps.find((item) => item > fromStep) : steps.findLast((item) => item < fromStep);
+    return { step: step ?? -1, unreadStep: null };
+  }
+
+  for (let scanned = 1; scanned <= maxSteps; scanned += 1) {
+    const step = fromStep + direction * scanned;
+    if (step < 0 || step >= trace.length) {
+      break;
+    }
+
+    const event = trace.getEvent(step);
+    if (!event) {
+      return { step: -1, unreadStep: step };
+    }
+
+    if (query.test(event)) {
+      return { step, unreadStep: null };
+    }
+  }
+
+  return { step: -1, unreadStep: null };
+}
+
+// Up to `limit` matching steps from the start of the trace. `complete` is
+// false when the list was cut short by the limit or the scan limit, or when
+// `unread` says steps of file chunks not read yet were skipped.
+export function findAllMatches(trace, query, { limit = 200, maxSteps = MAX_SEARCH_STEPS } = {}) {
+  if (query.locate) {
+    const steps = query.locate(trace);
+    return { steps: steps.slice(0, limit), complete: steps.length <= limit, unread: false };
+  }
+
+  const steps = [];
+  const end = Math.min(trace.length, maxSteps);
+  let unread = false;
+
+  for (let step = 0; step < end; step += 1) {
+    const event = trace.getEvent(step);
+    if (!event) {
+      unread = true;
+    } else if (query.test(event)) {
+      if (steps.length === limit) {
+        return { steps, complete: false, unread };
+      }
+      steps.push(step);
+    }
+  }
+
+  return { steps, complete: end === trace.length && !unread, unread };
+}
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import { buildHmacMd5Trace } from './hmac';
+import { createTranslator } from './i18n';
+import { buildMd4Trace } from './md4';
+import { buildMd5Trace, createMd5Trace, toHex32 } from './md5';
+import { findAllMatches, findNextMatch, parseTraceQuery } from './traceSearch';
+
+describe('trace search', () => {
+  const trace = buildMd5Trace('x'.repeat(70), 'text');
+
+  it('finds a round of a chunk and the start of a chunk', () => {
+    const query = parseTraceQuery('  Chunk 2,  round 17 ');
+
+    expect(query.label).toBe('chunk 2 round 17');
+    expect(findNextMatch(trace, query, 0).step).toBe(trace.getChunkStartStep(1) + 18);
+    expect(findNextMatch(trace, parseTraceQuery('chunk 2'), 0).step).toBe(trace.getChunkStartStep(1));
+    expect(findNextMatch(trace, query, trace.length - 1, -1).step).toBe(trace.getChunkStartStep(1) + 18);
+  });
+
+  it('finds chunk searches from the chunk layout without scanning', () => {
+    const large = createMd5Trace(new Uint8Array(64 * 5000));
+    const scanless = { ...large, getEvent: () => expect.unreachable('scanned the trace') };
+    const query = parseTraceQuery('chunk 4000 round 3');
+
+    expect(findNextMatch(scanless, query, 0).step).toBe(large.getChunkStartStep(3999) + 4);
+    expect(findNextMatch(scanless, query, large.length - 1, -1).step).toBe(large.getChunkStartStep(3999) + 4);
+    expect(findNextMatch(scanless, query, large.getChunkStartStep(3999) + 4).step).toBe(-1);
+    expect(findAllMatches(scanless, parseTraceQuery('chunk 5002'))).toEqual({
+      steps: [],
+      complete: true,
+      unread: false,
+    });
+    expect(large.getEvent(findNextMatch(large, query, 0).step)).toMatchObject({ chunkIndex: 3999, roundIndex: 3 });
+    expect(findNextMatch(buildMd4Trace('abc', 'text'), parseTraceQuery('chunk 1 round 50'), 0).step).toBe(-1);
+  });
+
+  it('stops at file chunks that have not been read yet', () => {
+    const bytes = Uint8Array.from({ length: 64 * 10 }, (_, index) => index & 0xff);
+    const full = createMd5Trace(bytes);
+    // Chunks 3 to 6 are not loaded.
+    const source = {
+      length: bytes.length,
+      read: (start, end) => (start < 64 * 3 || start >= 64 * 7 ? bytes.subarray(start, end) : null),
+    };
+    const partial = createMd5Trace(source, { chunkStates: full.chunkStates });
+    const query = parseTraceQuery('function G');
+
+    expect(findNextMatch(partial, query, partial.getChunkStartStep(2) + 40)).toEqual({
+      step: -1,
+      unreadStep: partial.getChunkStartStep(3),
+    });
+    expect(findNextMatch(partial, query, partial.length - 1, -1).step).toBe(partial.getChunkStartStep(10) + 32);
+    expect(findAllMatches(partial, query)).toMatchObject({ complete: false, unread: true });
+    expect(findAllMatches(partial, query).steps).toHaveLength(7 * 16);
+    expect(findNextMatch(partial, parseTraceQuery('chunk 5 round 1'), 0)).toEqual({
+      step: partial.getChunkStartStep(4) + 2,
+      unreadStep: null,
+    });
+  });
+
+  it('steps through the rounds of a family', () => {
+    const query = parseTraceQuery('function g');
+    const { step: first } = findNextMatch(trace, query, 0);
+
+    expect(trace.getEvent(first)).toMatchObject({ chunkIndex: 0, roundIndex: 16 });
+    expect(findNextMatch(trace, query, first).step).toBe(first + 1);
+    expect(findAllMatches(trace, query)).toEqual({
+      steps: expect.any(Array),
+      complete: true,
+      unread: false,
+    });
+    expect(findAllMatches(trace, query).steps).toHaveLength(32);
+    expect(findAllMatches(trace, query, { limit: 5 })).toMatchObject({ complete: false });
+  });
+
+  it('matches hex patterns and bit predicates on registers and sum', () => {
+    const event = trace.getEvent(40);
+    const b = toHex32(event.registersAfter[1]);
+    const exact = parseTraceQuery(`B = 0x${b.slice(0, 3)}?????`);
+    const contains = parseTraceQuery(`sum ~ ${toHex32(event.sum).slice(2, 6)}`);
+
+    expect(exact.test(event)).toBe(true);
+    expect(contains.test(event)).toBe(true);
+    expect(exact.test(trace.getEvent(0))).toBe(false);
+
+    const topBit = parseTraceQuery('top bit of B set');
+    expect(topBit.label).toBe('bit 31 of B set');
+    expect(topBit.test(event)).toBe(event.registersAfter[1] >>> 31 === 1);
+    expect(parseTraceQuery('bit 0 of rotated is clear').test(event)).toBe((event.rotated & 1) === 0);
+  });
+
+  it('searches composite traces and explains bad searches', () => {
+    const hmac = buildHmacMd5Trace(new TextEncoder().encode('key'), new TextEncoder().encode('abc'));
+
+    // Chunk numbers restart in each hash: inner and outer.
+    expect(findAllMatches(hmac, parseTraceQuery('chunk 1 round 0')).steps).toHaveLength(2);
+    expect(() => parseTraceQuery('round')).toThrow('Unknown search "round"');
+    expect(() => parseTraceQuery('X = 12')).toThrow('Unknown value "X"');
+    expect(() => parseTraceQuery('B = 0x123456789')).toThrow('is not a hex pattern');
+    expect(() => parseTraceQuery('bit 40 of A set')).toThrow('0 (low) to 31 (top)');
+  });
+
+  it('labels searches and explains bad ones in the UI language', () => {
+    const t = createTranslator('zh-CN');
+
+    expect(parseTraceQuery('chunk 2 round 17', t).label).toBe('第 2 块第 17 轮');
+    expect(parseTraceQuery('top bit of B set', t).label).toBe('B 的第 31 位为 1');
+    expect(() => parseTraceQuery('X = 12', t)).toThrow('未知的值“X”');
+  });
+});
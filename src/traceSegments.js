@@ -0,0 +1,45 @@
+// Joins several traces and standalone events into one steppable trace. Each
+// segment is either `{ phase, phaseLabel, trace }`, whose events are replayed
+// in order, or `{ phase, phaseLabel, trace, event }`, a single extra event. In
+// both cases `trace` is the MD5 trace the viewer should show chunks from while
+// that segment is active.
+export function createSegmentedTrace(segments, fields = {}) {
+  const starts = [];
+  let length = 0;
+
+  for (const segment of segments) {
+    starts.push(length);
+    length += segment.event ? 1 : segment.trace.length;
+  }
+
+  const getSegment = (step) => {
+    if (!Number.isInteger(step) || step < 0 || step >= length) {
+      return null;
+    }
+
+    let index = segments.length - 1;
+    while (starts[index] > step) {
+      index -= 1;
+    }
+
+    return { ...segments[index], start: starts[index], localStep: step - starts[index] };
+  };
+
+  const getEvent = (step) => {
+    const segment = getSegment(step);
+    if (!segment) {
+      return null;
+    }
+
+    const event = segment.event ?? segment.trace.getEvent(segment.localStep);
+    return { ...event, phase: segment.phase, phaseLabel: segment.phaseLabel };
+  };
+
+  return {
+    ...fields,
+    length,
+    getEvent,
+    getSegment,
+    segmentStarts: starts,
+  };
+}
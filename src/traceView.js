@@ -0,0 +1,119 @@
+import { translatePhase } from './i18n';
+
+// The panels under the controls, in the order they are laid out. The last two
+// are shown on request; `DEFAULT_PANELS` is what the page opens with.
+export const TRACE_PANELS = Object.freeze(['explainer', 'message', 'round', 'registers', 'dataflow', 'bits']);
+export const DEFAULT_PANELS = Object.freeze(['explainer', 'message', 'round', 'registers']);
+
+export function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Hex bytes, or '' for none (shown as "(empty)" in the UI language).
+export function formatBytes(bytes, maxBytes = 64, totalLength = bytes?.length ?? 0) {
+  if (!bytes || bytes.length === 0) {
+    return '';
+  }
+
+  const view = Array.from(bytes.slice(0, maxBytes), (value) => value.toString(16).padStart(2, '0'));
+  const suffix = totalLength > maxBytes ? ' ...' : '';
+  return `${view.join(' ')}${suffix}`;
+}
+
+function describeEvent(event, t) {
+  if (event.type === 'hmac-key') {
+    return t(event.keyWasHashed ? 'event.hmacKeyHashed' : 'event.hmacKeyPadded', { bytes: event.keyLengthBytes });
+  }
+
+  if (event.type === 'hmac-xor') {
+    return t('event.hmacXor', { pad: event.pad, byte: event.padByte.toString(16) });
+  }
+
+  if (event.type === 'hmac-done') {
+    return t('event.hmacDone');
+  }
+
+  if (event.type === 'extension-setup') {
+    return t('event.extensionSetup', { bytes: event.glueBytes.length });
+  }
+
+  if (event.type === 'extension-done') {
+    if (event.forgeryHolds === null) {
+      return t('event.extensionDone');
+    }
+
+    return t(event.forgeryHolds ? 'event.extensionConfirmed' : 'event.extensionFailed');
+  }
+
+  if (event.type === 'preprocess') {
+    return t('event.preprocess', { algorithm: event.algorithm });
+  }
+
+  if (event.type === 'chunk-start') {
+    return t('event.chunkStart', { chunk: event.chunkIndex + 1 });
+  }
+
+  if (event.type === 'round') {
+    return t('event.round', {
+      chunk: event.chunkIndex + 1,
+      round: event.stepWithinChunk,
+      roundCount: event.roundCount,
+      functionName: event.functionName,
+    });
+  }
+
+  if (event.type === 'chunk-end') {
+    return t('event.chunkEnd', { chunk: event.chunkIndex + 1 });
+  }
+
+  return t('event.done');
+}
+
+export function getEventTitle(event, t) {
+  if (!event) {
+    return t('event.none');
+  }
+
+  const title = describeEvent(event, t);
+  return event.phaseLabel ? t('event.withPhase', { phase: translatePhase(t, event.phaseLabel), title }) : title;
+}
+
+// The digest as far as `event` has got, or null while it is still pending
+// (an HMAC step before the inner hash has run).
+export function getCurrentDigest(event, trace) {
+  if (!trace) {
+    return '';
+  }
+
+  if (!event) {
+    return trace.digest;
+  }
+
+  if (event.digestPreview !== undefined) {
+    return event.digestPreview;
+  }
+
+  return event.digestAfterChunk ?? event.digest ?? trace.digest;
+}
+
+export function resolveChunkIndex(event, trace) {
+  if (!trace || trace.chunkCount === 0) {
+    return 0;
+  }
+
+  if (event && Number.isInteger(event.chunkIndex)) {
+    return clamp(event.chunkIndex, 0, trace.chunkCount - 1);
+  }
+
+  if (event?.type === 'done') {
+    return trace.chunkCount - 1;
+  }
+
+  return 0;
+}
+
+// Composite traces (e.g. HMAC) are made of several MD5 traces; the message
+// panel follows whichever one the step belongs to.
+export function getChunkTrace(trace, step) {
+  return (trace?.getSegment ? trace.getSegment(step)?.trace : trace) ?? null;
+}
@@ -0,0 +1,7 @@
+import appCss from './App.css?inline';
+import viewerCss from './TraceViewer.css?inline';
+
+// The page styles plus the embedded layout, for a shadow root. App.css puts
+// its palette on :root, which nothing in a shadow tree matches, so there it
+// goes on the host element.
+export const TRACE_VIEWER_CSS = `${appCss.replaceAll(':root', ':host')}\n${viewerCss}`;
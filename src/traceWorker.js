@@ -0,0 +1,28 @@
+import { describeJobError, runTraceJob } from './traceJob';
+
+// Progress is posted at most this often; one message per chunk would flood
+// the main thread on large inputs.
+const PROGRESS_INTERVAL_MS = 50;
+
+self.onmessage = ({ data: { id, job } }) => {
+  let lastReport = 0;
+
+  try {
+    const parts = runTraceJob(job, (chunksDone, chunkCount) => {
+      const now = performance.now();
+      if (now - lastReport >= PROGRESS_INTERVAL_MS) {
+        lastReport = now;
+        self.postMessage({ id, type: 'progress', chunksDone, chunkCount });
+      }
+    });
+
+    self.postMessage(
+      { id, type: 'done', parts },
+      parts.flatMap((part) => [part.bytes.buffer, part.chunkStates.buffer]),
+    );
+  } catch (error) {
+    // Errors do not survive postMessage as Error objects, so the error and
+    // the input diagnostics are sent back as plain data.
+    self.postMessage({ id, type: 'error', error: describeJobError(error), issues: error.diagnostics ?? [] });
+  }
+};
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { scanFile } from './fileHash';
+
+// Lab parameters change as they are typed; a scan waits this long for them
+// to settle.
+const LAB_SCAN_DELAY_MS = 400;
+
+// Scans `file` again for chunk states other than the standard MD5 ones its
+// first scan stored: `scan` is `{ algorithm: 'md5' | 'md4', params }` (see
+// scanFile), or null when none are needed. The scan yields to the browser as
+// it goes; while it runs `pending` is true and `progress` is
+// `{ chunksDone, chunkCount }` once it has reported. `result` is
+// `{ chunkStates, error }` for the current file and scan only.
+export function useFileScan(file, scan) {
+  const [finished, setFinished] = useState({ file: null, scan: null, result: null });
+  const [progress, setProgress] = useState(null);
+
+  useEffect(() => {
+    if (!file || !scan) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    const timer = window.setTimeout(
+      () => {
+        scanFile(file, {
+          algorithm: scan.algorithm,
+          params: scan.params,
+          signal: controller.signal,
+          onProgress: ({ chunksDone, chunkCount }) => setProgress({ file, scan, chunksDone, chunkCount }),
+        })
+          .then(({ chunkStates }) => {
+            if (!controller.signal.aborted) {
+              setFinished({ file, scan, result: { chunkStates, error: '' } });
+            }
+          })
+          .catch((error) => {
+            if (!controller.signal.aborted) {
+              setFinished({
+                file,
+                scan,
+                result: { chunkStates: null, error: error instanceof Error ? error : '' },
+              });
+            }
+          });
+      },
+      scan.params ? LAB_SCAN_DELAY_MS : 0,
+    );
+
+    return () => {
+      window.clearTimeout(timer);
+      controller.abort();
+    };
+  }, [file, scan]);
+
+  const current = Boolean(file && scan) && finished.file === file && finished.scan === scan;
+
+  return {
+    result: current ? finished.result : null,
+    pending: Boolean(file && scan) && !current,
+    progress: progress?.file === file && progress.scan === scan ? progress : null,
+  };
+}
@@ -0,0 +1,86 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { createJobTraces, runTraceJobNow } from './traceJob';
+
+const hasWorker = typeof Worker !== 'undefined';
+
+function createTraceWorker() {
+  return new Worker(new URL('./traceWorker.js', import.meta.url), { type: 'module' });
+}
+
+// Runs `job` (see traceJob.js) in a worker. While a newer job is computing,
+// `result` still holds the last finished one and `pending` is true;
+// `progress` is `{ chunksDone, chunkCount }` once the worker has reported.
+// Without Worker support (tests, old browsers) the job runs during render.
+export function useTraceJob(job) {
+  const [finished, setFinished] = useState({ job: null, result: null });
+  const [progress, setProgress] = useState(null);
+  const workerRef = useRef(null);
+  const busyRef = useRef(false);
+  const jobIdRef = useRef(0);
+
+  const syncResult = useMemo(() => (!hasWorker && job ? runTraceJobNow(job) : null), [job]);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  useEffect(() => {
+    if (!hasWorker || !job) {
+      return;
+    }
+
+    jobIdRef.current += 1;
+    const id = jobIdRef.current;
+
+    // A worker in the middle of a stale job cannot be interrupted, so it is
+    // replaced instead.
+    if (busyRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+
+    workerRef.current ??= createTraceWorker();
+    const worker = workerRef.current;
+    busyRef.current = true;
+
+    const finish = (result) => {
+      busyRef.current = false;
+      setProgress(null);
+      setFinished({ job, result });
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.id !== id) {
+        return;
+      }
+
+      if (data.type === 'progress') {
+        setProgress({ job, chunksDone: data.chunksDone, chunkCount: data.chunkCount });
+      } else if (data.type === 'done') {
+        finish({ ...createJobTraces(job, data.parts), error: '', issues: [] });
+      } else {
+        finish({ trace: null, error: data.error, issues: data.issues });
+      }
+    };
+
+    // If the worker cannot start at all, fall back to computing here.
+    worker.onerror = (errorEvent) => {
+      errorEvent.preventDefault();
+      workerRef.current = null;
+      worker.terminate();
+      if (jobIdRef.current === id) {
+        finish(runTraceJobNow(job));
+      }
+    };
+
+    worker.postMessage({ id, job });
+  }, [job]);
+
+  if (!hasWorker) {
+    return { result: syncResult, pending: false, progress: null };
+  }
+
+  return {
+    result: finished.result,
+    pending: Boolean(job) && finished.job !== job,
+    progress: progress?.job === job ? progress : null,
+  };
+}
@@ -0,0 +1,10 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, DEFAULT_LOCALE } from './i18n';
+
+// App provides the translator for the chosen language; components rendered
+// without it (e.g. on their own in tests) get English.
+export const TranslatorContext = createContext(createTranslator(DEFAULT_LOCALE));
+
+export function useTranslator() {
+  return useContext(TranslatorContext);
+}
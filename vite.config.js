@@ -1,7 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// `vite build --mode lib` builds the embeddable viewer for React apps, which
+// bring their own React; `--mode element` builds <md5-trace> as one script
+// with React inside, for pages without a bundler. Both go to dist-lib.
+const LIBRARY_BUILDS = {
+  lib: {
+    entry: 'src/embed.js',
+    fileName: 'md5-trace-viewer',
+    external: ['react', 'react-dom', 'react-dom/client', 'react/jsx-runtime'],
+  },
+  element: {
+    entry: 'src/md5TraceElement.js',
+    fileName: 'md5-trace-element',
+    external: [],
+  },
+}
+
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
+export default defineConfig(({ mode }) => {
+  const library = LIBRARY_BUILDS[mode]
+
+  if (!library) {
+    return { plugins: [react()] }
+  }
+
+  return {
+    plugins: [react()],
+    // React is bundled into the element build, so its dev checks go.
+    define: mode === 'element' ? { 'process.env.NODE_ENV': JSON.stringify('production') } : {},
+    build: {
+      outDir: 'dist-lib',
+      emptyOutDir: mode === 'lib',
+      copyPublicDir: false,
+      lib: { entry: library.entry, formats: ['es'], fileName: library.fileName },
+      rollupOptions: { external: library.external },
+    },
+  }
 })